@@ -2,10 +2,11 @@
  * Database Module
  * 
  * SQLite database for persistent storage of:
- * - Rooms
+ * - Rooms (and invites to private rooms)
  * - Chat messages
- * - Canvas snapshots
+ * - Canvas snapshots (merged, and per layer) and history bases
  * - Drawing events
+ * - Server secrets (e.g. the key session tokens are signed with)
  * 
  * Uses sql.js (SQLite compiled to WebAssembly) for compatibility
  */
@@ -13,6 +14,10 @@
 const initSqlJs = require('sql.js');
 const fs = require('fs');
 const path = require('path');
+const png = require('./png');
+const strokeCodec = require('../shared/strokeCodec');
+const layers = require('../shared/layers');
+const { DEFAULT_ROOM_SETTINGS } = require('./protocol');
 
 const DB_PATH = path.join(__dirname, '../data/pictochatter.db');
 
@@ -64,7 +69,78 @@ function createTables() {
       name TEXT NOT NULL,
       created_at INTEGER NOT NULL,
       max_players INTEGER DEFAULT 4,
-      is_custom INTEGER DEFAULT 0
+      is_custom INTEGER DEFAULT 0,
+      last_seq INTEGER DEFAULT 0,
+      history_floor_seq INTEGER DEFAULT 0,
+      clear_mode TEXT DEFAULT 'undoable',
+      access TEXT DEFAULT 'public',
+      password_hash TEXT,
+      access_key TEXT,
+      canvas_width INTEGER,
+      canvas_height INTEGER,
+      allowed_tools TEXT,
+      max_chat_length INTEGER,
+      history_retention_days INTEGER,
+      owner_id TEXT,
+      canvas_locked INTEGER DEFAULT 0,
+      join_locked INTEGER DEFAULT 0
+    )
+  `);
+  
+  // Migration: Per-room sequence counter and the highest pruned sequence number
+  addColumnIfMissing('rooms', 'last_seq INTEGER DEFAULT 0');
+  addColumnIfMissing('rooms', 'history_floor_seq INTEGER DEFAULT 0');
+  
+  // Migration: How clearing the canvas works (see CLEAR_MODES in protocol.js)
+  addColumnIfMissing('rooms', `clear_mode TEXT DEFAULT 'undoable'`);
+  
+  // Migration: Private rooms (see ROOM_ACCESS in protocol.js and roomAccess.js)
+  addColumnIfMissing('rooms', `access TEXT DEFAULT 'public'`);
+  addColumnIfMissing('rooms', 'password_hash TEXT');
+  addColumnIfMissing('rooms', 'access_key TEXT');
+  
+  // Migration: Room settings (NULL = DEFAULT_ROOM_SETTINGS in protocol.js)
+  addColumnIfMissing('rooms', 'canvas_width INTEGER');
+  addColumnIfMissing('rooms', 'canvas_height INTEGER');
+  addColumnIfMissing('rooms', 'allowed_tools TEXT');
+  addColumnIfMissing('rooms', 'max_chat_length INTEGER');
+  addColumnIfMissing('rooms', 'history_retention_days INTEGER');
+  
+  // Migration: Room ownership and moderation (custom rooms only)
+  addColumnIfMissing('rooms', 'owner_id TEXT');
+  addColumnIfMissing('rooms', 'canvas_locked INTEGER DEFAULT 0');
+  addColumnIfMissing('rooms', 'join_locked INTEGER DEFAULT 0');
+  
+  db.run(`
+    CREATE TABLE IF NOT EXISTS room_invites (
+      token TEXT PRIMARY KEY,
+      room_id TEXT NOT NULL,
+      created_by TEXT,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      FOREIGN KEY(room_id) REFERENCES rooms(id)
+    )
+  `);
+  
+  db.run(`
+    CREATE TABLE IF NOT EXISTS room_bans (
+      room_id TEXT NOT NULL,
+      player_id TEXT NOT NULL,
+      player_name TEXT,
+      banned_by TEXT,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY(room_id, player_id),
+      FOREIGN KEY(room_id) REFERENCES rooms(id)
+    )
+  `);
+  
+  db.run(`
+    CREATE TABLE IF NOT EXISTS room_mutes (
+      room_id TEXT NOT NULL,
+      player_id TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      PRIMARY KEY(room_id, player_id, scope),
+      FOREIGN KEY(room_id) REFERENCES rooms(id)
     )
   `);
   
@@ -77,23 +153,71 @@ function createTables() {
       player_color TEXT DEFAULT 'blue',
       message TEXT NOT NULL,
       timestamp INTEGER NOT NULL,
+      seq INTEGER,
+      sketch_png BLOB,
       FOREIGN KEY(room_id) REFERENCES rooms(id)
     )
   `);
   
   // Migration: Add player_color column if it doesn't exist
-  try {
-    db.run(`ALTER TABLE chat_messages ADD COLUMN player_color TEXT DEFAULT 'blue'`);
-  } catch (e) {
-    // Column already exists, ignore error
+  addColumnIfMissing('chat_messages', `player_color TEXT DEFAULT 'blue'`);
+  addColumnIfMissing('chat_messages', 'seq INTEGER');
+  
+  // Migration: Drawings sent as chat messages (PNG bytes)
+  addColumnIfMissing('chat_messages', 'sketch_png BLOB');
+  
+  // Migration: Sketches used to be base64 data URLs (sketch_data TEXT),
+  // converted below and emptied so the column no longer takes up space
+  if (hasColumn('chat_messages', 'sketch_data')) {
+    migrateLegacySketches();
+  }
+  
+  // Migration: Snapshots used to be base64 data URLs (snapshot_data TEXT NOT NULL),
+  // the table is rebuilt around PNG bytes and the old rows converted below
+  const hasLegacySnapshots = hasColumn('canvas_snapshots', 'snapshot_data');
+  if (hasLegacySnapshots) {
+    db.run(`ALTER TABLE canvas_snapshots RENAME TO canvas_snapshots_legacy`);
   }
   
   db.run(`
     CREATE TABLE IF NOT EXISTS canvas_snapshots (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       room_id TEXT NOT NULL,
-      snapshot_data TEXT NOT NULL,
+      snapshot_png BLOB NOT NULL,
       timestamp INTEGER NOT NULL,
+      seq INTEGER,
+      FOREIGN KEY(room_id) REFERENCES rooms(id)
+    )
+  `);
+  
+  if (hasLegacySnapshots) {
+    migrateLegacySnapshots();
+  }
+  
+  // Per-player layers of the room's snapshot, bottom first (see shared/layers.js).
+  // A snapshot without layer rows predates layers and is all background.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS layer_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      room_id TEXT NOT NULL,
+      layer_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      snapshot_png BLOB NOT NULL,
+      FOREIGN KEY(room_id) REFERENCES rooms(id)
+    )
+  `);
+  
+  // Layers of the canvas the room's retained drawing history starts from,
+  // as of seq: set by version restores and history pruning. Rooms without
+  // rows start from a blank canvas (see RoomManager.getHistoryBase).
+  db.run(`
+    CREATE TABLE IF NOT EXISTS history_bases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      room_id TEXT NOT NULL,
+      layer_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      snapshot_png BLOB NOT NULL,
+      seq INTEGER NOT NULL,
       FOREIGN KEY(room_id) REFERENCES rooms(id)
     )
   `);
@@ -106,19 +230,225 @@ function createTables() {
       event_type TEXT NOT NULL,
       event_data TEXT NOT NULL,
       timestamp INTEGER NOT NULL,
+      seq INTEGER,
+      stroke_id TEXT,
+      retracted INTEGER DEFAULT 0,
+      retracted_seq INTEGER,
+      points_data BLOB,
+      FOREIGN KEY(room_id) REFERENCES rooms(id)
+    )
+  `);
+  
+  addColumnIfMissing('drawing_events', 'seq INTEGER');
+  
+  // Migration: Stroke ids and undo state for server-side undo/redo
+  addColumnIfMissing('drawing_events', 'stroke_id TEXT');
+  addColumnIfMissing('drawing_events', 'retracted INTEGER DEFAULT 0');
+  addColumnIfMissing('drawing_events', 'retracted_seq INTEGER');
+  
+  // Migration: Stroke points stored delta-encoded (older rows keep them in event_data)
+  addColumnIfMissing('drawing_events', 'points_data BLOB');
+  
+  // Migration: Versions used to be base64 data URLs (snapshot_data TEXT NOT NULL),
+  // the table is rebuilt around PNG bytes like canvas_snapshots
+  const hasLegacyVersions = hasColumn('canvas_versions', 'snapshot_data');
+  if (hasLegacyVersions) {
+    db.run(`ALTER TABLE canvas_versions RENAME TO canvas_versions_legacy`);
+  }
+  
+  // Archived canvases (before a clear/restore, or superseded snapshots)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS canvas_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      room_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      author_id TEXT,
+      author_name TEXT,
+      snapshot_png BLOB NOT NULL,
+      seq INTEGER,
+      created_at INTEGER NOT NULL,
       FOREIGN KEY(room_id) REFERENCES rooms(id)
     )
   `);
   
+  if (hasLegacyVersions) {
+    migrateLegacyVersions();
+  }
+  
+  db.run(`
+    CREATE TABLE IF NOT EXISTS server_secrets (
+      name TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    )
+  `);
+  
   // Create indexes for faster queries
   db.run(`CREATE INDEX IF NOT EXISTS idx_messages_room ON chat_messages(room_id)`);
   db.run(`CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON chat_messages(timestamp)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_messages_seq ON chat_messages(room_id, seq)`);
   db.run(`CREATE INDEX IF NOT EXISTS idx_drawing_room ON drawing_events(room_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_drawing_seq ON drawing_events(room_id, seq)`);
   db.run(`CREATE INDEX IF NOT EXISTS idx_snapshots_room ON canvas_snapshots(room_id)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_layer_snapshots_room ON layer_snapshots(room_id, position)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_history_bases_room ON history_bases(room_id, position)`);
+  db.run(`CREATE INDEX IF NOT EXISTS idx_versions_room ON canvas_versions(room_id, created_at)`);
+  
+  backfillSequenceNumbers();
   
   console.log('[DB] Tables created/verified');
 }
 
+/**
+ * Add a column to an existing table, ignoring "duplicate column" errors
+ */
+function addColumnIfMissing(table, columnDef) {
+  try {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${columnDef}`);
+  } catch (e) {
+    // Column already exists, ignore error
+  }
+}
+
+/**
+ * True if the table exists and has the column
+ */
+function hasColumn(table, column) {
+  return queryAll(`PRAGMA table_info(${table})`).some(info => info.name === column);
+}
+
+/**
+ * Run a query and return all rows as objects
+ */
+function queryAll(sql, params = []) {
+  const results = [];
+  const stmt = db.prepare(sql);
+  stmt.bind(params);
+  
+  while (stmt.step()) {
+    results.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return results;
+}
+
+/**
+ * Number rows written before sequence numbers existed.
+ * Chat and drawing rows share one counter per room, assigned in timestamp order.
+ */
+function backfillSequenceNumbers() {
+  const legacyRows = queryAll(`
+    SELECT 'chat_messages' AS source, id, room_id, timestamp FROM chat_messages WHERE seq IS NULL
+    UNION ALL
+    SELECT 'drawing_events' AS source, id, room_id, timestamp FROM drawing_events WHERE seq IS NULL
+    ORDER BY room_id, timestamp, id
+  `);
+  
+  if (legacyRows.length === 0) return;
+  
+  const nextSeqByRoom = new Map();
+  
+  legacyRows.forEach(row => {
+    if (!nextSeqByRoom.has(row.room_id)) {
+      const room = getRoom(row.room_id);
+      nextSeqByRoom.set(row.room_id, room ? room.last_seq || 0 : 0);
+    }
+    const seq = nextSeqByRoom.get(row.room_id) + 1;
+    nextSeqByRoom.set(row.room_id, seq);
+    db.run(`UPDATE ${row.source} SET seq = ? WHERE id = ?`, [seq, row.id]);
+  });
+  
+  nextSeqByRoom.forEach((seq, roomId) => {
+    db.run(`UPDATE rooms SET last_seq = ? WHERE id = ?`, [seq, roomId]);
+  });
+  
+  // Snapshots cover every drawing event up to their timestamp
+  db.run(`
+    UPDATE canvas_snapshots SET seq = (
+      SELECT COALESCE(MAX(d.seq), 0) FROM drawing_events d
+      WHERE d.room_id = canvas_snapshots.room_id AND d.timestamp <= canvas_snapshots.timestamp
+    )
+    WHERE seq IS NULL
+  `);
+  
+  console.log(`[DB] Backfilled sequence numbers for ${legacyRows.length} events`);
+}
+
+/**
+ * Copy snapshots stored as data URLs into the binary table, then drop the old one.
+ * Rows that aren't PNG data URLs are dropped - the server renders a new snapshot.
+ */
+function migrateLegacySnapshots() {
+  const legacyRows = queryAll(`SELECT * FROM canvas_snapshots_legacy`);
+  let migrated = 0;
+  
+  legacyRows.forEach(row => {
+    const snapshotPng = png.fromDataUrl(row.snapshot_data);
+    if (!snapshotPng) return;
+    
+    const stmt = db.prepare(`
+      INSERT INTO canvas_snapshots (room_id, snapshot_png, timestamp, seq)
+      VALUES (?, ?, ?, ?)
+    `);
+    stmt.run([row.room_id, snapshotPng, row.timestamp, row.seq === undefined ? null : row.seq]);
+    stmt.free();
+    migrated++;
+  });
+  
+  db.run(`DROP TABLE canvas_snapshots_legacy`);
+  console.log(`[DB] Migrated ${migrated} of ${legacyRows.length} canvas snapshots to binary`);
+}
+
+/**
+ * Copy versions stored as data URLs into the rebuilt table, keeping their ids
+ * (restore events and playback refer to them)
+ */
+function migrateLegacyVersions() {
+  const legacyRows = queryAll(`SELECT * FROM canvas_versions_legacy`);
+  let migrated = 0;
+  
+  legacyRows.forEach(row => {
+    const snapshotPng = png.fromDataUrl(row.snapshot_data);
+    if (!snapshotPng) return;
+    
+    const stmt = db.prepare(`
+      INSERT INTO canvas_versions (id, room_id, name, reason, author_id, author_name, snapshot_png, seq, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run([
+      row.id, row.room_id, row.name, row.reason, row.author_id, row.author_name,
+      snapshotPng, row.seq === undefined ? null : row.seq, row.created_at
+    ]);
+    stmt.free();
+    migrated++;
+  });
+  
+  db.run(`DROP TABLE canvas_versions_legacy`);
+  console.log(`[DB] Migrated ${migrated} of ${legacyRows.length} canvas versions to binary`);
+}
+
+/**
+ * Convert sketch messages stored as data URLs to PNG bytes
+ */
+function migrateLegacySketches() {
+  const legacyRows = queryAll(`SELECT id, sketch_data FROM chat_messages WHERE sketch_data IS NOT NULL`);
+  if (legacyRows.length === 0) return;
+  
+  let migrated = 0;
+  legacyRows.forEach(row => {
+    const sketchPng = png.fromDataUrl(row.sketch_data);
+    if (!sketchPng) return;
+    
+    const stmt = db.prepare(`UPDATE chat_messages SET sketch_png = ? WHERE id = ?`);
+    stmt.run([sketchPng, row.id]);
+    stmt.free();
+    migrated++;
+  });
+  
+  db.run(`UPDATE chat_messages SET sketch_data = NULL`);
+  console.log(`[DB] Migrated ${migrated} of ${legacyRows.length} chat sketches to binary`);
+}
+
 /**
  * Save database to disk
  */
@@ -139,13 +469,91 @@ function saveDatabase() {
 // Room Operations
 // =============================================================================
 
-function createRoom(id, name, isCustom = false) {
+/**
+ * options: { access, passwordHash, accessKey } for private rooms,
+ * settings for rooms that don't use DEFAULT_ROOM_SETTINGS,
+ * ownerId for custom rooms created by a known player
+ */
+function createRoom(id, name, isCustom = false, clearMode = 'undoable', options = {}) {
   const stmt = db.prepare(`
-    INSERT OR REPLACE INTO rooms (id, name, created_at, max_players, is_custom)
-    VALUES (?, ?, ?, 4, ?)
+    INSERT OR REPLACE INTO rooms (id, name, created_at, max_players, is_custom, clear_mode, access, password_hash, access_key, owner_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
-  stmt.run([id, name, Date.now(), isCustom ? 1 : 0]);
+  stmt.run([
+    id,
+    name,
+    Date.now(),
+    DEFAULT_ROOM_SETTINGS.maxPlayers,
+    isCustom ? 1 : 0,
+    clearMode,
+    options.access || 'public',
+    options.passwordHash || null,
+    options.accessKey || null,
+    options.ownerId || null
+  ]);
   stmt.free();
+  
+  if (options.settings) {
+    setRoomSettings(id, options.settings);
+  }
+}
+
+// Room setting -> rooms column
+const ROOM_SETTINGS_COLUMNS = {
+  maxPlayers: 'max_players',
+  canvasWidth: 'canvas_width',
+  canvasHeight: 'canvas_height',
+  allowedTools: 'allowed_tools',
+  maxChatLength: 'max_chat_length',
+  historyRetentionDays: 'history_retention_days'
+};
+
+/**
+ * Store (partial) room settings; null resets a setting to its default
+ */
+function setRoomSettings(roomId, settings) {
+  const names = Object.keys(settings).filter(name => ROOM_SETTINGS_COLUMNS[name]);
+  if (names.length === 0) return;
+  
+  const assignments = names.map(name => `${ROOM_SETTINGS_COLUMNS[name]} = ?`).join(', ');
+  const values = names.map(name => {
+    const value = settings[name];
+    if (value === null || value === undefined) return null;
+    return name === 'allowedTools' ? JSON.stringify(value) : value;
+  });
+  db.run(`UPDATE rooms SET ${assignments} WHERE id = ?`, [...values, roomId]);
+}
+
+/**
+ * Settings of a rooms row, with defaults for the ones never set
+ */
+function formatRoomSettings(room) {
+  const defaults = DEFAULT_ROOM_SETTINGS;
+  
+  return {
+    maxPlayers: room.max_players || defaults.maxPlayers,
+    canvasWidth: room.canvas_width || defaults.canvasWidth,
+    canvasHeight: room.canvas_height || defaults.canvasHeight,
+    allowedTools: room.allowed_tools ? JSON.parse(room.allowed_tools) : defaults.allowedTools.slice(),
+    maxChatLength: room.max_chat_length || defaults.maxChatLength,
+    historyRetentionDays: room.history_retention_days || defaults.historyRetentionDays
+  };
+}
+
+function setRoomClearMode(roomId, clearMode) {
+  db.run(`UPDATE rooms SET clear_mode = ? WHERE id = ?`, [clearMode, roomId]);
+}
+
+function setRoomOwner(roomId, ownerId) {
+  db.run(`UPDATE rooms SET owner_id = ? WHERE id = ?`, [ownerId, roomId]);
+}
+
+function setCanvasLocked(roomId, locked) {
+  db.run(`UPDATE rooms SET canvas_locked = ? WHERE id = ?`, [locked ? 1 : 0, roomId]);
+}
+
+function setJoinLocked(roomId, locked) {
+  db.run(`UPDATE rooms SET join_locked = ? WHERE id = ?`, [locked ? 1 : 0, roomId]);
 }
 
 function getRoom(roomId) {
@@ -172,33 +580,185 @@ function getAllRooms() {
   return results;
 }
 
+/**
+ * Allocate the next per-room sequence number.
+ * Every persisted room event (draw, clear, chat) gets one.
+ */
+function nextSeq(roomId) {
+  db.run(`UPDATE rooms SET last_seq = COALESCE(last_seq, 0) + 1 WHERE id = ?`, [roomId]);
+  return getLatestSeq(roomId);
+}
+
+function getLatestSeq(roomId) {
+  const room = getRoom(roomId);
+  return room ? room.last_seq || 0 : 0;
+}
+
+/**
+ * Highest sequence number that may have been pruned from the room's history
+ */
+function getHistoryFloorSeq(roomId) {
+  const room = getRoom(roomId);
+  return room ? room.history_floor_seq || 0 : 0;
+}
+
 function deleteRoom(roomId) {
   // Delete associated data first
   db.run(`DELETE FROM chat_messages WHERE room_id = ?`, [roomId]);
   db.run(`DELETE FROM drawing_events WHERE room_id = ?`, [roomId]);
   db.run(`DELETE FROM canvas_snapshots WHERE room_id = ?`, [roomId]);
+  db.run(`DELETE FROM layer_snapshots WHERE room_id = ?`, [roomId]);
+  db.run(`DELETE FROM history_bases WHERE room_id = ?`, [roomId]);
+  db.run(`DELETE FROM canvas_versions WHERE room_id = ?`, [roomId]);
+  db.run(`DELETE FROM room_invites WHERE room_id = ?`, [roomId]);
+  db.run(`DELETE FROM room_bans WHERE room_id = ?`, [roomId]);
+  db.run(`DELETE FROM room_mutes WHERE room_id = ?`, [roomId]);
   db.run(`DELETE FROM rooms WHERE id = ?`, [roomId]);
 }
 
+// =============================================================================
+// Room Invite Operations
+// =============================================================================
+
+function addRoomInvite(roomId, { token, createdBy, createdAt, expiresAt }) {
+  const stmt = db.prepare(`
+    INSERT INTO room_invites (token, room_id, created_by, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  stmt.run([token, roomId, createdBy || null, createdAt, expiresAt]);
+  stmt.free();
+}
+
+/**
+ * Invite by token, expired or not
+ */
+function getRoomInvite(token) {
+  const [row] = queryAll(`SELECT * FROM room_invites WHERE token = ?`, [token]);
+  if (!row) return null;
+  
+  return {
+    token: row.token,
+    roomId: row.room_id,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at
+  };
+}
+
+// =============================================================================
+// Moderation Operations
+// =============================================================================
+
+function addRoomBan(roomId, { playerId, playerName, bannedBy, createdAt }) {
+  const stmt = db.prepare(`
+    INSERT OR REPLACE INTO room_bans (room_id, player_id, player_name, banned_by, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  stmt.run([roomId, playerId, playerName || null, bannedBy || null, createdAt]);
+  stmt.free();
+}
+
+function removeRoomBan(roomId, playerId) {
+  db.run(`DELETE FROM room_bans WHERE room_id = ? AND player_id = ?`, [roomId, playerId]);
+}
+
+function getRoomBans(roomId) {
+  return queryAll(`
+    SELECT * FROM room_bans WHERE room_id = ? ORDER BY created_at
+  `, [roomId]).map(row => ({
+    playerId: row.player_id,
+    playerName: row.player_name,
+    bannedBy: row.banned_by,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Mute or unmute a player's chat or drawing (see MUTE_SCOPES in protocol.js)
+ */
+function setRoomMute(roomId, playerId, scope, muted) {
+  if (muted) {
+    db.run(`
+      INSERT OR IGNORE INTO room_mutes (room_id, player_id, scope) VALUES (?, ?, ?)
+    `, [roomId, playerId, scope]);
+  } else {
+    db.run(`
+      DELETE FROM room_mutes WHERE room_id = ? AND player_id = ? AND scope = ?
+    `, [roomId, playerId, scope]);
+  }
+}
+
+function getRoomMutes(roomId) {
+  return queryAll(`SELECT * FROM room_mutes WHERE room_id = ?`, [roomId]).map(row => ({
+    playerId: row.player_id,
+    scope: row.scope
+  }));
+}
+
 // =============================================================================
 // Chat Message Operations
 // =============================================================================
 
-function addChatMessage(roomId, playerId, playerName, playerColor, message, timestamp) {
+/**
+ * Store a chat message, returns its sequence number
+ */
+function addChatMessage(roomId, playerId, playerName, playerColor, message, timestamp, sketchPng = null) {
+  const seq = nextSeq(roomId);
   const stmt = db.prepare(`
-    INSERT INTO chat_messages (room_id, player_id, player_name, player_color, message, timestamp)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO chat_messages (room_id, player_id, player_name, player_color, message, timestamp, seq, sketch_png)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `);
-  stmt.run([roomId, playerId, playerName, playerColor || 'blue', message, timestamp]);
+  stmt.run([roomId, playerId, playerName, playerColor || 'blue', message, timestamp, seq, sketchPng]);
   stmt.free();
+  return seq;
+}
+
+// Chat columns without the (large) sketch image, which is served separately
+const CHAT_COLUMNS = `
+  room_id, player_id, player_name, player_color, message, timestamp, seq,
+  sketch_png IS NOT NULL AS has_sketch
+`;
+
+/**
+ * URL of a chat message's sketch image
+ */
+function getSketchUrl(roomId, seq) {
+  return `/api/rooms/${encodeURIComponent(roomId)}/sketches/${seq}.png`;
+}
+
+function formatChatRow(row) {
+  const message = {
+    playerId: row.player_id,
+    playerName: row.player_name,
+    playerColor: row.player_color || 'blue',
+    text: row.message,
+    timestamp: row.timestamp,
+    seq: row.seq
+  };
+  
+  if (row.has_sketch) {
+    message.sketchUrl = getSketchUrl(row.room_id, row.seq);
+  }
+  return message;
+}
+
+/**
+ * Get the sketch image (PNG Buffer) attached to a chat message, or null
+ */
+function getChatSketch(roomId, seq) {
+  const rows = queryAll(
+    `SELECT sketch_png FROM chat_messages WHERE room_id = ? AND seq = ? AND sketch_png IS NOT NULL`,
+    [roomId, seq]
+  );
+  return rows.length > 0 ? Buffer.from(rows[0].sketch_png) : null;
 }
 
 function getChatHistory(roomId, limit = 50) {
   const results = [];
   const stmt = db.prepare(`
-    SELECT * FROM chat_messages 
+    SELECT ${CHAT_COLUMNS} FROM chat_messages 
     WHERE room_id = ? 
-    ORDER BY timestamp DESC 
+    ORDER BY seq DESC 
     LIMIT ?
   `);
   stmt.bind([roomId, limit]);
@@ -209,13 +769,7 @@ function getChatHistory(roomId, limit = 50) {
   stmt.free();
   
   // Return in chronological order
-  return results.reverse().map(row => ({
-    playerId: row.player_id,
-    playerName: row.player_name,
-    playerColor: row.player_color || 'blue',
-    text: row.message,
-    timestamp: row.timestamp
-  }));
+  return results.reverse().map(formatChatRow);
 }
 
 function clearChatHistory(roomId) {
@@ -226,37 +780,145 @@ function clearChatHistory(roomId) {
 // Drawing Event Operations
 // =============================================================================
 
-function addDrawingEvent(roomId, playerId, eventType, eventData, timestamp) {
+/**
+ * Store a drawing event (draw, clear, undo or redo), returns its sequence number
+ * strokeId is set for strokes so they can be undone later
+ * Stroke points go to points_data in the compact encoding of shared/strokeCodec.js
+ */
+function addDrawingEvent(roomId, playerId, eventType, eventData, timestamp, strokeId = null) {
+  const seq = nextSeq(roomId);
+  const { points, ...data } = eventData;
+  const pointsData = Array.isArray(points) ? strokeCodec.encodePoints(points) : null;
+  
   const stmt = db.prepare(`
-    INSERT INTO drawing_events (room_id, player_id, event_type, event_data, timestamp)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO drawing_events (room_id, player_id, event_type, event_data, timestamp, seq, stroke_id, points_data)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `);
-  stmt.run([roomId, playerId, eventType, JSON.stringify(eventData), timestamp]);
+  stmt.run([roomId, playerId, eventType, JSON.stringify(data), timestamp, seq, strokeId, pointsData]);
   stmt.free();
+  return seq;
+}
+
+function formatDrawingRow(row) {
+  const event = {
+    playerId: row.player_id,
+    type: row.event_type,
+    ...JSON.parse(row.event_data),
+    timestamp: row.timestamp,
+    seq: row.seq
+  };
+  
+  if (row.points_data) {
+    event.points = strokeCodec.decodePoints(row.points_data);
+  }
+  
+  if (row.event_type === 'draw') {
+    event.strokeId = row.stroke_id;
+    event.retracted = row.retracted === 1;
+    
+    // Erasers stored before layers painted over everyone's strokes
+    if (event.tool === 'eraser' && !Array.isArray(event.layers)) {
+      event.layers = [layers.ALL_LAYERS];
+    }
+  }
+  return event;
 }
 
-function getDrawingEvents(roomId, sinceTimestamp = 0) {
+/**
+ * Get drawing events after sinceSeq in sequence order, at most limit rows if given
+ */
+function getDrawingEvents(roomId, sinceSeq = 0, limit = null) {
   const results = [];
   const stmt = db.prepare(`
     SELECT * FROM drawing_events 
-    WHERE room_id = ? AND timestamp > ?
-    ORDER BY timestamp ASC
+    WHERE room_id = ? AND seq > ?
+    ORDER BY seq ASC
+    ${limit ? 'LIMIT ?' : ''}
   `);
-  stmt.bind([roomId, sinceTimestamp]);
+  stmt.bind(limit ? [roomId, sinceSeq, limit] : [roomId, sinceSeq]);
   
   while (stmt.step()) {
-    const row = stmt.getAsObject();
-    results.push({
-      playerId: row.player_id,
-      type: row.event_type,
-      ...JSON.parse(row.event_data),
-      timestamp: row.timestamp
-    });
+    results.push(formatDrawingRow(stmt.getAsObject()));
   }
   stmt.free();
   return results;
 }
 
+/**
+ * Sequence number of the room's most recent clear or version restore,
+ * or 0 if the canvas was never reset
+ */
+function getLastResetSeq(roomId) {
+  const rows = queryAll(
+    `SELECT MAX(seq) AS seq FROM drawing_events WHERE room_id = ? AND event_type IN ('clear', 'restore')`,
+    [roomId]
+  );
+  return rows.length > 0 && rows[0].seq ? rows[0].seq : 0;
+}
+
+/**
+ * Get every persisted room event (drawing and chat) after a sequence number,
+ * merged in sequence order. Chat rows come back with type 'message'.
+ */
+function getRoomEventsSince(roomId, sinceSeq) {
+  const drawing = queryAll(
+    `SELECT * FROM drawing_events WHERE room_id = ? AND seq > ? ORDER BY seq ASC`,
+    [roomId, sinceSeq]
+  ).map(formatDrawingRow);
+  
+  const chat = queryAll(
+    `SELECT ${CHAT_COLUMNS} FROM chat_messages WHERE room_id = ? AND seq > ? ORDER BY seq ASC`,
+    [roomId, sinceSeq]
+  ).map(row => ({ type: 'message', ...formatChatRow(row) }));
+  
+  return [...drawing, ...chat].sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Find the player's most recent visible stroke after afterSeq
+ */
+function findUndoableStroke(roomId, playerId, afterSeq) {
+  const rows = queryAll(`
+    SELECT * FROM drawing_events
+    WHERE room_id = ? AND player_id = ? AND event_type = 'draw' AND retracted = 0 AND seq > ?
+    ORDER BY seq DESC
+    LIMIT 1
+  `, [roomId, playerId, afterSeq]);
+  
+  return rows.length > 0 ? formatDrawingRow(rows[0]) : null;
+}
+
+/**
+ * Find the player's most recently undone stroke after afterSeq.
+ * Strokes undone before the player's latest visible stroke can't be redone,
+ * same as drawing something new clears the redo history in an editor.
+ */
+function findRedoableStroke(roomId, playerId, afterSeq) {
+  const rows = queryAll(`
+    SELECT * FROM drawing_events
+    WHERE room_id = ? AND player_id = ? AND event_type = 'draw' AND retracted = 1 AND seq > ?
+    AND retracted_seq > COALESCE((
+      SELECT MAX(seq) FROM drawing_events
+      WHERE room_id = ? AND player_id = ? AND event_type = 'draw' AND retracted = 0
+    ), 0)
+    ORDER BY retracted_seq DESC
+    LIMIT 1
+  `, [roomId, playerId, afterSeq, roomId, playerId]);
+  
+  return rows.length > 0 ? formatDrawingRow(rows[0]) : null;
+}
+
+/**
+ * Mark a stroke retracted (undone) or visible again (redone)
+ * changeSeq is the sequence number of the undo/redo event
+ */
+function setStrokeRetracted(roomId, playerId, strokeId, retracted, changeSeq) {
+  db.run(`
+    UPDATE drawing_events SET retracted = ?, retracted_seq = ?
+    WHERE room_id = ? AND player_id = ? AND stroke_id = ? AND event_type = 'draw'
+  `, [retracted ? 1 : 0, retracted ? changeSeq : null, roomId, playerId, strokeId]);
+}
+
 function clearDrawingEvents(roomId) {
   db.run(`DELETE FROM drawing_events WHERE room_id = ?`, [roomId]);
 }
@@ -265,16 +927,43 @@ function clearDrawingEvents(roomId) {
 // Canvas Snapshot Operations
 // =============================================================================
 
-function saveCanvasSnapshot(roomId, snapshotData, timestamp) {
+/**
+ * Save a snapshot (PNG Buffer of the merged canvas) covering every event up
+ * to and including seq, with its layers ([{ layerId, snapshotPng }], bottom first)
+ */
+function saveCanvasSnapshot(roomId, snapshotPng, timestamp, seq, snapshotLayers = []) {
   // Keep only the latest snapshot per room
-  db.run(`DELETE FROM canvas_snapshots WHERE room_id = ?`, [roomId]);
+  clearCanvasSnapshot(roomId);
   
   const stmt = db.prepare(`
-    INSERT INTO canvas_snapshots (room_id, snapshot_data, timestamp)
-    VALUES (?, ?, ?)
+    INSERT INTO canvas_snapshots (room_id, snapshot_png, timestamp, seq)
+    VALUES (?, ?, ?, ?)
   `);
-  stmt.run([roomId, snapshotData, timestamp]);
+  stmt.run([roomId, snapshotPng, timestamp, seq]);
   stmt.free();
+  
+  const layerStmt = db.prepare(`
+    INSERT INTO layer_snapshots (room_id, layer_id, position, snapshot_png)
+    VALUES (?, ?, ?, ?)
+  `);
+  snapshotLayers.forEach((layer, position) => {
+    layerStmt.run([roomId, layer.layerId, position, layer.snapshotPng]);
+  });
+  layerStmt.free();
+}
+
+/**
+ * Layers of the room's snapshot, bottom first
+ */
+function getLayerSnapshots(roomId) {
+  return queryAll(`
+    SELECT layer_id, snapshot_png FROM layer_snapshots
+    WHERE room_id = ?
+    ORDER BY position ASC
+  `, [roomId]).map(row => ({
+    layerId: row.layer_id,
+    snapshotPng: Buffer.from(row.snapshot_png)
+  }));
 }
 
 function getCanvasSnapshot(roomId) {
@@ -289,37 +978,251 @@ function getCanvasSnapshot(roomId) {
   if (stmt.step()) {
     const row = stmt.getAsObject();
     stmt.free();
+    const snapshotPng = Buffer.from(row.snapshot_png);
+    const snapshotLayers = getLayerSnapshots(roomId);
     return {
-      snapshotData: row.snapshot_data,
-      timestamp: row.timestamp
+      snapshotPng,
+      layers: snapshotLayers.length > 0
+        ? snapshotLayers
+        : [{ layerId: layers.BACKGROUND_LAYER, snapshotPng }],
+      timestamp: row.timestamp,
+      seq: row.seq || 0
     };
   }
   stmt.free();
   return null;
 }
 
+/**
+ * Sequence number and layer ids (bottom first) of the room's snapshot,
+ * without reading its images, or null if it has none
+ */
+function getCanvasSnapshotInfo(roomId) {
+  const rows = queryAll(
+    `SELECT seq FROM canvas_snapshots WHERE room_id = ? ORDER BY timestamp DESC LIMIT 1`,
+    [roomId]
+  );
+  if (rows.length === 0) return null;
+  
+  const layerIds = queryAll(
+    `SELECT layer_id FROM layer_snapshots WHERE room_id = ? ORDER BY position ASC`,
+    [roomId]
+  ).map(row => row.layer_id);
+  return {
+    seq: rows[0].seq || 0,
+    layerIds: layerIds.length > 0 ? layerIds : [layers.BACKGROUND_LAYER]
+  };
+}
+
 function clearCanvasSnapshot(roomId) {
   db.run(`DELETE FROM canvas_snapshots WHERE room_id = ?`, [roomId]);
+  db.run(`DELETE FROM layer_snapshots WHERE room_id = ?`, [roomId]);
+}
+
+/**
+ * Save the canvas the room's drawing history starts from: its layers
+ * ([{ layerId, snapshotPng }], bottom first) as of seq
+ */
+function saveHistoryBase(roomId, seq, baseLayers) {
+  clearHistoryBase(roomId);
+  
+  const stmt = db.prepare(`
+    INSERT INTO history_bases (room_id, layer_id, position, snapshot_png, seq)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  baseLayers.forEach((layer, position) => {
+    stmt.run([roomId, layer.layerId, position, layer.snapshotPng, seq]);
+  });
+  stmt.free();
+}
+
+/**
+ * The room's history base { seq, layers }, or null if none was saved
+ */
+function getHistoryBase(roomId) {
+  const rows = queryAll(`
+    SELECT layer_id, snapshot_png, seq FROM history_bases
+    WHERE room_id = ?
+    ORDER BY position ASC
+  `, [roomId]);
+  if (rows.length === 0) return null;
+  
+  return {
+    seq: rows[0].seq,
+    layers: rows.map(row => ({ layerId: row.layer_id, snapshotPng: Buffer.from(row.snapshot_png) }))
+  };
+}
+
+function clearHistoryBase(roomId) {
+  db.run(`DELETE FROM history_bases WHERE room_id = ?`, [roomId]);
+}
+
+// =============================================================================
+// Canvas Version Operations
+// =============================================================================
+
+function formatVersionRow(row, includeData = false) {
+  const version = {
+    id: row.id,
+    name: row.name,
+    reason: row.reason,
+    authorId: row.author_id,
+    authorName: row.author_name,
+    seq: row.seq || 0,
+    createdAt: row.created_at
+  };
+  
+  if (includeData) {
+    version.snapshotPng = Buffer.from(row.snapshot_png);
+  }
+  return version;
+}
+
+/**
+ * Archive a canvas image (PNG Buffer), returns the new version id
+ */
+function addCanvasVersion(roomId, { name, reason, authorId, authorName, snapshotPng, seq, createdAt }) {
+  const stmt = db.prepare(`
+    INSERT INTO canvas_versions (room_id, name, reason, author_id, author_name, snapshot_png, seq, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  stmt.run([roomId, name, reason, authorId || null, authorName || null, snapshotPng, seq || 0, createdAt]);
+  stmt.free();
+  
+  return queryAll(`SELECT last_insert_rowid() AS id`)[0].id;
+}
+
+/**
+ * List a room's versions, newest first (without image data)
+ */
+function getCanvasVersions(roomId) {
+  return queryAll(`
+    SELECT id, room_id, name, reason, author_id, author_name, seq, created_at
+    FROM canvas_versions WHERE room_id = ?
+    ORDER BY created_at DESC, id DESC
+  `, [roomId]).map(row => formatVersionRow(row));
+}
+
+function getCanvasVersion(roomId, versionId) {
+  const rows = queryAll(
+    `SELECT * FROM canvas_versions WHERE room_id = ? AND id = ?`,
+    [roomId, versionId]
+  );
+  return rows.length > 0 ? formatVersionRow(rows[0], true) : null;
+}
+
+/**
+ * Keep only the newest `keep` versions of a room
+ */
+function pruneCanvasVersions(roomId, keep) {
+  db.run(`
+    DELETE FROM canvas_versions
+    WHERE room_id = ? AND id NOT IN (
+      SELECT id FROM canvas_versions WHERE room_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    )
+  `, [roomId, roomId, keep]);
+}
+
+// =============================================================================
+// Server Secret Operations
+// =============================================================================
+
+function getServerSecret(name) {
+  const [row] = queryAll(`SELECT value FROM server_secrets WHERE name = ?`, [name]);
+  return row ? row.value : null;
+}
+
+function setServerSecret(name, value) {
+  db.run(`INSERT OR REPLACE INTO server_secrets (name, value) VALUES (?, ?)`, [name, value]);
 }
 
 // =============================================================================
 // Cleanup Operations
 // =============================================================================
 
-function cleanupOldData(maxAgeMs = 7 * 24 * 60 * 60 * 1000) {
-  const cutoff = Date.now() - maxAgeMs;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SQL for the time before which a room's history is pruned, given the
+ * room id column (rooms that no longer exist get the default retention)
+ */
+function retentionCutoffSql(roomIdColumn) {
+  return `COALESCE(
+    (SELECT $now - COALESCE(r.history_retention_days, $defaultDays) * ${DAY_MS} FROM rooms r WHERE r.id = ${roomIdColumn}),
+    $now - $defaultDays * ${DAY_MS}
+  )`;
+}
+
+/**
+ * Prune chat messages and drawing events older than their room's
+ * historyRetentionDays setting
+ */
+function cleanupOldData(now = Date.now()) {
+  const params = { $now: now, $defaultDays: DEFAULT_ROOM_SETTINGS.historyRetentionDays };
+  
+  // Remember the highest sequence number we are about to prune, so rejoining
+  // clients that fall behind it get a full resync instead of a gapped replay
+  db.run(`
+    UPDATE rooms SET history_floor_seq = MAX(
+      COALESCE(history_floor_seq, 0),
+      COALESCE((
+        SELECT MAX(seq) FROM chat_messages c
+        WHERE c.room_id = rooms.id AND c.timestamp < ${retentionCutoffSql('rooms.id')}
+      ), 0),
+      COALESCE((
+        SELECT MAX(seq) FROM drawing_events d
+        WHERE d.room_id = rooms.id AND d.timestamp < ${retentionCutoffSql('rooms.id')}
+        AND d.room_id IN (
+          SELECT room_id FROM canvas_snapshots s WHERE s.timestamp > ${retentionCutoffSql('s.room_id')}
+        )
+      ), 0)
+    )
+  `, params);
   
   // Delete old messages
-  db.run(`DELETE FROM chat_messages WHERE timestamp < ?`, [cutoff]);
+  db.run(`
+    DELETE FROM chat_messages WHERE timestamp < ${retentionCutoffSql('chat_messages.room_id')}
+  `, params);
+  
+  // Expired invites can't be used anymore
+  db.run(`DELETE FROM room_invites WHERE expires_at < ?`, [now]);
+  
+  // Pruned strokes can't be replayed any more, so those rooms' history now
+  // starts from their snapshot, which covers them
+  const prunedRoomsSql = `
+    SELECT DISTINCT d.room_id FROM drawing_events d
+    WHERE d.timestamp < ${retentionCutoffSql('d.room_id')}
+    AND d.room_id IN (
+      SELECT room_id FROM canvas_snapshots s WHERE s.timestamp > ${retentionCutoffSql('s.room_id')}
+    )
+  `;
+  db.run(`DELETE FROM history_bases WHERE room_id IN (${prunedRoomsSql})`, params);
+  db.run(`
+    INSERT INTO history_bases (room_id, layer_id, position, snapshot_png, seq)
+    SELECT l.room_id, l.layer_id, l.position, l.snapshot_png, COALESCE(s.seq, 0)
+    FROM layer_snapshots l JOIN canvas_snapshots s ON s.room_id = l.room_id
+    WHERE l.room_id IN (${prunedRoomsSql})
+  `, params);
+  
+  // Snapshots from before layers are all background
+  db.run(`
+    INSERT INTO history_bases (room_id, layer_id, position, snapshot_png, seq)
+    SELECT s.room_id, $backgroundLayer, 0, s.snapshot_png, COALESCE(s.seq, 0)
+    FROM canvas_snapshots s
+    WHERE s.room_id IN (${prunedRoomsSql})
+    AND s.room_id NOT IN (SELECT room_id FROM layer_snapshots)
+  `, { ...params, $backgroundLayer: layers.BACKGROUND_LAYER });
   
   // Delete old drawing events (but keep if there's no newer snapshot)
   db.run(`
     DELETE FROM drawing_events 
-    WHERE timestamp < ? 
+    WHERE timestamp < ${retentionCutoffSql('drawing_events.room_id')}
     AND room_id IN (
-      SELECT room_id FROM canvas_snapshots WHERE timestamp > ?
+      SELECT room_id FROM canvas_snapshots s WHERE s.timestamp > ${retentionCutoffSql('s.room_id')}
     )
-  `, [cutoff, cutoff]);
+  `, params);
   
   console.log('[DB] Cleaned up old data');
 }
@@ -334,24 +1237,65 @@ module.exports = {
   
   // Rooms
   createRoom,
+  setRoomSettings,
+  formatRoomSettings,
   getRoom,
   getAllRooms,
+  setRoomClearMode,
+  setRoomOwner,
+  setCanvasLocked,
+  setJoinLocked,
   deleteRoom,
+  getLatestSeq,
+  getHistoryFloorSeq,
+  
+  // Invites
+  addRoomInvite,
+  getRoomInvite,
+  
+  // Moderation
+  addRoomBan,
+  removeRoomBan,
+  getRoomBans,
+  setRoomMute,
+  getRoomMutes,
   
   // Chat
   addChatMessage,
   getChatHistory,
+  getChatSketch,
+  getSketchUrl,
   clearChatHistory,
   
   // Drawing
   addDrawingEvent,
   getDrawingEvents,
+  getLastResetSeq,
+  getRoomEventsSince,
+  findUndoableStroke,
+  findRedoableStroke,
+  setStrokeRetracted,
   clearDrawingEvents,
   
   // Snapshots
   saveCanvasSnapshot,
   getCanvasSnapshot,
+  getCanvasSnapshotInfo,
+  getLayerSnapshots,
   clearCanvasSnapshot,
+  saveHistoryBase,
+  getHistoryBase,
+  clearHistoryBase,
+  
+  // Versions
+  addCanvasVersion,
+  getCanvasVersions,
+  getCanvasVersion,
+  pruneCanvasVersions,
+  
+  // Secrets
+  getServerSecret,
+  setServerSecret,
   
   // Cleanup
   cleanupOldData
@@ -0,0 +1,237 @@
+/**
+ * PNG Codec
+ *
+ * Minimal pure-JS PNG encoder/decoder for server-side canvas snapshots:
+ * - Encodes 8-bit RGBA pixel buffers
+ * - Decodes 8-bit RGB/RGBA, non-interlaced PNGs (what canvas.toDataURL produces)
+ * - Uses Node's built-in zlib, no native canvas bindings needed
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const COLOR_TYPE_RGB = 2;
+const COLOR_TYPE_RGBA = 6;
+
+// =============================================================================
+// CRC32
+// =============================================================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// =============================================================================
+// Encoding
+// =============================================================================
+
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData), 0);
+
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode an RGBA pixel buffer ({ width, height, data }) as a PNG Buffer
+ */
+function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;               // Bit depth
+  header[9] = COLOR_TYPE_RGBA;
+  header[10] = 0;              // Compression
+  header[11] = 0;              // Filter method
+  header[12] = 0;              // No interlace
+
+  // Each scanline is prefixed with filter type 0 (None)
+  const rowLength = width * 4;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (rowLength + 1)] = 0;
+    Buffer.from(data.buffer, data.byteOffset + y * rowLength, rowLength)
+      .copy(raw, y * (rowLength + 1) + 1);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk('IHDR', header),
+    createChunk('IDAT', zlib.deflateSync(raw)),
+    createChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// =============================================================================
+// Decoding
+// =============================================================================
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * Read width/height from a PNG header without decoding the image
+ * Returns null if the buffer isn't a PNG
+ */
+function readPngSize(buffer) {
+  if (buffer.length < 24 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+  if (buffer.toString('ascii', 12, 16) !== 'IHDR') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+/**
+ * Decode a PNG Buffer into an RGBA pixel buffer ({ width, height, data })
+ * Throws on formats we don't support
+ */
+function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let offset = 8;
+  let header = null;
+  const idatChunks = [];
+
+  while (offset < buffer.length) {
+    const isFirstChunk = offset === 8;
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    // Size checks read the first chunk (readPngSize), so that header must be the only one
+    if (isFirstChunk !== (type === 'IHDR')) {
+      throw new Error(isFirstChunk ? 'Missing IHDR chunk' : 'IHDR must be the first and only header chunk');
+    }
+
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'IDAT') {
+      idatChunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) throw new Error('Missing IHDR chunk');
+  if (header.bitDepth !== 8 || header.interlace !== 0) {
+    throw new Error('Only 8-bit non-interlaced PNGs are supported');
+  }
+  if (header.colorType !== COLOR_TYPE_RGBA && header.colorType !== COLOR_TYPE_RGB) {
+    throw new Error('Only RGB/RGBA PNGs are supported');
+  }
+
+  const { width, height } = header;
+  const channels = header.colorType === COLOR_TYPE_RGBA ? 4 : 3;
+  const rowLength = width * channels;
+  const rawLength = (rowLength + 1) * height;
+
+  // Never inflate more than the header promises: a tiny upload could
+  // otherwise decompress to gigabytes
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(idatChunks), { maxOutputLength: rawLength });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error('Image data larger than its header says');
+    throw err;
+  }
+
+  if (raw.length < rawLength) {
+    throw new Error('Truncated image data');
+  }
+
+  // Undo per-scanline filters
+  const pixels = Buffer.alloc(rowLength * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (rowLength + 1)];
+    const src = y * (rowLength + 1) + 1;
+    const dst = y * rowLength;
+
+    for (let x = 0; x < rowLength; x++) {
+      const value = raw[src + x];
+      const left = x >= channels ? pixels[dst + x - channels] : 0;
+      const up = y > 0 ? pixels[dst + x - rowLength] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[dst + x - rowLength - channels] : 0;
+
+      switch (filter) {
+        case 0: pixels[dst + x] = value; break;
+        case 1: pixels[dst + x] = value + left; break;
+        case 2: pixels[dst + x] = value + up; break;
+        case 3: pixels[dst + x] = value + ((left + up) >> 1); break;
+        case 4: pixels[dst + x] = value + paeth(left, up, upLeft); break;
+        default: throw new Error(`Unknown PNG filter type ${filter}`);
+      }
+    }
+  }
+
+  // Expand to RGBA
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0, j = 0; i < pixels.length; i += channels, j += 4) {
+    data[j] = pixels[i];
+    data[j + 1] = pixels[i + 1];
+    data[j + 2] = pixels[i + 2];
+    data[j + 3] = channels === 4 ? pixels[i + 3] : 255;
+  }
+
+  return { width, height, data };
+}
+
+// =============================================================================
+// Data URLs
+// =============================================================================
+
+const DATA_URL_PREFIX = 'data:image/png;base64,';
+
+function toDataUrl(pngBuffer) {
+  return DATA_URL_PREFIX + pngBuffer.toString('base64');
+}
+
+/**
+ * Returns the PNG bytes of a data URL, or null if it isn't a PNG data URL
+ */
+function fromDataUrl(dataUrl) {
+  if (typeof dataUrl !== 'string' || !dataUrl.startsWith(DATA_URL_PREFIX)) return null;
+  return Buffer.from(dataUrl.slice(DATA_URL_PREFIX.length), 'base64');
+}
+
+module.exports = {
+  encodePng,
+  decodePng,
+  readPngSize,
+  toDataUrl,
+  fromDataUrl
+};
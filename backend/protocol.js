@@ -0,0 +1,499 @@
+/**
+ * Protocol Module
+ *
+ * Declared schemas for every client → server WebSocket message:
+ * - Field types, required fields and basic limits per message type
+ * - Machine-readable error codes sent back to clients
+ * - A single validateMessage() entry point used by the server dispatcher
+ * - Per-room settings: their limits, defaults and validateRoomSettings()
+ *
+ * Schemas only check shape. Anything that needs room state (does the room
+ * exist, is it full) is checked by the handlers in server.js, and drawing
+ * geometry is clamped by strokeSanitizer.js.
+ */
+
+// =============================================================================
+// Error Codes
+// =============================================================================
+
+const ErrorCodes = {
+  INVALID_JSON: 'INVALID_JSON',       // Frame could not be parsed as JSON
+  INVALID_FRAME: 'INVALID_FRAME',     // Binary frame could not be decoded
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',       // No schema for this message type
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD', // Message failed schema validation
+  NOT_IN_ROOM: 'NOT_IN_ROOM',         // Room-scoped message before join
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',   // Target room does not exist
+  ROOM_FULL: 'ROOM_FULL',             // Target room is at capacity
+  RATE_LIMITED: 'RATE_LIMITED',       // Too many messages, retry after retryAfterMs
+  NOTHING_TO_UNDO: 'NOTHING_TO_UNDO', // No undoable stroke of this player
+  NOTHING_TO_REDO: 'NOTHING_TO_REDO', // No redoable stroke of this player
+  NO_CLEAR_TO_UNDO: 'NO_CLEAR_TO_UNDO', // No clear within its undo grace period
+  NO_ACTIVE_VOTE: 'NO_ACTIVE_VOTE',   // No clear vote running in the room
+  PASSWORD_REQUIRED: 'PASSWORD_REQUIRED', // Missing or wrong password for a password room
+  INVITE_REQUIRED: 'INVITE_REQUIRED', // Missing, unknown or expired invite for an invite-only room
+  TOOL_NOT_ALLOWED: 'TOOL_NOT_ALLOWED', // Drawing tool not in the room's allowedTools
+  NOT_OWNER: 'NOT_OWNER',             // Moderation by a player who doesn't own the room
+  PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND', // Moderation target is not in the room
+  MUTED: 'MUTED',                     // The room owner muted this player's chat or drawing
+  CANVAS_LOCKED: 'CANVAS_LOCKED',     // The room owner locked the canvas
+  ROOM_LOCKED: 'ROOM_LOCKED',         // The room owner locked the room to new joins
+  BANNED: 'BANNED',                   // The room owner banned this player
+  SESSION_REQUIRED: 'SESSION_REQUIRED', // Rejoin without a session token
+  SESSION_INVALID: 'SESSION_INVALID'  // Forged, expired or someone else's session token
+};
+
+// How a room handles clearing the canvas:
+// - undoable: clears right away, any player can undo it during a grace period
+// - vote: a clear starts a vote and needs a majority of the active players
+const CLEAR_MODES = ['undoable', 'vote'];
+
+// Who may enter a custom room (see roomAccess.js):
+// - public: listed in the lobby, anyone can join
+// - password: listed in the lobby, joining takes the room password
+// - invite: hidden from the lobby, joining takes an invite token
+const ROOM_ACCESS = ['public', 'password', 'invite'];
+
+// What a room owner can mute for a player: chat (messages, sketches) or
+// drawing (strokes, clears, undo/redo)
+const MUTE_SCOPES = ['chat', 'draw'];
+
+// Drawing tools, matching the toolbar in frontend/index.html
+const DRAW_TOOLS = ['pen', 'brush', 'line', 'rect', 'circle', 'fill', 'eraser'];
+
+// Hex colors, #rgb or #rrggbb
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Wire protocol versions, announced by clients on join/rejoin:
+// 1 - JSON only (clients that don't announce a version)
+// 2 - draw/strokePoints may travel as binary frames (shared/strokeCodec.js)
+const PROTOCOL_VERSION = 2;
+
+// =============================================================================
+// Schemas
+// =============================================================================
+
+const MAX_ID_LENGTH = 64;
+const MAX_SESSION_TOKEN_LENGTH = 512;
+const MAX_CHAT_LENGTH = 140; // DS-like character limit
+const MAX_SKETCH_LENGTH = 200000; // PNG data URL of a sketch sent as a chat message
+const MAX_STROKE_BATCH_POINTS = 64; // Points per live strokePoints batch
+const MAX_DRAW_POINTS = 10000; // Points per draw message (clients simplify strokes to MAX_STROKE_POINTS first)
+const MAX_ERASE_LAYERS = 64; // Layer ids one eraser stroke may name
+const MAX_PASSWORD_LENGTH = 64;
+const MAX_QUEUE_REPLAY_EVENTS = 500;
+
+// Largest WebSocket frame the server accepts (its maxPayload): a sketch
+// upload with room to spare. Bigger frames close the connection.
+const MAX_FRAME_BYTES = 512 * 1024;
+
+// =============================================================================
+// Room Settings
+// =============================================================================
+
+// Server limits on what a room may be configured with
+const MAX_ROOM_PLAYERS = 8;
+const MIN_CANVAS_WIDTH = 128;
+const MAX_CANVAS_WIDTH = 1024;
+const MIN_CANVAS_HEIGHT = 96;
+const MAX_CANVAS_HEIGHT = 768;
+const MAX_HISTORY_RETENTION_DAYS = 30;
+
+const MAX_FILL_MASK_ITEMS = MAX_CANVAS_WIDTH * MAX_CANVAS_HEIGHT / 2; // Two numbers per run, one run per four pixels of the largest canvas at worst (rooms check their own size)
+
+// Settings of rooms that weren't configured (the built-in rooms)
+const DEFAULT_ROOM_SETTINGS = {
+  maxPlayers: 4,
+  canvasWidth: 512,
+  canvasHeight: 192,
+  allowedTools: DRAW_TOOLS,
+  maxChatLength: MAX_CHAT_LENGTH,
+  historyRetentionDays: 7 // Chat and drawing events older than this are pruned
+};
+
+// Rules for settings given to POST /api/rooms and PATCH /api/rooms/:roomId
+const ROOM_SETTINGS_FIELDS = {
+  maxPlayers: { type: 'integer', min: 1, max: MAX_ROOM_PLAYERS },
+  canvasWidth: { type: 'integer', min: MIN_CANVAS_WIDTH, max: MAX_CANVAS_WIDTH },
+  canvasHeight: { type: 'integer', min: MIN_CANVAS_HEIGHT, max: MAX_CANVAS_HEIGHT },
+  allowedTools: { type: 'array', minItems: 1, maxItems: DRAW_TOOLS.length, items: { type: 'string', oneOf: DRAW_TOOLS } },
+  maxChatLength: { type: 'integer', min: 1, max: MAX_CHAT_LENGTH },
+  historyRetentionDays: { type: 'integer', min: 1, max: MAX_HISTORY_RETENTION_DAYS }
+};
+
+/**
+ * Field rules:
+ * - type: 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object' | 'point'
+ * - required: field must be present (not undefined/null)
+ * - minLength / maxLength / notBlank: string limits
+ * - oneOf / pattern: allowed string values / RegExp the string must match
+ * - min / max: number limits
+ * - minItems / maxItems / items: array limits and per-item rule
+ *
+ * requiresRoom: the message is only valid after a successful join/rejoin
+ */
+const MESSAGE_SCHEMAS = {
+  join: {
+    requiresRoom: false,
+    fields: {
+      roomId: { type: 'string', required: true, minLength: 1, maxLength: MAX_ID_LENGTH },
+      playerId: { type: 'string', minLength: 1, maxLength: MAX_ID_LENGTH },
+      playerName: { type: 'string', maxLength: 32 },
+      playerColor: { type: 'string', maxLength: 16 },
+      protocolVersion: { type: 'integer', min: 1 },
+      password: { type: 'string', maxLength: MAX_PASSWORD_LENGTH },
+      inviteToken: { type: 'string', maxLength: MAX_ID_LENGTH },
+      sessionToken: { type: 'string', maxLength: MAX_SESSION_TOKEN_LENGTH }
+    }
+  },
+
+  // Needs the sessionToken from the join; it must be issued to playerId,
+  // and the player's name and color come from it
+  rejoin: {
+    requiresRoom: false,
+    fields: {
+      roomId: { type: 'string', required: true, minLength: 1, maxLength: MAX_ID_LENGTH },
+      playerId: { type: 'string', required: true, minLength: 1, maxLength: MAX_ID_LENGTH },
+      lastSeq: { type: 'integer', min: 0 },
+      protocolVersion: { type: 'integer', min: 1 },
+      password: { type: 'string', maxLength: MAX_PASSWORD_LENGTH },
+      inviteToken: { type: 'string', maxLength: MAX_ID_LENGTH },
+      sessionToken: { type: 'string', maxLength: MAX_SESSION_TOKEN_LENGTH }
+    }
+  },
+
+  draw: {
+    requiresRoom: true,
+    fields: {
+      eventId: { type: 'string', minLength: 1, maxLength: MAX_ID_LENGTH },
+      strokeId: { type: 'string', minLength: 1, maxLength: MAX_ID_LENGTH },
+      points: { type: 'array', required: true, minItems: 1, maxItems: MAX_DRAW_POINTS, items: { type: 'point' } },
+      color: { type: 'string', required: true, pattern: COLOR_PATTERN },
+      size: { type: 'number', required: true },
+      tool: { type: 'string', oneOf: DRAW_TOOLS },
+      // Fills only: run-length mask of the filled pixels (see shared/floodFill.js)
+      mask: { type: 'array', maxItems: MAX_FILL_MASK_ITEMS, items: { type: 'integer', min: 0 } },
+      // Erasers only: layers to erase ('*' for all), the sender's own by default (see shared/layers.js)
+      layers: { type: 'array', minItems: 1, maxItems: MAX_ERASE_LAYERS, items: { type: 'string', minLength: 1, maxLength: MAX_ID_LENGTH } }
+    }
+  },
+
+  // Points of a stroke still being drawn, relayed live; the stroke is
+  // persisted by the draw message with the same strokeId on pointer-up
+  strokePoints: {
+    requiresRoom: true,
+    fields: {
+      strokeId: { type: 'string', required: true, minLength: 1, maxLength: MAX_ID_LENGTH },
+      points: { type: 'array', required: true, minItems: 1, maxItems: MAX_STROKE_BATCH_POINTS, items: { type: 'point' } },
+      color: { type: 'string', required: true, pattern: COLOR_PATTERN },
+      size: { type: 'number', required: true },
+      tool: { type: 'string', oneOf: DRAW_TOOLS },
+      layers: { type: 'array', minItems: 1, maxItems: MAX_ERASE_LAYERS, items: { type: 'string', minLength: 1, maxLength: MAX_ID_LENGTH } }
+    }
+  },
+
+  // Pointer position on the shared canvas, relayed to the room and never stored
+  cursor: {
+    requiresRoom: true,
+    fields: {
+      x: { type: 'number', required: true },
+      y: { type: 'number', required: true },
+      hidden: { type: 'boolean' } // Pointer left the canvas
+    }
+  },
+
+  // Clears right away, or starts/joins a clear vote in vote mode
+  clear: {
+    requiresRoom: true,
+    fields: {}
+  },
+
+  // Undo the room's last clear during its grace period
+  undoClear: {
+    requiresRoom: true,
+    fields: {}
+  },
+
+  clearVote: {
+    requiresRoom: true,
+    fields: {
+      approve: { type: 'boolean', required: true }
+    }
+  },
+
+  // Undo/redo the sender's own most recent stroke
+  undo: {
+    requiresRoom: true,
+    fields: {}
+  },
+
+  redo: {
+    requiresRoom: true,
+    fields: {}
+  },
+
+  message: {
+    requiresRoom: true,
+    fields: {
+      eventId: { type: 'string', minLength: 1, maxLength: MAX_ID_LENGTH },
+      text: { type: 'string', required: true, notBlank: true, maxLength: MAX_CHAT_LENGTH }
+    }
+  },
+
+  // A drawing sent as a chat message, with an optional caption
+  sketch: {
+    requiresRoom: true,
+    fields: {
+      eventId: { type: 'string', minLength: 1, maxLength: MAX_ID_LENGTH },
+      sketchData: { type: 'string', required: true, minLength: 1, maxLength: MAX_SKETCH_LENGTH },
+      text: { type: 'string', maxLength: MAX_CHAT_LENGTH }
+    }
+  },
+
+  drawStart: {
+    requiresRoom: true,
+    fields: {}
+  },
+
+  drawEnd: {
+    requiresRoom: true,
+    fields: {}
+  },
+
+  queueReplay: {
+    requiresRoom: true,
+    fields: {
+      events: { type: 'array', required: true, maxItems: MAX_QUEUE_REPLAY_EVENTS, items: { type: 'object' } }
+    }
+  },
+
+  // Moderation by the room owner, broadcast as a moderation message
+  kick: {
+    requiresRoom: true,
+    fields: {
+      targetPlayerId: { type: 'string', required: true, minLength: 1, maxLength: MAX_ID_LENGTH }
+    }
+  },
+
+  mute: {
+    requiresRoom: true,
+    fields: {
+      targetPlayerId: { type: 'string', required: true, minLength: 1, maxLength: MAX_ID_LENGTH },
+      scope: { type: 'string', required: true, oneOf: MUTE_SCOPES },
+      muted: { type: 'boolean', required: true }
+    }
+  },
+
+  // Bans are by player id and may name players who aren't in the room
+  ban: {
+    requiresRoom: true,
+    fields: {
+      targetPlayerId: { type: 'string', required: true, minLength: 1, maxLength: MAX_ID_LENGTH },
+      banned: { type: 'boolean', required: true }
+    }
+  },
+
+  lockCanvas: {
+    requiresRoom: true,
+    fields: {
+      locked: { type: 'boolean', required: true }
+    }
+  },
+
+  lockRoom: {
+    requiresRoom: true,
+    fields: {
+      locked: { type: 'boolean', required: true }
+    }
+  },
+
+  transferOwnership: {
+    requiresRoom: true,
+    fields: {
+      targetPlayerId: { type: 'string', required: true, minLength: 1, maxLength: MAX_ID_LENGTH }
+    }
+  },
+
+  // New invite token for the current room, answered with an invite message
+  createInvite: {
+    requiresRoom: true,
+    fields: {}
+  },
+
+  // Client liveness check, answered with a pong
+  ping: {
+    requiresRoom: false,
+    fields: {}
+  }
+};
+
+// Message types a client may queue offline and send inside queueReplay
+const QUEUEABLE_TYPES = ['draw', 'message', 'sketch'];
+
+// =============================================================================
+// Validation
+// =============================================================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check a single value against a field rule.
+ * Returns a human-readable problem description, or null if valid.
+ */
+function checkField(name, value, rule) {
+  if (value === undefined || value === null) {
+    return rule.required ? `${name} is required` : null;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${name} must be a string`;
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return `${name} must be at least ${rule.minLength} characters`;
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `${name} must be at most ${rule.maxLength} characters`;
+      }
+      if (rule.notBlank && value.trim().length === 0) return `${name} must not be blank`;
+      if (rule.oneOf && !rule.oneOf.includes(value)) {
+        return `${name} must be one of: ${rule.oneOf.join(', ')}`;
+      }
+      if (rule.pattern && !rule.pattern.test(value)) return `${name} has an invalid format`;
+      return null;
+
+    case 'number':
+    case 'integer':
+      if (!isFiniteNumber(value)) return `${name} must be a number`;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return `${name} must be an integer`;
+      if (rule.min !== undefined && value < rule.min) return `${name} must be >= ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `${name} must be <= ${rule.max}`;
+      return null;
+
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${name} must be a boolean`;
+
+    case 'object':
+      return isPlainObject(value) ? null : `${name} must be an object`;
+
+    case 'point':
+      if (!isPlainObject(value) || !isFiniteNumber(value.x) || !isFiniteNumber(value.y)) {
+        return `${name} must be a point with numeric x and y`;
+      }
+      return null;
+
+    case 'array':
+      if (!Array.isArray(value)) return `${name} must be an array`;
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return `${name} must have at least ${rule.minItems} items`;
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return `${name} must have at most ${rule.maxItems} items`;
+      }
+      if (rule.items) {
+        for (let i = 0; i < value.length; i++) {
+          const problem = checkField(`${name}[${i}]`, value[i], { ...rule.items, required: true });
+          if (problem) return problem;
+        }
+      }
+      return null;
+
+    default:
+      return `${name} has an unsupported rule type`;
+  }
+}
+
+/**
+ * Validate a parsed client message against its schema.
+ *
+ * Returns { valid: true, schema } or { valid: false, code, message }.
+ * Unknown extra fields are ignored so older/newer clients stay compatible.
+ */
+function validateMessage(message, allowedTypes = null) {
+  if (!isPlainObject(message)) {
+    return { valid: false, code: ErrorCodes.INVALID_PAYLOAD, message: 'Message must be an object' };
+  }
+
+  const { type } = message;
+  const schema = typeof type === 'string' && Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, type)
+    ? MESSAGE_SCHEMAS[type]
+    : null;
+
+  if (!schema || (allowedTypes && !allowedTypes.includes(type))) {
+    return { valid: false, code: ErrorCodes.UNKNOWN_TYPE, message: `Unknown message type: ${type}` };
+  }
+
+  for (const [name, rule] of Object.entries(schema.fields)) {
+    const problem = checkField(name, message[name], rule);
+    if (problem) {
+      return { valid: false, code: ErrorCodes.INVALID_PAYLOAD, message: problem };
+    }
+  }
+
+  return { valid: true, schema };
+}
+
+/**
+ * Validate (partial) room settings against ROOM_SETTINGS_FIELDS.
+ * Returns a human-readable problem description, or null if valid.
+ */
+function validateRoomSettings(settings) {
+  if (!isPlainObject(settings)) return 'settings must be an object';
+
+  for (const name of Object.keys(settings)) {
+    if (!Object.prototype.hasOwnProperty.call(ROOM_SETTINGS_FIELDS, name)) {
+      return `Unknown setting: ${name}`;
+    }
+    const problem = checkField(name, settings[name], ROOM_SETTINGS_FIELDS[name]);
+    if (problem) return problem;
+  }
+
+  return null;
+}
+
+/**
+ * Protocol version to speak with a client that announced clientVersion
+ */
+function negotiateProtocolVersion(clientVersion) {
+  return Math.min(clientVersion || 1, PROTOCOL_VERSION);
+}
+
+/**
+ * Extract the client-supplied request id, if it is usable
+ */
+function getRequestId(message) {
+  if (!isPlainObject(message)) return null;
+  const { requestId } = message;
+  if (typeof requestId === 'string' && requestId.length > 0 && requestId.length <= MAX_ID_LENGTH) {
+    return requestId;
+  }
+  return null;
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+module.exports = {
+  ErrorCodes,
+  MESSAGE_SCHEMAS,
+  QUEUEABLE_TYPES,
+  CLEAR_MODES,
+  ROOM_ACCESS,
+  MUTE_SCOPES,
+  MAX_CHAT_LENGTH,
+  MAX_PASSWORD_LENGTH,
+  MAX_FRAME_BYTES,
+  DEFAULT_ROOM_SETTINGS,
+  ROOM_SETTINGS_FIELDS,
+  PROTOCOL_VERSION,
+
+  validateMessage,
+  validateRoomSettings,
+  negotiateProtocolVersion,
+  getRequestId
+};
@@ -0,0 +1,292 @@
+/**
+ * Rate Limiter
+ *
+ * Token-bucket flood protection for WebSocket messages and REST routes:
+ * - Per message type buckets (draw, message, clear, sketch, ...)
+ * - Per connection bucket covering every frame a socket sends
+ * - Per IP bucket shared by all of that IP's connections
+ * - Per IP buckets for HTTP routes (Express middleware)
+ * - Violation tracking so repeat offenders can be disconnected
+ *
+ * Limits can be overridden with the RATE_LIMITS environment variable (JSON,
+ * same shape as DEFAULT_LIMITS, merged over the defaults).
+ */
+
+// capacity: burst size, refillPerSecond: sustained rate
+const DEFAULT_LIMITS = {
+  messages: {
+    join: { capacity: 5, refillPerSecond: 0.5 },
+    rejoin: { capacity: 5, refillPerSecond: 0.5 },
+    draw: { capacity: 30, refillPerSecond: 10 },
+    strokePoints: { capacity: 40, refillPerSecond: 20 },
+    cursor: { capacity: 20, refillPerSecond: 15 },
+    clear: { capacity: 3, refillPerSecond: 0.2 },
+    undoClear: { capacity: 3, refillPerSecond: 0.2 },
+    clearVote: { capacity: 5, refillPerSecond: 0.5 },
+    undo: { capacity: 10, refillPerSecond: 4 },
+    redo: { capacity: 10, refillPerSecond: 4 },
+    message: { capacity: 5, refillPerSecond: 1 },
+    sketch: { capacity: 3, refillPerSecond: 0.2 },
+    drawStart: { capacity: 30, refillPerSecond: 10 },
+    drawEnd: { capacity: 30, refillPerSecond: 10 },
+    queueReplay: { capacity: 3, refillPerSecond: 0.1 },
+    createInvite: { capacity: 3, refillPerSecond: 1 / 20 },
+    kick: { capacity: 5, refillPerSecond: 0.5 },
+    mute: { capacity: 10, refillPerSecond: 1 },
+    ban: { capacity: 5, refillPerSecond: 0.5 },
+    lockCanvas: { capacity: 5, refillPerSecond: 0.5 },
+    lockRoom: { capacity: 5, refillPerSecond: 0.5 },
+    transferOwnership: { capacity: 3, refillPerSecond: 0.2 },
+    ping: { capacity: 5, refillPerSecond: 1 }
+  },
+  connection: { capacity: 100, refillPerSecond: 40 },
+  ip: { capacity: 200, refillPerSecond: 80 },
+  http: {
+    api: { capacity: 60, refillPerSecond: 2 },
+    createRoom: { capacity: 3, refillPerSecond: 1 / 60 },
+    updateRoom: { capacity: 5, refillPerSecond: 1 / 10 },
+    restoreVersion: { capacity: 3, refillPerSecond: 1 / 20 }
+  },
+  violations: { max: 30, windowMs: 10000 } // Disconnect after this many rejections in the window
+};
+
+const PRUNE_INTERVAL_MS = 60000;
+
+// =============================================================================
+// Token Bucket
+// =============================================================================
+
+class TokenBucket {
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  hasTokens(cost = 1) {
+    this.refill();
+    return this.tokens >= cost;
+  }
+
+  take(cost = 1) {
+    this.tokens -= cost;
+  }
+
+  /**
+   * Milliseconds until `cost` tokens are available
+   */
+  msUntilAvailable(cost = 1) {
+    this.refill();
+    if (this.tokens >= cost) return 0;
+    return Math.ceil(((cost - this.tokens) / this.refillPerSecond) * 1000);
+  }
+
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+}
+
+/**
+ * Take one token from every bucket, or from none of them.
+ * Returns { allowed, retryAfterMs }.
+ */
+function takeFromAll(buckets) {
+  const blocked = buckets.filter(bucket => !bucket.hasTokens());
+
+  if (blocked.length > 0) {
+    return {
+      allowed: false,
+      retryAfterMs: Math.max(...blocked.map(bucket => bucket.msUntilAvailable()))
+    };
+  }
+
+  buckets.forEach(bucket => bucket.take());
+  return { allowed: true, retryAfterMs: 0 };
+}
+
+// =============================================================================
+// Connection Limiter
+// =============================================================================
+
+/**
+ * Limits for a single WebSocket connection
+ */
+class ConnectionLimiter {
+  constructor(rateLimiter, ip) {
+    this.rateLimiter = rateLimiter;
+    this.ip = ip;
+    this.typeBuckets = new Map();
+    this.connectionBucket = new TokenBucket(rateLimiter.limits.connection);
+    this.violations = [];
+  }
+
+  /**
+   * Consume a token for an incoming message.
+   * type may be null for frames that didn't parse into a known message.
+   */
+  consume(type) {
+    const buckets = [this.connectionBucket, this.rateLimiter.getIpBucket('ws', this.ip)];
+
+    const typeBucket = this.getTypeBucket(type);
+    if (typeBucket) {
+      buckets.unshift(typeBucket);
+    }
+
+    return takeFromAll(buckets);
+  }
+
+  /**
+   * Consume a token for an event replayed inside a queueReplay frame. The
+   * frame already paid for the connection and IP, so only the event type's
+   * bucket is charged. refusedAhead is how many earlier events of this type
+   * in the same replay were refused: later ones are refused too (keeping
+   * their order) and told to retry after them.
+   */
+  consumeQueued(type, refusedAhead = 0) {
+    const bucket = this.getTypeBucket(type);
+    if (!bucket) return { allowed: true, retryAfterMs: 0 };
+
+    if (refusedAhead === 0 && bucket.hasTokens()) {
+      bucket.take();
+      return { allowed: true, retryAfterMs: 0 };
+    }
+
+    return { allowed: false, retryAfterMs: bucket.msUntilAvailable(refusedAhead + 1) };
+  }
+
+  /**
+   * The bucket of a message type, or null for types without a limit
+   */
+  getTypeBucket(type) {
+    const typeLimit = type ? this.rateLimiter.limits.messages[type] : null;
+    if (!typeLimit) return null;
+
+    if (!this.typeBuckets.has(type)) {
+      this.typeBuckets.set(type, new TokenBucket(typeLimit));
+    }
+    return this.typeBuckets.get(type);
+  }
+
+  /**
+   * Record a rejected message
+   * Returns true once the connection has too many recent violations
+   */
+  recordViolation() {
+    const { max, windowMs } = this.rateLimiter.limits.violations;
+    const now = Date.now();
+
+    this.violations.push(now);
+    this.violations = this.violations.filter(t => now - t <= windowMs);
+
+    return this.violations.length >= max;
+  }
+}
+
+// =============================================================================
+// Rate Limiter
+// =============================================================================
+
+class RateLimiter {
+  constructor(overrides = {}) {
+    this.limits = mergeLimits(DEFAULT_LIMITS, overrides);
+    this.ipBuckets = new Map(); // `${scope}:${ip}` -> TokenBucket
+
+    // Forget idle IPs so the map doesn't grow forever
+    this.pruneInterval = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneInterval.unref();
+  }
+
+  /**
+   * Create the limiter for a new WebSocket connection
+   */
+  forConnection(ip) {
+    return new ConnectionLimiter(this, ip);
+  }
+
+  getIpBucket(scope, ip) {
+    const key = `${scope}:${ip}`;
+    if (!this.ipBuckets.has(key)) {
+      const limit = scope === 'ws' ? this.limits.ip : this.limits.http[scope];
+      this.ipBuckets.set(key, new TokenBucket(limit));
+    }
+    return this.ipBuckets.get(key);
+  }
+
+  /**
+   * Express middleware limiting a route group per client IP
+   */
+  httpMiddleware(scope) {
+    if (!this.limits.http[scope]) {
+      throw new Error(`No HTTP rate limit configured for "${scope}"`);
+    }
+
+    return (req, res, next) => {
+      const result = takeFromAll([this.getIpBucket(scope, req.ip)]);
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+        return res.status(429).json({ error: 'Too many requests, slow down' });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Drop buckets that have refilled completely (their IP has gone quiet)
+   */
+  prune() {
+    this.ipBuckets.forEach((bucket, key) => {
+      if (bucket.isFull()) {
+        this.ipBuckets.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Deep-merge limit overrides over the defaults
+ */
+function mergeLimits(defaults, overrides) {
+  const merged = { ...defaults };
+
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && defaults[key]) {
+      merged[key] = mergeLimits(defaults[key], value);
+    } else {
+      merged[key] = value;
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Read limit overrides from the RATE_LIMITS environment variable
+ */
+function loadLimitsFromEnv() {
+  if (!process.env.RATE_LIMITS) return {};
+
+  try {
+    return JSON.parse(process.env.RATE_LIMITS);
+  } catch (err) {
+    console.error('[RateLimiter] Ignoring invalid RATE_LIMITS:', err.message);
+    return {};
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  TokenBucket,
+  DEFAULT_LIMITS,
+  loadLimitsFromEnv
+};
@@ -0,0 +1,344 @@
+/**
+ * Canvas Renderer
+ *
+ * Headless, pure-JS rasterizer that replays drawing events into RGBA
+ * pixel buffers, mirroring renderDrawEvent() in the client:
+ * - One transparent buffer per layer (see shared/layers.js), merged over white
+ * - Freehand strokes (pen, brush) as smoothed curves with round caps and joins
+ * - Erasers clear pixels of the layers they target back to transparent
+ * - Shapes (line, rect, circle) drawn as outlines
+ * - Flood fill from the run-length mask shipped with the event
+ * - Clear and undo/redo (retracted strokes are skipped)
+ *
+ * Used to produce authoritative canvas snapshots without native canvas bindings.
+ */
+
+const floodFill = require('../shared/floodFill');
+const layers = require('../shared/layers');
+const strokeProcessing = require('../shared/strokeProcessing');
+
+// Default canvas size; rooms may configure their own (settings in protocol.js)
+const CANVAS_WIDTH = 512;
+const CANVAS_HEIGHT = 192;
+
+const WHITE = { r: 255, g: 255, b: 255 };
+const BLACK = { r: 0, g: 0, b: 0 };
+const TRANSPARENT = { r: 0, g: 0, b: 0, a: 0 };
+
+// =============================================================================
+// Pixel Buffer
+// =============================================================================
+
+/**
+ * Create an RGBA pixel buffer, white unless a background color is given
+ */
+function createCanvas(width = CANVAS_WIDTH, height = CANVAS_HEIGHT, background = WHITE) {
+  const canvas = { width, height, data: new Uint8ClampedArray(width * height * 4) };
+  if (background !== TRANSPARENT) fillCanvas(canvas, background);
+  return canvas;
+}
+
+/**
+ * Create a fully transparent pixel buffer for a layer
+ */
+function createLayer(width = CANVAS_WIDTH, height = CANVAS_HEIGHT) {
+  return createCanvas(width, height, TRANSPARENT);
+}
+
+function fillCanvas(canvas, color) {
+  const { data } = canvas;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = color.r;
+    data[i + 1] = color.g;
+    data[i + 2] = color.b;
+    data[i + 3] = 255;
+  }
+}
+
+/**
+ * Draw a decoded image over the canvas at (0, 0) with alpha blending
+ * (source-over), clipping to canvas bounds
+ */
+function drawImage(canvas, image) {
+  const rows = Math.min(canvas.height, image.height);
+  const cols = Math.min(canvas.width, image.width);
+  const dst = canvas.data;
+  const src = image.data;
+
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const s = (y * image.width + x) * 4;
+      const d = (y * canvas.width + x) * 4;
+      const srcAlpha = src[s + 3] / 255;
+      if (srcAlpha === 0) continue;
+
+      const dstAlpha = (dst[d + 3] / 255) * (1 - srcAlpha);
+      const outAlpha = srcAlpha + dstAlpha;
+      for (let c = 0; c < 3; c++) {
+        dst[d + c] = Math.round((src[s + c] * srcAlpha + dst[d + c] * dstAlpha) / outAlpha);
+      }
+      dst[d + 3] = Math.round(outAlpha * 255);
+    }
+  }
+}
+
+/**
+ * True if every pixel is white
+ */
+function isBlank(canvas) {
+  const { data } = canvas;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i] !== 255 || data[i + 1] !== 255 || data[i + 2] !== 255) return false;
+  }
+  return true;
+}
+
+function setPixel(canvas, x, y, color) {
+  const idx = (y * canvas.width + x) * 4;
+  canvas.data[idx] = color.r;
+  canvas.data[idx + 1] = color.g;
+  canvas.data[idx + 2] = color.b;
+  canvas.data[idx + 3] = color.a === undefined ? 255 : color.a;
+}
+
+function parseColor(color) {
+  if (typeof color !== 'string') return BLACK;
+
+  let hex = color.replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex)) {
+    hex = hex.split('').map(c => c + c).join('');
+  }
+  if (!/^[0-9a-f]{6}$/i.test(hex)) return BLACK;
+
+  return {
+    r: parseInt(hex.slice(0, 2), 16),
+    g: parseInt(hex.slice(2, 4), 16),
+    b: parseInt(hex.slice(4, 6), 16)
+  };
+}
+
+// =============================================================================
+// Primitives
+// =============================================================================
+
+/**
+ * Fill every pixel whose center lies within `radius` of the segment (x0,y0)-(x1,y1).
+ * A chain of these gives round caps and round joins, like lineCap/lineJoin 'round'.
+ */
+function strokeSegment(canvas, x0, y0, x1, y1, radius, color) {
+  const minX = Math.max(0, Math.floor(Math.min(x0, x1) - radius));
+  const maxX = Math.min(canvas.width - 1, Math.ceil(Math.max(x0, x1) + radius));
+  const minY = Math.max(0, Math.floor(Math.min(y0, y1) - radius));
+  const maxY = Math.min(canvas.height - 1, Math.ceil(Math.max(y0, y1) + radius));
+
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const lengthSq = dx * dx + dy * dy;
+  const radiusSq = radius * radius;
+
+  for (let y = minY; y <= maxY; y++) {
+    const py = y + 0.5;
+    for (let x = minX; x <= maxX; x++) {
+      const px = x + 0.5;
+
+      let t = lengthSq > 0 ? ((px - x0) * dx + (py - y0) * dy) / lengthSq : 0;
+      t = Math.max(0, Math.min(1, t));
+
+      const cx = x0 + t * dx - px;
+      const cy = y0 + t * dy - py;
+      if (cx * cx + cy * cy <= radiusSq) {
+        setPixel(canvas, x, y, color);
+      }
+    }
+  }
+}
+
+function strokePolyline(canvas, points, radius, color, closed = false) {
+  if (points.length === 1) {
+    strokeSegment(canvas, points[0].x, points[0].y, points[0].x, points[0].y, radius, color);
+    return;
+  }
+
+  for (let i = 1; i < points.length; i++) {
+    strokeSegment(canvas, points[i - 1].x, points[i - 1].y, points[i].x, points[i].y, radius, color);
+  }
+
+  if (closed) {
+    const last = points[points.length - 1];
+    strokeSegment(canvas, last.x, last.y, points[0].x, points[0].y, radius, color);
+  }
+}
+
+function strokeRect(canvas, start, end, radius, color) {
+  const corners = [
+    { x: start.x, y: start.y },
+    { x: end.x, y: start.y },
+    { x: end.x, y: end.y },
+    { x: start.x, y: end.y }
+  ];
+  strokePolyline(canvas, corners, radius, color, true);
+}
+
+/**
+ * Outline the ellipse inscribed in the start/end bounding box,
+ * same geometry as drawShape('circle') in the client
+ */
+function strokeEllipse(canvas, start, end, radius, color) {
+  const radiusX = Math.abs(end.x - start.x) / 2;
+  const radiusY = Math.abs(end.y - start.y) / 2;
+  const centerX = start.x + (end.x - start.x) / 2;
+  const centerY = start.y + (end.y - start.y) / 2;
+
+  if (radiusX === 0 && radiusY === 0) return;
+
+  // Enough segments that each is ~2px long
+  const perimeter = 2 * Math.PI * Math.sqrt((radiusX * radiusX + radiusY * radiusY) / 2);
+  const segments = Math.max(16, Math.ceil(perimeter / 2));
+
+  const points = [];
+  for (let i = 0; i < segments; i++) {
+    const angle = (i / segments) * Math.PI * 2;
+    points.push({ x: centerX + radiusX * Math.cos(angle), y: centerY + radiusY * Math.sin(angle) });
+  }
+  strokePolyline(canvas, points, radius, color, true);
+}
+
+/**
+ * Fill with the event's precomputed mask, or compute one on the merged
+ * canvas (fillBase) for fills stored before masks were shipped with the event
+ */
+function fillArea(canvas, event, color, fillBase) {
+  const { points, mask } = event;
+  const fillMask = Array.isArray(mask)
+    ? mask
+    : floodFill.computeFillMask(fillBase, points[0].x, points[0].y, color);
+  floodFill.applyFillMask(canvas, fillMask, color);
+}
+
+// =============================================================================
+// Event Replay
+// =============================================================================
+
+/**
+ * Paint one draw event onto a single canvas. Erasers clear to transparent.
+ * fillBase is the canvas a fill without a mask is computed on.
+ */
+function paintEvent(canvas, event, fillBase = canvas) {
+  const { points, size, tool } = event;
+  const color = layers.isEraser(event) ? TRANSPARENT : parseColor(event.color);
+  const radius = Math.max(0.5, (Number(size) || 1) / 2);
+
+  if (tool === 'fill' && points.length === 1) {
+    fillArea(canvas, event, color, fillBase);
+  } else if (tool === 'line' && points.length >= 2) {
+    strokePolyline(canvas, [points[0], points[1]], radius, color);
+  } else if (tool === 'rect' && points.length >= 2) {
+    strokeRect(canvas, points[0], points[1], radius, color);
+  } else if (tool === 'circle' && points.length >= 2) {
+    strokeEllipse(canvas, points[0], points[1], radius, color);
+  } else if (points.length === 1) {
+    strokePolyline(canvas, points, radius, color);
+  } else {
+    // Same curves the client draws with quadraticCurveTo
+    const path = strokeProcessing.flattenSegments(strokeProcessing.smoothSegments(points));
+    strokePolyline(canvas, path, radius, color);
+  }
+}
+
+/**
+ * Create an empty layer stack: a Map of layer id -> canvas, bottom layer
+ * first, whose layers all have the given size
+ */
+function createStack(width = CANVAS_WIDTH, height = CANVAS_HEIGHT) {
+  const stack = new Map();
+  stack.width = width;
+  stack.height = height;
+  return stack;
+}
+
+/**
+ * The layer's canvas, created on top of the stack if it doesn't exist yet
+ */
+function getLayer(stack, layerId) {
+  if (!stack.has(layerId)) {
+    stack.set(layerId, createLayer(stack.width, stack.height));
+  }
+  return stack.get(layerId);
+}
+
+/**
+ * Apply a single drawing event to a layer stack
+ */
+function renderEvent(stack, event) {
+  if (event.type === 'clear') {
+    stack.clear();
+    return;
+  }
+
+  // Undo/redo rows only matter through the retracted flag on the stroke itself
+  if (event.type !== 'draw' || event.retracted) return;
+  if (!Array.isArray(event.points) || event.points.length === 0) return;
+
+  if (layers.isEraser(event)) {
+    layers.erasedLayers(event, Array.from(stack.keys()))
+      .forEach(layerId => paintEvent(stack.get(layerId), event));
+    return;
+  }
+
+  const needsBase = event.tool === 'fill' && !Array.isArray(event.mask);
+  paintEvent(getLayer(stack, event.playerId), event, needsBase ? compositeLayers(stack) : null);
+}
+
+/**
+ * Layer ids a stack holding layerIds ends up with once events are applied,
+ * without painting anything (the same rules as renderEvent)
+ */
+function replayLayerIds(layerIds, events) {
+  const ids = new Set(layerIds);
+  events.forEach(event => {
+    if (event.type === 'clear') {
+      ids.clear();
+    } else if (event.type === 'draw' && !event.retracted && Array.isArray(event.points) &&
+        event.points.length > 0 && !layers.isEraser(event)) {
+      ids.add(event.playerId);
+    }
+  });
+  return Array.from(ids);
+}
+
+/**
+ * Apply events in order to a layer stack
+ */
+function renderEvents(stack, events) {
+  events.forEach(event => renderEvent(stack, event));
+  return stack;
+}
+
+/**
+ * Merge a layer stack onto a white canvas, bottom layer first
+ * layerIds limits the merge to those layers
+ */
+function compositeLayers(stack, layerIds = null) {
+  const canvas = createCanvas(stack.width, stack.height);
+  stack.forEach((layer, layerId) => {
+    if (!layerIds || layerIds.includes(layerId)) drawImage(canvas, layer);
+  });
+  return canvas;
+}
+
+module.exports = {
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  createCanvas,
+  createLayer,
+  createStack,
+  drawImage,
+  isBlank,
+  parseColor,
+  paintEvent,
+  getLayer,
+  renderEvent,
+  renderEvents,
+  replayLayerIds,
+  compositeLayers
+};
@@ -0,0 +1,73 @@
+/**
+ * Room Access
+ *
+ * Secrets behind private custom rooms (see ROOM_ACCESS in protocol.js):
+ * - Room passwords are stored as salted scrypt hashes, never in plain text
+ * - Invite tokens open invite-only (and password) rooms until they expire
+ * - Private rooms get a random access key, handed to players once they are
+ *   in, that the room's REST routes require (canvas exports, history, ...)
+ */
+
+const crypto = require('crypto');
+
+const MIN_PASSWORD_LENGTH = 4;
+const INVITE_TTL_MS = 24 * 60 * 60 * 1000; // Invites work for a day
+const SCRYPT_KEY_LENGTH = 32;
+
+// =============================================================================
+// Passwords
+// =============================================================================
+
+/**
+ * Salted hash of a room password, as stored in rooms.password_hash
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * True if password matches a hash from hashPassword()
+ */
+function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') return false;
+
+  const [scheme, saltHex, hashHex] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// =============================================================================
+// Tokens
+// =============================================================================
+
+/**
+ * Random URL-safe token, for invites and room access keys
+ */
+function createToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+/**
+ * Compare a presented token with the expected one in constant time
+ */
+function tokensMatch(given, expected) {
+  if (typeof given !== 'string' || typeof expected !== 'string') return false;
+
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  INVITE_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  createToken,
+  tokensMatch
+};
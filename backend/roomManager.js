@@ -5,21 +5,52 @@
  * - Player tracking (in-memory for active connections)
  * - Chat history (persisted to database)
  * - Canvas drawing events (persisted to database)
- * - Canvas snapshots (periodic saves)
+ * - Canvas snapshots (rendered on the server every SNAPSHOT_INTERVAL), one image per layer
+ * - Canvas versions (archived before clears/restores and from superseded snapshots)
+ * - Live strokes (in-memory points of strokes still being drawn)
+ * - Room access (passwords, invites and access keys of private custom rooms)
+ * - Room settings (capacity, canvas size, tools, chat length, retention)
+ * - Moderation (the owner of a custom room can kick, mute, ban and lock)
  */
 
 const db = require('./db');
+const png = require('./png');
+const renderer = require('./renderer');
+const svg = require('./svg');
+const floodFill = require('../shared/floodFill');
+const layers = require('../shared/layers');
+const roomAccess = require('./roomAccess');
+const { DEFAULT_ROOM_SETTINGS } = require('./protocol');
 
 class RoomManager {
   constructor() {
     // In-memory state for active connections
     this.activeRooms = new Map(); // roomId -> { players, lastActivity }
     
-    // Configuration
-    this.MAX_PLAYERS_PER_ROOM = 4;
+    // Latest server render per room, reused until the room's history or
+    // snapshot moves on (most recently used last)
+    this.renderCache = new Map(); // roomId -> { key, render }
+    this.encodedPngs = new WeakMap(); // Cached canvas -> its PNG bytes
+    
+    // Recently processed client event ids, kept across reconnects so
+    // replayed events can be acked without being stored twice
+    this.processedEvents = new Map(); // `${roomId}:${playerId}` -> { ids: Map(eventId -> seq), lastSeen }
+    
+    // Configuration (per-room settings are in the rooms table, see DEFAULT_ROOM_SETTINGS)
     this.MAX_CHAT_HISTORY = 50;
     this.MAX_DRAWING_EVENTS_MEMORY = 500;
+    this.MAX_MISSED_EVENTS = 500; // Larger gaps on rejoin get a full resync
+    this.MAX_REMEMBERED_EVENT_IDS = 500; // Per player, matches the queueReplay limit
     this.SNAPSHOT_INTERVAL = 60000; // Save canvas snapshot every 60 seconds
+    this.HISTORY_PAGE_SIZE = 200; // Drawing events per playback page
+    this.MAX_HISTORY_PAGE_SIZE = 500;
+    this.MAX_VERSIONS_PER_ROOM = 30;
+    this.AUTOSAVE_VERSION_INTERVAL = 10 * 60 * 1000; // Archive superseded snapshots at most this often
+    this.MAX_CACHED_RENDERS = 4; // Rooms whose rendered canvas is kept for exports and fills
+    this.CLEAR_UNDO_GRACE_MS = 15000; // How long a clear can be undone in 'undoable' rooms
+    this.CLEAR_VOTE_DURATION_MS = 30000; // Clear votes fail if not decided by then
+    this.LIVE_STROKE_IDLE_MS = 10000; // Unfinished live strokes are dropped after this long without points
+    this.MAX_LIVE_STROKE_POINTS = 5000;
     
     // Start snapshot interval
     this.snapshotInterval = setInterval(() => this.saveAllSnapshots(), this.SNAPSHOT_INTERVAL);
@@ -27,8 +58,9 @@ class RoomManager {
 
   /**
    * Initialize default rooms in database
+   * clearMode is applied to existing default rooms too, so it can be changed by config
    */
-  async initializeDefaultRooms() {
+  async initializeDefaultRooms(clearMode = 'undoable') {
     const defaultRooms = ['A', 'B', 'C', 'D'];
     
     for (const name of defaultRooms) {
@@ -36,18 +68,29 @@ class RoomManager {
       const existing = db.getRoom(roomId);
       
       if (!existing) {
-        db.createRoom(roomId, `Chat ${name}`, false);
+        db.createRoom(roomId, `Chat ${name}`, false, clearMode);
         console.log(`[RoomManager] Created default room: Chat ${name}`);
+      } else if (existing.clear_mode !== clearMode) {
+        db.setRoomClearMode(roomId, clearMode);
       }
     }
   }
 
   /**
    * Create a new room
+   * access: 'public', 'password' (needs password) or 'invite'
+   * settings: validated room settings, defaults for the ones left out
+   * ownerId: player who moderates the room (custom rooms only)
    */
-  createRoom(name, roomId, isCustom = false) {
-    // Save to database
-    db.createRoom(roomId, name, isCustom);
+  createRoom(name, roomId, isCustom = false, clearMode = 'undoable', { access = 'public', password = null, settings = {}, ownerId = null } = {}) {
+    // Save to database; private rooms get a key for their REST routes
+    db.createRoom(roomId, name, isCustom, clearMode, {
+      access,
+      passwordHash: access === 'password' ? roomAccess.hashPassword(password) : null,
+      accessKey: access === 'public' ? null : roomAccess.createToken(),
+      settings,
+      ownerId
+    });
     
     console.log(`[RoomManager] Created room: ${name} (${roomId})`);
     return this.getRoomInfo(roomId);
@@ -61,18 +104,12 @@ class RoomManager {
   }
 
   /**
-   * Get all rooms with their current state
+   * Get all lobby rooms with their current state (invite-only rooms are unlisted)
    */
   getAllRooms() {
-    const dbRooms = db.getAllRooms();
+    const dbRooms = db.getAllRooms().filter(room => room.access !== 'invite');
     
-    return dbRooms.map(room => ({
-      id: room.id,
-      name: room.name,
-      playerCount: this.getActivePlayerCount(room.id),
-      maxPlayers: room.max_players || this.MAX_PLAYERS_PER_ROOM,
-      isCustom: room.is_custom === 1
-    }));
+    return dbRooms.map(room => this.formatRoomInfo(room));
   }
 
   /**
@@ -80,17 +117,230 @@ class RoomManager {
    */
   getRoomInfo(roomId) {
     const room = db.getRoom(roomId);
-    if (!room) return null;
+    return room ? this.formatRoomInfo(room) : null;
+  }
+
+  /**
+   * Room info from a rooms row
+   */
+  formatRoomInfo(room) {
+    const settings = db.formatRoomSettings(room);
 
     return {
       id: room.id,
       name: room.name,
-      playerCount: this.getActivePlayerCount(roomId),
-      maxPlayers: room.max_players || this.MAX_PLAYERS_PER_ROOM,
-      isCustom: room.is_custom === 1
+      playerCount: this.getActivePlayerCount(room.id),
+      maxPlayers: settings.maxPlayers,
+      isCustom: room.is_custom === 1,
+      clearMode: room.clear_mode || 'undoable',
+      access: room.access || 'public',
+      settings
+    };
+  }
+
+  /**
+   * Get a room's settings (defaults for the ones never set), or null
+   */
+  getRoomSettings(roomId) {
+    const room = db.getRoom(roomId);
+    return room ? db.formatRoomSettings(room) : null;
+  }
+
+  /**
+   * Change some of a room's settings (validated, null resets one to its
+   * default) and return all of them
+   */
+  updateRoomSettings(roomId, changes) {
+    db.setRoomSettings(roomId, changes);
+    
+    const activeRoom = this.activeRooms.get(roomId);
+    if (activeRoom) activeRoom.lastActivity = Date.now();
+    
+    console.log(`[RoomManager] Updated settings of room ${roomId}: ${Object.keys(changes).join(', ')}`);
+    return this.getRoomSettings(roomId);
+  }
+
+  /**
+   * A room's canvas size as { width, height }
+   */
+  getCanvasSize(roomId) {
+    const { canvasWidth, canvasHeight } = this.getRoomSettings(roomId) || DEFAULT_ROOM_SETTINGS;
+    return { width: canvasWidth, height: canvasHeight };
+  }
+
+  /**
+   * True if nothing is drawn on the room's canvas (so it can be resized)
+   */
+  isCanvasBlank(roomId) {
+    return renderer.isBlank(this.renderCanvas(roomId).canvas);
+  }
+
+  /**
+   * Check whether a player may enter a room.
+   * Returns null if they may, otherwise why not: 'banned', 'locked' (the
+   * owner locked the room to new joins) or the access mode they failed
+   * ('password' or 'invite'). Players admitted once get back in on rejoin
+   * without credentials, so an invite expiring or a lock doesn't strand them.
+   */
+  checkRoomAccess(roomId, playerId, { password, inviteToken } = {}) {
+    const room = db.getRoom(roomId);
+    if (!room) return null;
+    
+    if (playerId && this.isBanned(roomId, playerId)) return 'banned';
+    
+    const activeRoom = this.activeRooms.get(roomId);
+    const admitted = Boolean(playerId && activeRoom && activeRoom.admittedPlayerIds.has(playerId));
+    if (admitted || (playerId && playerId === room.owner_id)) return null;
+    
+    if (room.join_locked === 1) return 'locked';
+    
+    const access = room.access || 'public';
+    if (access === 'public') return null;
+    
+    // An invite opens password rooms too
+    const invite = inviteToken ? this.getInvite(inviteToken) : null;
+    if (invite && invite.roomId === roomId) return null;
+    
+    if (access === 'password' && password && roomAccess.verifyPassword(password, room.password_hash)) {
+      return null;
+    }
+    
+    return access;
+  }
+
+  /**
+   * Remember that a player got into a private room
+   */
+  admitPlayer(roomId, playerId) {
+    this.getActiveRoom(roomId).admittedPlayerIds.add(playerId);
+  }
+
+  /**
+   * Key required by a private room's REST routes, null for public rooms
+   */
+  getRoomKey(roomId) {
+    const room = db.getRoom(roomId);
+    return room && room.access_key || null;
+  }
+
+  /**
+   * True if key opens the room's REST routes (any key does for public rooms)
+   */
+  isRoomKeyValid(roomId, key) {
+    const roomKey = this.getRoomKey(roomId);
+    return !roomKey || roomAccess.tokensMatch(key, roomKey);
+  }
+
+  /**
+   * Create an expiring invite to a room
+   */
+  createInvite(roomId, createdBy) {
+    const createdAt = Date.now();
+    const invite = {
+      token: roomAccess.createToken(),
+      createdBy,
+      createdAt,
+      expiresAt: createdAt + roomAccess.INVITE_TTL_MS
+    };
+    db.addRoomInvite(roomId, invite);
+    
+    return { token: invite.token, roomId, expiresAt: invite.expiresAt };
+  }
+
+  /**
+   * Get an invite by token, or null if it doesn't exist or has expired
+   */
+  getInvite(token) {
+    const invite = db.getRoomInvite(token);
+    if (!invite || invite.expiresAt <= Date.now() || !this.roomExists(invite.roomId)) return null;
+    return invite;
+  }
+
+  /**
+   * Id of the player who owns (moderates) a room, or null
+   */
+  getOwnerId(roomId) {
+    const room = db.getRoom(roomId);
+    return room && room.owner_id || null;
+  }
+
+  isOwner(roomId, playerId) {
+    return Boolean(playerId) && this.getOwnerId(roomId) === playerId;
+  }
+
+  /**
+   * Owner, locks, mutes and bans of a room, as sent to its players
+   */
+  getModerationState(roomId) {
+    const room = db.getRoom(roomId);
+    if (!room) return null;
+    
+    return {
+      ownerId: room.owner_id || null,
+      canvasLocked: room.canvas_locked === 1,
+      roomLocked: room.join_locked === 1,
+      mutes: db.getRoomMutes(roomId),
+      bans: db.getRoomBans(roomId).map(({ playerId, playerName }) => ({ playerId, playerName }))
     };
   }
 
+  transferOwnership(roomId, playerId) {
+    db.setRoomOwner(roomId, playerId);
+    console.log(`[RoomManager] Room ${roomId} is now owned by ${playerId}`);
+  }
+
+  /**
+   * Mute or unmute a player's chat or drawing (see MUTE_SCOPES in protocol.js)
+   */
+  setMuted(roomId, playerId, scope, muted) {
+    db.setRoomMute(roomId, playerId, scope, muted);
+  }
+
+  isMuted(roomId, playerId, scope) {
+    return db.getRoomMutes(roomId).some(mute => mute.playerId === playerId && mute.scope === scope);
+  }
+
+  /**
+   * Ban a player from a room by id; they can't join or rejoin until unbanned
+   */
+  banPlayer(roomId, { playerId, playerName, bannedBy }) {
+    db.addRoomBan(roomId, { playerId, playerName, bannedBy, createdAt: Date.now() });
+    this.forgetAdmittedPlayer(roomId, playerId);
+    console.log(`[RoomManager] Banned ${playerId} from ${roomId}`);
+  }
+
+  unbanPlayer(roomId, playerId) {
+    db.removeRoomBan(roomId, playerId);
+  }
+
+  /**
+   * Whether the player is banned from the room
+   */
+  isBanned(roomId, playerId) {
+    return db.getRoomBans(roomId).some(ban => ban.playerId === playerId);
+  }
+
+  /**
+   * Make a kicked or banned player pass the room's access checks again
+   */
+  forgetAdmittedPlayer(roomId, playerId) {
+    const activeRoom = this.activeRooms.get(roomId);
+    if (activeRoom) activeRoom.admittedPlayerIds.delete(playerId);
+  }
+
+  isCanvasLocked(roomId) {
+    const room = db.getRoom(roomId);
+    return Boolean(room && room.canvas_locked === 1);
+  }
+
+  setCanvasLocked(roomId, locked) {
+    db.setCanvasLocked(roomId, locked);
+  }
+
+  setRoomLocked(roomId, locked) {
+    db.setJoinLocked(roomId, locked);
+  }
+
   /**
    * Get or create active room state
    */
@@ -99,6 +349,10 @@ class RoomManager {
       this.activeRooms.set(roomId, {
         players: new Map(),
         drawingEventsCache: [], // In-memory cache for fast access
+        pendingClearUndo: null, // { versionId, clearSeq, expiresAt } while a clear can be undone
+        clearVote: null, // Running clear vote in 'vote' rooms
+        liveStrokes: new Map(), // `${playerId}:${strokeId}` -> stroke still being drawn
+        admittedPlayerIds: new Set(), // Players let into a private room, for rejoins
         lastActivity: Date.now()
       });
     }
@@ -114,15 +368,17 @@ class RoomManager {
   }
 
   /**
-   * Add a player to a room
+   * Add a player to a room. A player already in it (joining again from a
+   * new connection) is replaced and doesn't count against the capacity.
    */
   addPlayer(roomId, player) {
     const room = db.getRoom(roomId);
     if (!room) return false;
 
     const activeRoom = this.getActiveRoom(roomId);
+    const isReplacing = activeRoom.players.has(player.playerId);
     
-    if (activeRoom.players.size >= (room.max_players || this.MAX_PLAYERS_PER_ROOM)) {
+    if (!isReplacing && activeRoom.players.size >= db.formatRoomSettings(room).maxPlayers) {
       console.log(`[RoomManager] Room ${roomId} is full`);
       return false;
     }
@@ -135,12 +391,25 @@ class RoomManager {
   }
 
   /**
-   * Remove a player from a room
+   * A player in a room (with their connection), or null
    */
-  removePlayer(roomId, playerId) {
+  getPlayer(roomId, playerId) {
+    const activeRoom = this.activeRooms.get(roomId);
+    return activeRoom && activeRoom.players.get(playerId) || null;
+  }
+
+  /**
+   * Remove a player from a room. Given their connection (ws), only removes
+   * them if it is still the one in the room, so a closing socket can't
+   * evict the newer connection that replaced it.
+   */
+  removePlayer(roomId, playerId, ws = null) {
     const activeRoom = this.activeRooms.get(roomId);
     if (!activeRoom) return false;
 
+    const player = activeRoom.players.get(playerId);
+    if (ws && player && player.ws !== ws) return false;
+
     const removed = activeRoom.players.delete(playerId);
     
     if (removed) {
@@ -169,21 +438,27 @@ class RoomManager {
   }
 
   /**
-   * Get the current state of a room for syncing
+   * Get active players info (without ws reference)
    */
-  getRoomState(roomId) {
-    const room = db.getRoom(roomId);
-    if (!room) return null;
-
+  getActivePlayers(roomId) {
     const activeRoom = this.getActiveRoom(roomId);
-
-    // Get active players info (without ws reference)
-    const activePlayers = Array.from(activeRoom.players.values()).map(p => ({
+    
+    return Array.from(activeRoom.players.values()).map(p => ({
       playerId: p.playerId,
       playerName: p.playerName,
       playerColor: p.playerColor || 'blue',
       isDrawing: p.isDrawing || false
     }));
+  }
+
+  /**
+   * Get the current state of a room for syncing
+   */
+  getRoomState(roomId) {
+    const room = db.getRoom(roomId);
+    if (!room) return null;
+
+    const activePlayers = this.getActivePlayers(roomId);
 
     // Get chat history from database
     const chatHistory = db.getChatHistory(roomId, this.MAX_CHAT_HISTORY);
@@ -194,7 +469,7 @@ class RoomManager {
     
     if (snapshot) {
       // Get events after the snapshot
-      drawingEvents = db.getDrawingEvents(roomId, snapshot.timestamp);
+      drawingEvents = db.getDrawingEvents(roomId, snapshot.seq);
     } else {
       // No snapshot, get all recent events
       drawingEvents = db.getDrawingEvents(roomId, 0);
@@ -206,23 +481,69 @@ class RoomManager {
       activePlayers,
       chatHistory,
       drawingEvents,
-      canvasSnapshot: snapshot ? snapshot.snapshotData : null
+      layerSnapshots: snapshot ? snapshot.layers.map(layer => ({
+        layerId: layer.layerId,
+        snapshotData: png.toDataUrl(layer.snapshotPng)
+      })) : [],
+      latestSeq: room.last_seq || 0,
+      clearMode: room.clear_mode || 'undoable',
+      liveStrokes: this.getLiveStrokes(roomId),
+      clearVote: this.getClearVoteStatus(roomId),
+      roomKey: room.access_key || null,
+      settings: db.formatRoomSettings(room),
+      moderation: this.getModerationState(roomId)
     };
   }
 
+  /**
+   * Get the events a rejoining client missed since lastSeq.
+   * Returns { fullResync: true } when the gap can't be replayed exactly:
+   * the client has no position, its position is ahead of ours (history was
+   * reset), part of the gap was pruned, or the gap is too large.
+   */
+  getEventsSince(roomId, lastSeq) {
+    const latestSeq = db.getLatestSeq(roomId);
+    
+    if (!lastSeq || lastSeq > latestSeq || lastSeq < db.getHistoryFloorSeq(roomId)) {
+      return { fullResync: true, events: [], latestSeq };
+    }
+    
+    const events = db.getRoomEventsSince(roomId, lastSeq);
+    
+    // A restore replaces the whole canvas image, and so does an undo/redo of a
+    // stroke inside the snapshot (rebased) - neither image is part of the event
+    if (events.length > this.MAX_MISSED_EVENTS || events.some(e => e.type === 'restore' || e.rebased)) {
+      return { fullResync: true, events: [], latestSeq };
+    }
+    
+    return { fullResync: false, events, latestSeq };
+  }
+
   /**
    * Add a chat message to room history
+   * Assigns message.seq from the room's sequence counter
+   * (and message.sketchUrl for sketches)
    */
   addChatMessage(roomId, message) {
-    db.addChatMessage(
+    const renderKey = this.getRenderKey(roomId);
+    message.seq = db.addChatMessage(
       roomId,
       message.playerId,
       message.playerName,
       message.playerColor || 'blue',
       message.text,
-      message.timestamp
+      message.timestamp,
+      message.sketchData ? png.fromDataUrl(message.sketchData) : null
     );
     
+    // Clients load sketches by URL instead of receiving the image inline
+    if (message.sketchData) {
+      delete message.sketchData;
+      message.sketchUrl = db.getSketchUrl(roomId, message.seq);
+    }
+    
+    this.advanceRender(roomId, renderKey);
+    
     const activeRoom = this.activeRooms.get(roomId);
     if (activeRoom) {
       activeRoom.lastActivity = Date.now();
@@ -236,12 +557,93 @@ class RoomManager {
     return db.getChatHistory(roomId, this.MAX_CHAT_HISTORY);
   }
 
+  /**
+   * True if sketchData is a PNG data URL that decodes and fits the room's canvas
+   */
+  isValidSketch(roomId, sketchData) {
+    const canvas = this.getCanvasSize(roomId);
+    const image = png.fromDataUrl(sketchData);
+    const size = image && png.readPngSize(image);
+    if (!size || size.width > canvas.width || size.height > canvas.height) {
+      return false;
+    }
+
+    try {
+      png.decodePng(image);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * True if mask is a well-formed run-length fill mask for the room's canvas
+   */
+  isValidFillMask(roomId, mask) {
+    const canvas = this.getCanvasSize(roomId);
+    return floodFill.isValidFillMask(mask, canvas.width, canvas.height);
+  }
+
+  /**
+   * Run-length mask of a fill at point on the room's current canvas,
+   * for fill events sent without one
+   */
+  computeFillMask(roomId, point, color) {
+    const { canvas } = this.renderCanvas(roomId);
+    return floodFill.computeFillMask(canvas, point.x, point.y, renderer.parseColor(color));
+  }
+
+  /**
+   * PNG bytes of a sketch sent as a chat message, or null
+   */
+  getChatSketchPng(roomId, seq) {
+    return db.getChatSketch(roomId, seq);
+  }
+
+  /**
+   * Get a page of the drawing history since the last clear or restore, for playback.
+   * afterSeq defaults to that reset; pass the returned nextAfter to continue.
+   * If the history starts from a restored version, the first page names it
+   * as restoredVersionId so the client can use its image as the starting point.
+   */
+  getDrawingHistory(roomId, afterSeq = null, limit = this.HISTORY_PAGE_SIZE) {
+    let startSeq = afterSeq;
+    let restoredVersionId = null;
+    
+    if (afterSeq === null) {
+      startSeq = db.getLastResetSeq(roomId);
+      const [reset] = startSeq > 0 ? db.getDrawingEvents(roomId, startSeq - 1, 1) : [];
+      if (reset && reset.type === 'restore') {
+        restoredVersionId = reset.versionId;
+      }
+    }
+    
+    const pageSize = Math.min(Math.max(limit, 1), this.MAX_HISTORY_PAGE_SIZE);
+    
+    // Fetch one extra row to know whether another page follows
+    const rows = db.getDrawingEvents(roomId, startSeq, pageSize + 1);
+    const events = rows.slice(0, pageSize);
+    
+    const page = {
+      events,
+      nextAfter: events.length > 0 ? events[events.length - 1].seq : startSeq,
+      hasMore: rows.length > pageSize
+    };
+    if (restoredVersionId) {
+      page.restoredVersionId = restoredVersionId;
+    }
+    return page;
+  }
+
   /**
    * Add a drawing event to the room
+   * Assigns event.seq from the room's sequence counter
    */
   addDrawingEvent(roomId, event) {
+    const renderKey = this.getRenderKey(roomId);
+    
     // Save to database
-    db.addDrawingEvent(
+    event.seq = db.addDrawingEvent(
       roomId,
       event.playerId,
       event.type || 'draw',
@@ -249,9 +651,12 @@ class RoomManager {
         points: event.points,
         color: event.color,
         size: event.size,
-        tool: event.tool
+        tool: event.tool,
+        mask: event.mask,
+        layers: event.layers
       },
-      event.timestamp
+      event.timestamp,
+      event.strokeId
     );
     
     // Also cache in memory for fast access
@@ -263,32 +668,257 @@ class RoomManager {
       activeRoom.drawingEventsCache = activeRoom.drawingEventsCache.slice(-this.MAX_DRAWING_EVENTS_MEMORY);
     }
     
+    this.advanceRender(roomId, renderKey, { ...event, type: event.type || 'draw' });
     activeRoom.lastActivity = Date.now();
   }
 
+  /**
+   * Bring the room's cached render past a newly stored event, if it was
+   * current (renderKey) before it, so fills and exports right after don't
+   * replay the whole history. Drawing events are painted onto it; without
+   * one (a chat message) only its key moves on.
+   */
+  advanceRender(roomId, renderKey, event = null) {
+    const cached = this.renderCache.get(roomId);
+    if (!cached || cached.key !== renderKey) return;
+
+    if (event) {
+      const { render } = cached;
+      renderer.renderEvent(render.layers, event);
+      render.layers.forEach(layer => this.encodedPngs.delete(layer));
+      render.canvas = renderer.compositeLayers(render.layers);
+      render.replayedEvents++;
+    }
+    cached.key = this.getRenderKey(roomId);
+  }
+
+  /**
+   * Undo the player's most recent visible stroke since the history base
+   * (the last clear or restore, unless older history was pruned).
+   * Returns the persisted undo event, or null if there is nothing to undo.
+   */
+  undoStroke(roomId, playerId, playerName) {
+    const stroke = db.findUndoableStroke(roomId, playerId, this.getHistoryBase(roomId).seq);
+    if (!stroke) return null;
+    return this.recordStrokeChange(roomId, 'undo', stroke, playerId, playerName);
+  }
+
+  /**
+   * Redo the player's most recently undone stroke
+   * Returns the persisted redo event, or null if there is nothing to redo.
+   */
+  redoStroke(roomId, playerId, playerName) {
+    const stroke = db.findRedoableStroke(roomId, playerId, this.getHistoryBase(roomId).seq);
+    if (!stroke) return null;
+    return this.recordStrokeChange(roomId, 'redo', stroke, playerId, playerName);
+  }
+
+  /**
+   * Persist an undo/redo as a room event and flip the stroke's retracted flag.
+   * A stroke the snapshot already covers is baked into its image, so the
+   * snapshot is rendered again from the history base, and the event carries
+   * its layers (layerSnapshots, covering everything up to snapshotSeq).
+   */
+  recordStrokeChange(roomId, type, stroke, playerId, playerName) {
+    const { strokeId } = stroke;
+    const rebased = stroke.seq <= this.getSnapshotSeq(roomId);
+    const event = {
+      type,
+      strokeId,
+      playerId,
+      playerName,
+      timestamp: Date.now()
+    };
+    
+    const eventData = rebased ? { strokeId, playerName, rebased } : { strokeId, playerName };
+    event.seq = db.addDrawingEvent(roomId, playerId, type, eventData, event.timestamp);
+    db.setStrokeRetracted(roomId, playerId, strokeId, type === 'undo', event.seq);
+    
+    const activeRoom = this.getActiveRoom(roomId);
+    activeRoom.drawingEventsCache.push(event);
+    activeRoom.lastActivity = Date.now();
+    
+    if (rebased) {
+      this.saveCanvasSnapshot(roomId, this.renderFromHistoryBase(roomId));
+      
+      const snapshot = db.getCanvasSnapshot(roomId);
+      event.snapshotSeq = snapshot.seq;
+      event.layerSnapshots = snapshot.layers.map(layer => ({
+        layerId: layer.layerId,
+        snapshotData: png.toDataUrl(layer.snapshotPng)
+      }));
+    }
+    
+    console.log(`[RoomManager] ${type} of stroke ${strokeId} by ${playerId} in ${roomId}${rebased ? ' (snapshot re-rendered)' : ''}`);
+    return event;
+  }
+
+  /**
+   * The canvas the room's drawing history starts from: { seq, layers } with
+   * layers as [{ layerId, snapshotPng }], empty for a blank canvas. Strokes
+   * after seq can be undone, and replaying them on the layers gives the
+   * current canvas.
+   */
+  getHistoryBase(roomId) {
+    const base = db.getHistoryBase(roomId);
+    if (base) return base;
+    
+    // No saved base: the history starts blank, unless it was restored or
+    // pruned before bases were kept - then pin the snapshot as its base
+    const resetSeq = db.getLastResetSeq(roomId);
+    const [reset] = resetSeq > 0 ? db.getDrawingEvents(roomId, resetSeq - 1, 1) : [];
+    const startsBlank = reset ? reset.type === 'clear' : db.getHistoryFloorSeq(roomId) === 0;
+    const snapshot = startsBlank ? null : db.getCanvasSnapshot(roomId);
+    if (!snapshot) return { seq: 0, layers: [] };
+    
+    db.saveHistoryBase(roomId, snapshot.seq, snapshot.layers);
+    return { seq: snapshot.seq, layers: snapshot.layers };
+  }
+
+  getSnapshotSeq(roomId) {
+    const snapshot = db.getCanvasSnapshotInfo(roomId);
+    return snapshot ? snapshot.seq : 0;
+  }
+
+  /**
+   * Look up a client event id this player already sent to this room
+   * Returns the seq it was stored under, or null if it hasn't been seen
+   */
+  getProcessedEventSeq(roomId, playerId, eventId) {
+    if (!eventId) return null;
+    
+    const entry = this.processedEvents.get(`${roomId}:${playerId}`);
+    if (!entry || !entry.ids.has(eventId)) return null;
+    return entry.ids.get(eventId);
+  }
+
+  /**
+   * Remember a processed client event id (oldest ids are forgotten first)
+   */
+  rememberProcessedEvent(roomId, playerId, eventId, seq) {
+    if (!eventId) return;
+    
+    const key = `${roomId}:${playerId}`;
+    if (!this.processedEvents.has(key)) {
+      this.processedEvents.set(key, { ids: new Map(), lastSeen: Date.now() });
+    }
+    
+    const entry = this.processedEvents.get(key);
+    entry.ids.set(eventId, seq);
+    entry.lastSeen = Date.now();
+    
+    if (entry.ids.size > this.MAX_REMEMBERED_EVENT_IDS) {
+      const oldestId = entry.ids.keys().next().value;
+      entry.ids.delete(oldestId);
+    }
+  }
+
+  getClearMode(roomId) {
+    const room = db.getRoom(roomId);
+    return room && room.clear_mode ? room.clear_mode : 'undoable';
+  }
+
   /**
    * Clear the canvas for a room
+   * The clear itself is persisted as the first event of the new history,
+   * so clients catching up by sequence number replay it too.
+   * In 'undoable' rooms clearEvent.undoGraceMs is set while the clear can be undone.
    */
-  clearCanvas(roomId) {
-    // Clear from database
+  clearCanvas(roomId, clearEvent) {
+    const versionId = this.archiveCanvas(roomId, {
+      reason: 'clear',
+      name: `Before clear by ${clearEvent.playerName}`,
+      authorId: clearEvent.playerId,
+      authorName: clearEvent.playerName
+    });
+    
+    // Clear from database - the new history starts blank
     db.clearDrawingEvents(roomId);
     db.clearCanvasSnapshot(roomId);
+    db.clearHistoryBase(roomId);
+    
+    clearEvent.seq = db.addDrawingEvent(
+      roomId,
+      clearEvent.playerId,
+      'clear',
+      { playerName: clearEvent.playerName },
+      clearEvent.timestamp
+    );
     
     // Clear memory cache
-    const activeRoom = this.activeRooms.get(roomId);
-    if (activeRoom) {
-      activeRoom.drawingEventsCache = [];
-      activeRoom.lastActivity = Date.now();
+    const activeRoom = this.getActiveRoom(roomId);
+    activeRoom.drawingEventsCache = [clearEvent];
+    activeRoom.lastActivity = Date.now();
+    activeRoom.pendingClearUndo = null;
+    
+    // Keep the cleared canvas around for a grace period (blank canvases have no version)
+    if (versionId && this.getClearMode(roomId) === 'undoable') {
+      activeRoom.pendingClearUndo = {
+        versionId,
+        clearSeq: clearEvent.seq,
+        expiresAt: Date.now() + this.CLEAR_UNDO_GRACE_MS
+      };
+      clearEvent.undoGraceMs = this.CLEAR_UNDO_GRACE_MS;
     }
     
     console.log(`[RoomManager] Canvas cleared for room ${roomId}`);
   }
 
   /**
-   * Save canvas snapshot for a room
+   * Undo the room's last clear while its grace period lasts. Strokes drawn
+   * since the clear are kept on top of the restored canvas.
+   * Returns the persisted restore event, or null if there's no clear to undo.
    */
-  saveCanvasSnapshot(roomId, snapshotData) {
-    db.saveCanvasSnapshot(roomId, snapshotData, Date.now());
+  undoClear(roomId, { playerId, playerName }) {
+    const activeRoom = this.activeRooms.get(roomId);
+    const pending = activeRoom ? activeRoom.pendingClearUndo : null;
+    if (!pending || Date.now() > pending.expiresAt) return null;
+    
+    const version = db.getCanvasVersion(roomId, pending.versionId);
+    const baseImage = version ? this.decodeSnapshot(version.snapshotPng) : null;
+    if (!baseImage) return null;
+    
+    // Layers drawn before the clear were merged into the version's image
+    const { width, height } = this.getCanvasSize(roomId);
+    const stack = renderer.createStack(width, height);
+    renderer.drawImage(renderer.getLayer(stack, layers.BACKGROUND_LAYER), baseImage);
+    renderer.renderEvents(stack, db.getDrawingEvents(roomId, pending.clearSeq));
+    
+    // Archived so the restored canvas has a version to refer to (e.g. for playback)
+    const versionId = this.addVersion(roomId, {
+      name: `Clear undone by ${playerName}`,
+      reason: 'undo-clear',
+      authorId: playerId,
+      authorName: playerName,
+      snapshotPng: png.encodePng(renderer.compositeLayers(stack)),
+      seq: db.getLatestSeq(roomId)
+    });
+    
+    const event = this.replaceCanvas(roomId, db.getCanvasVersion(roomId, versionId), { playerId, playerName });
+    event.undoClear = true;
+    return event;
+  }
+
+  /**
+   * Save a canvas snapshot for a room from a server render ({ canvas, layers }
+   * as returned by renderCanvas(), rendered here unless given)
+   */
+  saveCanvasSnapshot(roomId, { canvas, layers: stack } = this.renderCanvas(roomId)) {
+    const snapshotPng = this.encodeRenderedPng(canvas);
+    const snapshotLayers = Array.from(stack, ([layerId, canvas]) => ({
+      layerId,
+      snapshotPng: this.encodeRenderedPng(canvas)
+    }));
+
+    this.archiveSupersededSnapshot(roomId);
+    db.saveCanvasSnapshot(roomId, snapshotPng, Date.now(), db.getLatestSeq(roomId), snapshotLayers);
+    
+    // A cached render of this canvas now starts at the new snapshot
+    const cached = this.renderCache.get(roomId);
+    if (cached && cached.render.layers === stack) {
+      cached.render.replayedEvents = 0;
+      cached.key = this.getRenderKey(roomId);
+    }
     
     // Clear old drawing events since we have a snapshot
     const activeRoom = this.activeRooms.get(roomId);
@@ -303,9 +933,400 @@ class RoomManager {
    * Save snapshots for all active rooms
    */
   saveAllSnapshots() {
-    // This would be called by clients sending their canvas state
-    // For now, just log
-    console.log('[RoomManager] Snapshot interval tick');
+    this.activeRooms.forEach((activeRoom, roomId) => {
+      try {
+        this.renderSnapshot(roomId);
+      } catch (err) {
+        console.error(`[RoomManager] Failed to render snapshot for room ${roomId}:`, err.message);
+      }
+    });
+  }
+
+  /**
+   * Replay drawing events since the last snapshot on the server and
+   * store the result as the room's new authoritative snapshot
+   */
+  renderSnapshot(roomId) {
+    const rendered = this.renderCanvas(roomId);
+    if (rendered.replayedEvents === 0) return false;
+
+    this.saveCanvasSnapshot(roomId, rendered);
+    return true;
+  }
+
+  /**
+   * Render the room's layers: the stored snapshot's layers plus every
+   * drawing event after it. Returns { layers, replayedEvents } where layers
+   * is a Map of layer id -> canvas, bottom first.
+   */
+  renderLayers(roomId) {
+    const snapshot = db.getCanvasSnapshot(roomId);
+    const events = db.getDrawingEvents(roomId, snapshot ? snapshot.seq : 0);
+
+    const baseLayers = snapshot ? this.decodeSnapshotLayers(snapshot.layers) : null;
+    if (snapshot && !baseLayers && events.length > 0) {
+      // Unreadable snapshot: rebuild from the history base
+      return this.renderFromHistoryBase(roomId);
+    }
+
+    const stack = this.createStack(roomId, baseLayers || []);
+    renderer.renderEvents(stack, events);
+    return { layers: stack, replayedEvents: events.length };
+  }
+
+  /**
+   * Render the room's layers from its history base, replaying every stroke
+   * after it instead of starting at the snapshot.
+   * Returns { canvas, layers, replayedEvents } like renderCanvas().
+   */
+  renderFromHistoryBase(roomId) {
+    const base = this.getHistoryBase(roomId);
+    const events = db.getDrawingEvents(roomId, base.seq);
+    const stack = this.createStack(roomId, this.decodeSnapshotLayers(base.layers) || []);
+
+    renderer.renderEvents(stack, events);
+    return { canvas: renderer.compositeLayers(stack), layers: stack, replayedEvents: events.length };
+  }
+
+  /**
+   * A layer stack of the room's canvas size holding decoded layers
+   * ([{ layerId, image }], bottom first)
+   */
+  createStack(roomId, baseLayers) {
+    const { width, height } = this.getCanvasSize(roomId);
+    const stack = renderer.createStack(width, height);
+    baseLayers.forEach(({ layerId, image }) => renderer.drawImage(renderer.getLayer(stack, layerId), image));
+    return stack;
+  }
+
+  /**
+   * Render the room's current canvas with every layer merged.
+   * Returns { canvas, layers, replayedEvents }, shared with other callers
+   * until the room changes, so it must not be drawn on.
+   */
+  renderCanvas(roomId) {
+    const key = this.getRenderKey(roomId);
+    const cached = this.renderCache.get(roomId);
+
+    this.renderCache.delete(roomId);
+    if (cached && cached.key === key) {
+      this.renderCache.set(roomId, cached);
+      return cached.render;
+    }
+
+    const { layers: stack, replayedEvents } = this.renderLayers(roomId);
+    const render = { canvas: renderer.compositeLayers(stack), layers: stack, replayedEvents };
+
+    this.renderCache.set(roomId, { key, render });
+    if (this.renderCache.size > this.MAX_CACHED_RENDERS) {
+      this.renderCache.delete(this.renderCache.keys().next().value);
+    }
+    return render;
+  }
+
+  /**
+   * What a cached render of the room is valid for: its history, snapshot
+   * and canvas size
+   */
+  getRenderKey(roomId) {
+    const { width, height } = this.getCanvasSize(roomId);
+    return `${db.getLatestSeq(roomId)}:${this.getSnapshotSeq(roomId)}:${width}x${height}`;
+  }
+
+  /**
+   * PNG bytes of a canvas from renderCanvas(), encoded once per render
+   */
+  encodeRenderedPng(canvas) {
+    if (!this.encodedPngs.has(canvas)) {
+      this.encodedPngs.set(canvas, png.encodePng(canvas));
+    }
+    return this.encodedPngs.get(canvas);
+  }
+
+  /**
+   * Current canvas as a PNG Buffer
+   */
+  getCanvasPng(roomId) {
+    return this.encodeRenderedPng(this.renderCanvas(roomId).canvas);
+  }
+
+  /**
+   * Ids of the room's layers, bottom first, read from the snapshot and the
+   * events after it without rendering them
+   */
+  getLayerIds(roomId) {
+    const snapshot = db.getCanvasSnapshotInfo(roomId);
+    const events = db.getDrawingEvents(roomId, snapshot ? snapshot.seq : 0);
+    return renderer.replayLayerIds(snapshot ? snapshot.layerIds : [], events);
+  }
+
+  /**
+   * The room's layers, bottom first, named after their players where known
+   */
+  getLayers(roomId) {
+    const names = new Map(this.getPlayersInRoom(roomId).map(p => [p.playerId, p.playerName]));
+
+    return this.getLayerIds(roomId).map(layerId => ({
+      layerId,
+      playerName: names.get(layerId) || null
+    }));
+  }
+
+  /**
+   * One layer as a transparent PNG Buffer, or null if the room has no such layer
+   */
+  getLayerPng(roomId, layerId) {
+    if (!this.getLayerIds(roomId).includes(layerId)) return null;
+
+    const layer = this.renderCanvas(roomId).layers.get(layerId);
+    return layer ? this.encodeRenderedPng(layer) : null;
+  }
+
+  /**
+   * Current canvas as an SVG document built from the stroke log, one group
+   * per layer. If older events were pruned or the canvas was restored from a
+   * version, the stored snapshot's layers are embedded as images and only the
+   * strokes after it are vectors.
+   * With layerId, only that layer is exported (null if the room has no such layer).
+   */
+  getCanvasSvg(roomId, layerId = null) {
+    if (layerId !== null && !this.getLayerIds(roomId).includes(layerId)) return null;
+
+    const { width, height } = this.getCanvasSize(roomId);
+    const options = { layerIds: layerId !== null ? [layerId] : null, width, height };
+    const events = db.getDrawingEvents(roomId, 0);
+    const lastReset = events.map(e => e.type === 'clear' || e.type === 'restore').lastIndexOf(true);
+    const complete = lastReset >= 0
+      ? events[lastReset].type === 'clear'
+      : db.getHistoryFloorSeq(roomId) === 0;
+
+    if (complete) {
+      return svg.renderSvg(events.slice(lastReset + 1), options);
+    }
+
+    const snapshot = db.getCanvasSnapshot(roomId);
+    const strokes = events.filter(e => !snapshot || e.seq > snapshot.seq);
+    return svg.renderSvg(strokes, { ...options, baseLayers: snapshot ? snapshot.layers : [] });
+  }
+
+  /**
+   * Decode a stored snapshot's layers ([{ layerId, snapshotPng }]) into
+   * [{ layerId, image }], or null if any of them can't be read
+   */
+  decodeSnapshotLayers(snapshotLayers) {
+    const decoded = snapshotLayers.map(({ layerId, snapshotPng }) => ({
+      layerId,
+      image: this.decodeSnapshot(snapshotPng)
+    }));
+    return decoded.every(layer => layer.image) ? decoded : null;
+  }
+
+  /**
+   * Decode stored snapshot PNG bytes, or null if they can't be read
+   */
+  decodeSnapshot(snapshotPng) {
+    if (!snapshotPng) return null;
+
+    try {
+      return png.decodePng(snapshotPng);
+    } catch (err) {
+      console.error('[RoomManager] Ignoring unreadable snapshot:', err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Archive the room's current canvas as a version
+   * Returns the version id, or null if the canvas is blank
+   */
+  archiveCanvas(roomId, { reason, name, authorId = null, authorName = null }) {
+    const { canvas } = this.renderCanvas(roomId);
+    if (renderer.isBlank(canvas)) return null;
+    
+    return this.addVersion(roomId, {
+      name,
+      reason,
+      authorId,
+      authorName,
+      snapshotPng: this.encodeRenderedPng(canvas),
+      seq: db.getLatestSeq(roomId)
+    });
+  }
+
+  /**
+   * Keep the snapshot about to be overwritten as an autosave version,
+   * unless the room was archived recently. The image is merged from the
+   * server-rendered layers, since older merged snapshots may be client uploads.
+   */
+  archiveSupersededSnapshot(roomId) {
+    const snapshot = db.getCanvasSnapshot(roomId);
+    if (!snapshot) return null;
+    
+    const [latest] = db.getCanvasVersions(roomId);
+    if (latest && Date.now() - latest.createdAt < this.AUTOSAVE_VERSION_INTERVAL) return null;
+    
+    const baseLayers = this.decodeSnapshotLayers(snapshot.layers);
+    if (!baseLayers) return null;
+    
+    const canvas = renderer.compositeLayers(this.createStack(roomId, baseLayers));
+    return this.addVersion(roomId, {
+      name: 'Autosave',
+      reason: 'autosave',
+      snapshotPng: png.encodePng(canvas),
+      seq: snapshot.seq
+    });
+  }
+
+  addVersion(roomId, version) {
+    const versionId = db.addCanvasVersion(roomId, { ...version, createdAt: Date.now() });
+    db.pruneCanvasVersions(roomId, this.MAX_VERSIONS_PER_ROOM);
+    
+    console.log(`[RoomManager] Archived canvas version ${versionId} (${version.reason}) for room ${roomId}`);
+    return versionId;
+  }
+
+  getCanvasVersions(roomId) {
+    return db.getCanvasVersions(roomId);
+  }
+
+  /**
+   * PNG bytes of an archived version, or null if it doesn't exist
+   */
+  getVersionPng(roomId, versionId) {
+    const version = db.getCanvasVersion(roomId, versionId);
+    return version ? version.snapshotPng : null;
+  }
+
+  /**
+   * Replace the canvas with an archived version. The current canvas is
+   * archived first, so a restore can itself be undone by restoring again.
+   * Returns the persisted restore event, or null if the version doesn't exist.
+   */
+  restoreVersion(roomId, versionId, { playerId, playerName }) {
+    const version = db.getCanvasVersion(roomId, versionId);
+    if (!version) return null;
+    
+    this.archiveCanvas(roomId, {
+      reason: 'restore',
+      name: `Before restore of "${version.name}"`,
+      authorId: playerId,
+      authorName: playerName
+    });
+    
+    const restoreEvent = this.replaceCanvas(roomId, version, { playerId, playerName });
+    console.log(`[RoomManager] Restored version ${version.id} in room ${roomId}`);
+    return restoreEvent;
+  }
+
+  /**
+   * Start a new history on top of a version's image, persisted as a 'restore' event
+   */
+  replaceCanvas(roomId, version, { playerId, playerName }) {
+    const restoreEvent = {
+      type: 'restore',
+      playerId,
+      playerName,
+      versionId: version.id,
+      name: version.name,
+      timestamp: Date.now()
+    };
+    
+    // Like a clear, the restore starts a new history on top of the version's image
+    db.clearDrawingEvents(roomId);
+    restoreEvent.seq = db.addDrawingEvent(
+      roomId,
+      playerId,
+      'restore',
+      { versionId: version.id, name: version.name, playerName },
+      restoreEvent.timestamp
+    );
+    const { snapshotPng } = version;
+    db.saveCanvasSnapshot(roomId, snapshotPng, restoreEvent.timestamp, restoreEvent.seq);
+    db.saveHistoryBase(roomId, restoreEvent.seq, [{ layerId: layers.BACKGROUND_LAYER, snapshotPng }]);
+    
+    const activeRoom = this.getActiveRoom(roomId);
+    activeRoom.drawingEventsCache = [restoreEvent];
+    activeRoom.lastActivity = Date.now();
+    activeRoom.pendingClearUndo = null;
+    
+    return { ...restoreEvent, snapshotData: png.toDataUrl(snapshotPng) };
+  }
+
+  /**
+   * Start a clear vote, or count the clear as a yes vote if one is running.
+   * onExpire is called if the vote is still undecided after CLEAR_VOTE_DURATION_MS.
+   */
+  startClearVote(roomId, { playerId, playerName }, onExpire) {
+    const activeRoom = this.getActiveRoom(roomId);
+    
+    if (!activeRoom.clearVote) {
+      activeRoom.clearVote = {
+        initiatorId: playerId,
+        initiatorName: playerName,
+        votes: new Map(), // playerId -> approve
+        expiresAt: Date.now() + this.CLEAR_VOTE_DURATION_MS,
+        timer: setTimeout(onExpire, this.CLEAR_VOTE_DURATION_MS)
+      };
+    }
+    
+    activeRoom.clearVote.votes.set(playerId, true);
+    return this.getClearVoteStatus(roomId);
+  }
+
+  /**
+   * Record a player's vote. Returns the vote status, or null if no vote is running.
+   */
+  castClearVote(roomId, playerId, approve) {
+    const activeRoom = this.activeRooms.get(roomId);
+    if (!activeRoom || !activeRoom.clearVote) return null;
+    
+    activeRoom.clearVote.votes.set(playerId, approve);
+    return this.getClearVoteStatus(roomId);
+  }
+
+  /**
+   * Current vote counted against the players still in the room, or null.
+   * result is 'passed' once a majority approved, 'failed' once that can't happen.
+   */
+  getClearVoteStatus(roomId) {
+    const activeRoom = this.activeRooms.get(roomId);
+    const vote = activeRoom ? activeRoom.clearVote : null;
+    if (!vote) return null;
+    
+    const approved = [];
+    const rejected = [];
+    activeRoom.players.forEach((player, playerId) => {
+      if (!vote.votes.has(playerId)) return;
+      (vote.votes.get(playerId) ? approved : rejected).push(playerId);
+    });
+    
+    const eligible = activeRoom.players.size;
+    const needed = Math.floor(eligible / 2) + 1;
+    
+    let result = null;
+    if (approved.length >= needed) {
+      result = 'passed';
+    } else if (eligible - rejected.length < needed) {
+      result = 'failed';
+    }
+    
+    return {
+      initiatorId: vote.initiatorId,
+      initiatorName: vote.initiatorName,
+      approved,
+      rejected,
+      needed,
+      expiresInMs: Math.max(0, vote.expiresAt - Date.now()),
+      result
+    };
+  }
+
+  endClearVote(roomId) {
+    const activeRoom = this.activeRooms.get(roomId);
+    if (!activeRoom || !activeRoom.clearVote) return;
+    
+    clearTimeout(activeRoom.clearVote.timer);
+    activeRoom.clearVote = null;
   }
 
   /**
@@ -321,6 +1342,72 @@ class RoomManager {
     }
   }
 
+  /**
+   * Add a batch of points to a stroke that is still being drawn, starting it
+   * on the first batch. onIdle is called if no more points arrive within
+   * LIVE_STROKE_IDLE_MS. Returns false if the stroke hit MAX_LIVE_STROKE_POINTS.
+   */
+  appendLiveStroke(roomId, playerId, { strokeId, points, color, size, tool, layers: eraseLayers }, onIdle) {
+    const activeRoom = this.getActiveRoom(roomId);
+    const key = `${playerId}:${strokeId}`;
+    
+    let stroke = activeRoom.liveStrokes.get(key);
+    if (!stroke) {
+      stroke = { strokeId, playerId, color, size, tool: tool || 'pen', layers: eraseLayers, points: [], timer: null };
+      activeRoom.liveStrokes.set(key, stroke);
+    }
+    
+    if (stroke.points.length + points.length > this.MAX_LIVE_STROKE_POINTS) {
+      return false;
+    }
+    
+    stroke.points.push(...points);
+    clearTimeout(stroke.timer);
+    stroke.timer = setTimeout(onIdle, this.LIVE_STROKE_IDLE_MS);
+    return true;
+  }
+
+  /**
+   * Forget a live stroke (finished, cancelled or idle). Returns true if it existed.
+   */
+  endLiveStroke(roomId, playerId, strokeId) {
+    const activeRoom = this.activeRooms.get(roomId);
+    if (!activeRoom) return false;
+    
+    const key = `${playerId}:${strokeId}`;
+    const stroke = activeRoom.liveStrokes.get(key);
+    if (!stroke) return false;
+    
+    clearTimeout(stroke.timer);
+    activeRoom.liveStrokes.delete(key);
+    return true;
+  }
+
+  /**
+   * Drop every live stroke of a player, returns their stroke ids
+   */
+  endPlayerLiveStrokes(roomId, playerId) {
+    const activeRoom = this.activeRooms.get(roomId);
+    if (!activeRoom) return [];
+    
+    const strokeIds = [];
+    activeRoom.liveStrokes.forEach(stroke => {
+      if (stroke.playerId === playerId) strokeIds.push(stroke.strokeId);
+    });
+    strokeIds.forEach(strokeId => this.endLiveStroke(roomId, playerId, strokeId));
+    return strokeIds;
+  }
+
+  /**
+   * Strokes still being drawn, for players joining mid-stroke
+   */
+  getLiveStrokes(roomId) {
+    const activeRoom = this.activeRooms.get(roomId);
+    if (!activeRoom) return [];
+    
+    return Array.from(activeRoom.liveStrokes.values()).map(({ timer, ...stroke }) => stroke);
+  }
+
   /**
    * Delete a custom room
    */
@@ -331,7 +1418,20 @@ class RoomManager {
     }
     
     db.deleteRoom(roomId);
+    this.endClearVote(roomId);
+    
+    const activeRoom = this.activeRooms.get(roomId);
+    if (activeRoom) {
+      activeRoom.liveStrokes.forEach(stroke => clearTimeout(stroke.timer));
+    }
     this.activeRooms.delete(roomId);
+    this.renderCache.delete(roomId);
+    
+    this.processedEvents.forEach((entry, key) => {
+      if (key.startsWith(`${roomId}:`)) {
+        this.processedEvents.delete(key);
+      }
+    });
     
     console.log(`[RoomManager] Deleted custom room ${roomId}`);
     return true;
@@ -351,6 +1451,13 @@ class RoomManager {
         }
       }
     });
+    
+    // Forget event ids of players who haven't sent anything in a while
+    this.processedEvents.forEach((entry, key) => {
+      if (now - entry.lastSeen > maxInactiveMs) {
+        this.processedEvents.delete(key);
+      }
+    });
   }
 }
 
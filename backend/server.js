@@ -19,21 +19,68 @@ const { v4: uuidv4 } = require('uuid');
 
 const db = require('./db');
 const RoomManager = require('./roomManager');
+const strokeSanitizer = require('./strokeSanitizer');
+const strokeCodec = require('../shared/strokeCodec');
+const {
+  ErrorCodes,
+  QUEUEABLE_TYPES,
+  CLEAR_MODES,
+  ROOM_ACCESS,
+  MAX_PASSWORD_LENGTH,
+  MAX_FRAME_BYTES,
+  DEFAULT_ROOM_SETTINGS,
+  validateMessage,
+  validateRoomSettings,
+  negotiateProtocolVersion,
+  getRequestId
+} = require('./protocol');
+const { MIN_PASSWORD_LENGTH, createToken } = require('./roomAccess');
+const { SessionSigner } = require('./sessions');
+const { RateLimiter, loadLimitsFromEnv } = require('./rateLimiter');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, maxPayload: MAX_FRAME_BYTES });
 
 const PORT = process.env.PORT || 5000;
 
+// Close code of sockets whose player the room owner kicked or banned
+const KICKED_CLOSE_CODE = 4001;
+
+// Close code of sockets replaced by a newer connection of the same player
+const REPLACED_CLOSE_CODE = 4002;
+
+// Sockets that miss a ping for a whole interval are terminated
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.HEARTBEAT_INTERVAL_MS, 10) || 30000;
+
+// Behind reverse proxies (e.g. Render), client IPs come from X-Forwarded-For.
+// TRUST_PROXY is how many proxies sit in front of us ('true' means one); only
+// the entries they appended are trusted, the rest is up to the client.
+const TRUST_PROXY_HOPS = process.env.TRUST_PROXY === 'true'
+  ? 1
+  : Math.max(parseInt(process.env.TRUST_PROXY, 10) || 0, 0);
+
+// Clear mode of the built-in rooms (public rooms default to voting)
+const DEFAULT_ROOM_CLEAR_MODE = CLEAR_MODES.includes(process.env.DEFAULT_ROOM_CLEAR_MODE)
+  ? process.env.DEFAULT_ROOM_CLEAR_MODE
+  : 'vote';
+
+const rateLimiter = new RateLimiter(loadLimitsFromEnv());
+
 // Middleware
+app.set('trust proxy', TRUST_PROXY_HOPS);
 app.use(cors());
 app.use(express.json());
+app.use('/api', rateLimiter.httpMiddleware('api'));
 app.use(express.static(path.join(__dirname, '../frontend')));
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
 
 // Room manager instance (initialized after DB)
 let roomManager = null;
 
+// Signs and checks player session tokens (initialized after DB, which may hold the secret)
+let sessions = null;
+
 // =============================================================================
 // REST API Endpoints
 // =============================================================================
@@ -49,10 +96,14 @@ app.get('/api/rooms', (req, res) => {
 
 /**
  * POST /api/rooms
- * Create a custom room
+ * Create a custom room. access: 'public' (default), 'password' (with password) or 'invite'.
+ * settings: any of the room settings in protocol.js (ROOM_SETTINGS_FIELDS).
+ * Invite-only rooms come back with a first invite for their creator.
+ * sessionToken: the creator's session; they become the room's owner
+ * (moderator). Creators without a valid one come back with a new session.
  */
-app.post('/api/rooms', (req, res) => {
-  const { name } = req.body;
+app.post('/api/rooms', rateLimiter.httpMiddleware('createRoom'), (req, res) => {
+  const { name, clearMode = 'undoable', access = 'public', password, settings = {}, sessionToken } = req.body;
   
   if (!name || name.trim().length === 0) {
     return res.status(400).json({ error: 'Room name required' });
@@ -62,11 +113,96 @@ app.post('/api/rooms', (req, res) => {
     return res.status(400).json({ error: 'Room name too long (max 20 characters)' });
   }
   
+  if (!CLEAR_MODES.includes(clearMode)) {
+    return res.status(400).json({ error: `clearMode must be one of: ${CLEAR_MODES.join(', ')}` });
+  }
+  
+  if (!ROOM_ACCESS.includes(access)) {
+    return res.status(400).json({ error: `access must be one of: ${ROOM_ACCESS.join(', ')}` });
+  }
+  
+  if (access === 'password' && (typeof password !== 'string' ||
+      password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH)) {
+    return res.status(400).json({ error: `Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters` });
+  }
+  
+  const settingsProblem = validateRoomSettings(settings);
+  if (settingsProblem) {
+    return res.status(400).json({ error: settingsProblem });
+  }
+  
+  let session = sessions.verify(sessionToken);
+  let newSession;
+  if (!session) {
+    session = { playerId: uuidv4(), playerName: 'Player', playerColor: 'blue' };
+    newSession = { playerId: session.playerId, sessionToken: sessions.issue(session) };
+  }
+  
   const roomId = `custom-${uuidv4().slice(0, 8)}`;
-  const room = roomManager.createRoom(name.trim(), roomId, true);
-  res.json({ room });
+  const room = roomManager.createRoom(name.trim(), roomId, true, clearMode, {
+    access,
+    password,
+    settings,
+    ownerId: session.playerId
+  });
+  
+  const invite = access === 'invite' ? roomManager.createInvite(roomId, session.playerId) : undefined;
+  res.json({ room, invite, session: newSession });
+});
+
+/**
+ * GET /api/invites/:token
+ * Resolve an invite link to its room
+ */
+app.get('/api/invites/:token', (req, res) => {
+  const invite = roomManager.getInvite(req.params.token);
+  if (!invite) {
+    return res.status(404).json({ error: 'Invite not found or expired' });
+  }
+  
+  const roomInfo = roomManager.getRoomInfo(invite.roomId);
+  res.json({
+    roomId: roomInfo.id,
+    roomName: roomInfo.name,
+    access: roomInfo.access,
+    expiresAt: invite.expiresAt
+  });
+});
+
+/**
+ * Private rooms' REST routes need the room key players get with the room
+ * state, as ?key= or an X-Room-Key header. Unknown rooms fall through to
+ * the routes' own 404s.
+ */
+app.use('/api/rooms/:roomId', (req, res, next) => {
+  const key = req.query.key || req.get('X-Room-Key');
+  if (!roomManager.isRoomKeyValid(req.params.roomId, key)) {
+    return res.status(403).json({ error: 'Room is private' });
+  }
+  next();
 });
 
+/**
+ * The player a REST request proves to be with an X-Session-Token header, or null
+ */
+function getRequestSession(req) {
+  return sessions.verify(req.get('X-Session-Token'));
+}
+
+/**
+ * Rooms with an owner can only be changed or deleted by them, identified by
+ * their session token. Sends a 403 and returns false for anyone else.
+ */
+function checkRoomOwner(req, res, roomId, action) {
+  const ownerId = roomManager.getOwnerId(roomId);
+  const session = getRequestSession(req);
+  if (ownerId && (!session || session.playerId !== ownerId)) {
+    res.status(403).json({ error: `Only the room owner can ${action} it` });
+    return false;
+  }
+  return true;
+}
+
 /**
  * DELETE /api/rooms/:roomId
  * Delete a custom room (only if empty)
@@ -83,6 +219,8 @@ app.delete('/api/rooms/:roomId', (req, res) => {
     return res.status(403).json({ error: 'Cannot delete default rooms' });
   }
   
+  if (!checkRoomOwner(req, res, roomId, 'delete')) return;
+  
   if (roomInfo.playerCount > 0) {
     return res.status(400).json({ error: 'Cannot delete room with active players' });
   }
@@ -91,6 +229,43 @@ app.delete('/api/rooms/:roomId', (req, res) => {
   res.json({ success: true });
 });
 
+/**
+ * PATCH /api/rooms/:roomId
+ * Change a custom room's settings ({ settings: { ... } }, null resets one to
+ * its default). Players in the room get the new settings right away; the
+ * canvas can only be resized while it is blank.
+ */
+app.patch('/api/rooms/:roomId', rateLimiter.httpMiddleware('updateRoom'), (req, res) => {
+  const { roomId } = req.params;
+  const { settings } = req.body || {};
+  
+  const roomInfo = roomManager.getRoomInfo(roomId);
+  if (!roomInfo) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  
+  if (!roomInfo.isCustom) {
+    return res.status(403).json({ error: 'Cannot change default rooms' });
+  }
+  
+  if (!checkRoomOwner(req, res, roomId, 'change')) return;
+  
+  const settingsProblem = validateRoomSettings(settings);
+  if (settingsProblem) {
+    return res.status(400).json({ error: settingsProblem });
+  }
+  
+  const resized = ['canvasWidth', 'canvasHeight'].some(name =>
+    name in settings && (settings[name] || DEFAULT_ROOM_SETTINGS[name]) !== roomInfo.settings[name]);
+  if (resized && !roomManager.isCanvasBlank(roomId)) {
+    return res.status(409).json({ error: 'Clear the canvas before resizing it' });
+  }
+  
+  const newSettings = roomManager.updateRoomSettings(roomId, settings);
+  broadcastToRoom(roomId, { type: 'roomSettings', settings: newSettings });
+  res.json({ room: roomManager.getRoomInfo(roomId) });
+});
+
 /**
  * GET /api/rooms/:roomId/history
  * Get chat history for a room
@@ -101,35 +276,238 @@ app.get('/api/rooms/:roomId/history', (req, res) => {
   res.json({ history });
 });
 
+/**
+ * GET /api/rooms/:roomId/events?after=<seq>&limit=<n>
+ * Paginated drawing history since the last clear, for timelapse playback
+ */
+app.get('/api/rooms/:roomId/events', (req, res) => {
+  const { roomId } = req.params;
+
+  if (!roomManager.roomExists(roomId)) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  const after = req.query.after === undefined ? null : Number(req.query.after);
+  const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+
+  if ((after !== null && (!Number.isInteger(after) || after < 0)) ||
+      (limit !== undefined && (!Number.isInteger(limit) || limit < 1))) {
+    return res.status(400).json({ error: 'after and limit must be non-negative integers' });
+  }
+
+  res.json(roomManager.getDrawingHistory(roomId, after, limit));
+});
+
+/**
+ * GET /api/rooms/:roomId/canvas.png
+ * Current canvas rendered from the stored snapshot plus later events.
+ * ?layer=<layerId> exports only that layer, on a transparent background.
+ */
+app.get('/api/rooms/:roomId/canvas.png', (req, res) => {
+  const { roomId } = req.params;
+  const { layer } = req.query;
+
+  if (!roomManager.roomExists(roomId)) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  const image = typeof layer === 'string'
+    ? roomManager.getLayerPng(roomId, layer)
+    : roomManager.getCanvasPng(roomId);
+  if (!image) {
+    return res.status(404).json({ error: 'Layer not found' });
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.type('image/png').send(image);
+});
+
+/**
+ * GET /api/rooms/:roomId/canvas.svg
+ * Current canvas as vector paths built from the stroke log.
+ * ?layer=<layerId> exports only that layer, on a transparent background.
+ */
+app.get('/api/rooms/:roomId/canvas.svg', (req, res) => {
+  const { roomId } = req.params;
+  const { layer } = req.query;
+
+  if (!roomManager.roomExists(roomId)) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  const document = roomManager.getCanvasSvg(roomId, typeof layer === 'string' ? layer : null);
+  if (!document) {
+    return res.status(404).json({ error: 'Layer not found' });
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.type('image/svg+xml').send(document);
+});
+
+/**
+ * GET /api/rooms/:roomId/layers
+ * The canvas layers, bottom first
+ */
+app.get('/api/rooms/:roomId/layers', (req, res) => {
+  const { roomId } = req.params;
+
+  if (!roomManager.roomExists(roomId)) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  res.json({ layers: roomManager.getLayers(roomId) });
+});
+
+/**
+ * GET /api/rooms/:roomId/versions
+ * Archived canvas versions, newest first
+ */
+app.get('/api/rooms/:roomId/versions', (req, res) => {
+  const { roomId } = req.params;
+
+  if (!roomManager.roomExists(roomId)) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  res.json({ versions: roomManager.getCanvasVersions(roomId) });
+});
+
+/**
+ * GET /api/rooms/:roomId/versions/:versionId/preview.png
+ * Image of an archived version
+ */
+app.get('/api/rooms/:roomId/versions/:versionId/preview.png', (req, res) => {
+  const { roomId } = req.params;
+  const image = roomManager.getVersionPng(roomId, Number(req.params.versionId));
+
+  if (!image) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  res.type('image/png').send(image);
+});
+
+/**
+ * GET /api/rooms/:roomId/sketches/:seq.png
+ * Image of a sketch sent as a chat message
+ */
+app.get('/api/rooms/:roomId/sketches/:seq.png', (req, res) => {
+  const { roomId } = req.params;
+  const image = roomManager.getChatSketchPng(roomId, Number(req.params.seq));
+
+  if (!image) {
+    return res.status(404).json({ error: 'Sketch not found' });
+  }
+
+  // A message's sketch never changes, but private rooms' sketches stay out of shared caches
+  const visibility = roomManager.getRoomKey(roomId) ? 'private' : 'public';
+  res.set('Cache-Control', `${visibility}, max-age=31536000, immutable`);
+  res.type('image/png').send(image);
+});
+
+/**
+ * POST /api/rooms/:roomId/versions/:versionId/restore
+ * Replace the room's canvas with an archived version and broadcast it.
+ * Needs the restoring player's X-Session-Token, and the restore is credited
+ * to them. Not for players the owner banned or muted from drawing, nor while
+ * the owner has locked the canvas (except for the owner).
+ */
+app.post('/api/rooms/:roomId/versions/:versionId/restore', rateLimiter.httpMiddleware('restoreVersion'), (req, res) => {
+  const { roomId } = req.params;
+  const session = getRequestSession(req);
+
+  if (!roomManager.roomExists(roomId)) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  if (!session) {
+    return res.status(401).json({ error: 'Restoring a version needs a valid X-Session-Token' });
+  }
+
+  const { playerId, playerName } = session;
+
+  if (roomManager.isBanned(roomId, playerId)) {
+    return res.status(403).json({ error: 'You are banned from this room' });
+  }
+
+  if (roomManager.isCanvasLocked(roomId) && !roomManager.isOwner(roomId, playerId)) {
+    return res.status(403).json({ error: 'The canvas is locked' });
+  }
+
+  if (roomManager.isMuted(roomId, playerId, 'draw')) {
+    return res.status(403).json({ error: 'You are muted from drawing' });
+  }
+
+  const restoreEvent = roomManager.restoreVersion(roomId, Number(req.params.versionId), { playerId, playerName });
+
+  if (!restoreEvent) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  broadcastToRoom(roomId, restoreEvent);
+  res.json({ success: true, seq: restoreEvent.seq });
+});
+
 // =============================================================================
 // WebSocket Connection Handling
 // =============================================================================
 
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
+  const limiter = rateLimiter.forConnection(getClientIp(req));
   let playerId = null;
   let playerName = null;
   let playerColor = 'blue';
   let currentRoomId = null;
   let lastDisconnectTime = null;
+  let protocolVersion = 1; // Negotiated on join/rejoin
 
   console.log('[WS] New connection established');
 
-  ws.on('message', (data) => {
+  // Heartbeat: any pong or message proves the connection is alive
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  ws.on('message', (data, isBinary) => {
+    ws.isAlive = true;
+
+    if (isBinary) {
+      handleBinaryFrame(ws, data);
+      return;
+    }
+
+    let message;
     try {
-      const message = JSON.parse(data);
-      handleMessage(ws, message);
+      message = JSON.parse(data);
     } catch (err) {
       console.error('[WS] Invalid message format:', err);
-      ws.send(JSON.stringify({ type: 'error', message: 'Invalid message format' }));
+      if (checkRateLimit(ws, null, null)) {
+        sendError(ws, ErrorCodes.INVALID_JSON, 'Invalid message format');
+      }
+      return;
     }
+    handleMessage(ws, message);
   });
 
   ws.on('close', () => {
     if (currentRoomId && playerId) {
       console.log(`[WS] Player ${playerName} (${playerId}) disconnected from ${currentRoomId}`);
       
-      // Remove player from room
-      roomManager.removePlayer(currentRoomId, playerId);
+      // Remove player from room - unless a newer connection of theirs
+      // replaced this one, in which case the room is theirs to keep
+      if (!roomManager.removePlayer(currentRoomId, playerId, ws)) {
+        return;
+      }
+      
+      // Strokes they were still drawing will never be finished - the client
+      // resends the completed stroke as a normal draw if it reconnects
+      roomManager.endPlayerLiveStrokes(currentRoomId, playerId).forEach(strokeId => {
+        broadcastToRoom(currentRoomId, { type: 'strokeCancel', playerId, strokeId }, playerId);
+      });
+      
+      // Fewer players can settle a running clear vote
+      resolveClearVote(currentRoomId);
       
       // Broadcast leave notification to room
       broadcastToRoom(currentRoomId, {
@@ -145,12 +523,52 @@ wss.on('connection', (ws) => {
     console.error('[WS] Connection error:', err);
   });
 
+  /**
+   * Handle a binary frame (protocol version 2): a draw or strokePoints
+   * message whose points are delta-encoded, see shared/strokeCodec.js
+   */
+  function handleBinaryFrame(ws, data) {
+    let message;
+    try {
+      message = strokeCodec.decodeFrame(data);
+    } catch (err) {
+      console.error('[WS] Invalid binary frame:', err.message);
+      if (checkRateLimit(ws, null, null)) {
+        sendError(ws, ErrorCodes.INVALID_FRAME, 'Invalid binary frame');
+      }
+      return;
+    }
+    handleMessage(ws, message, strokeCodec.BINARY_TYPES);
+  }
+
   /**
    * Handle incoming WebSocket messages
+   * Every message is checked against its schema before dispatch
    */
-  function handleMessage(ws, message) {
+  function handleMessage(ws, message, allowedTypes = null) {
+    // A kicked or replaced player's socket is closing; nothing it sends counts any more
+    if (ws.kicked || ws.replaced) return;
+
+    const requestId = getRequestId(message);
+    const result = validateMessage(message, allowedTypes);
+
+    if (!checkRateLimit(ws, result.valid ? message.type : null, requestId)) {
+      return;
+    }
+
+    if (!result.valid) {
+      console.warn(`[WS] Rejected message: ${result.message}`);
+      sendError(ws, result.code, result.message, requestId, message && message.type);
+      return;
+    }
+
     const { type } = message;
 
+    if (result.schema.requiresRoom && (!currentRoomId || !playerId)) {
+      sendError(ws, ErrorCodes.NOT_IN_ROOM, 'Join a room first', requestId, type);
+      return;
+    }
+
     switch (type) {
       case 'join':
         handleJoin(ws, message);
@@ -168,10 +586,38 @@ wss.on('connection', (ws) => {
         handleClear(ws, message);
         break;
       
+      case 'undoClear':
+        handleUndoClear(ws, message);
+        break;
+      
+      case 'clearVote':
+        handleClearVote(ws, message);
+        break;
+      
+      case 'undo':
+        handleStrokeChange(ws, message, 'undo');
+        break;
+      
+      case 'redo':
+        handleStrokeChange(ws, message, 'redo');
+        break;
+      
       case 'message':
         handleChatMessage(ws, message);
         break;
       
+      case 'sketch':
+        handleSketch(ws, message);
+        break;
+      
+      case 'strokePoints':
+        handleStrokePoints(ws, message);
+        break;
+      
+      case 'cursor':
+        handleCursor(ws, message);
+        break;
+      
       case 'drawStart':
         handleDrawIndicator(ws, message, true);
         break;
@@ -180,50 +626,116 @@ wss.on('connection', (ws) => {
         handleDrawIndicator(ws, message, false);
         break;
       
-      case 'canvasSnapshot':
-        handleCanvasSnapshot(ws, message);
-        break;
-      
       case 'queueReplay':
         handleQueueReplay(ws, message);
         break;
       
-      default:
-        console.warn(`[WS] Unknown message type: ${type}`);
+      case 'createInvite':
+        handleCreateInvite(ws, message);
+        break;
+      
+      case 'kick':
+        handleKick(ws, message);
+        break;
+      
+      case 'mute':
+        handleMute(ws, message);
+        break;
+      
+      case 'ban':
+        handleBan(ws, message);
+        break;
+      
+      case 'lockCanvas':
+        handleLockCanvas(ws, message);
+        break;
+      
+      case 'lockRoom':
+        handleLockRoom(ws, message);
+        break;
+      
+      case 'transferOwnership':
+        handleTransferOwnership(ws, message);
+        break;
+      
+      case 'ping':
+        ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+        break;
+    }
+  }
+
+  /**
+   * Charge an incoming message against this connection's rate limits.
+   * Rejected messages get a RATE_LIMITED error; connections that keep
+   * flooding are disconnected. Returns true if the message may proceed.
+   */
+  function checkRateLimit(ws, type, requestId) {
+    const { allowed, retryAfterMs } = limiter.consume(type);
+    if (allowed) return true;
+
+    if (limiter.recordViolation()) {
+      console.warn(`[WS] Disconnecting ${playerName || 'unjoined client'} for flooding`);
+      ws.close(1008, 'Rate limit exceeded');
+      return false;
     }
+
+    sendError(ws, ErrorCodes.RATE_LIMITED, 'Too many messages, slow down', requestId, type, { retryAfterMs });
+    return false;
   }
 
   /**
    * Handle player joining a room
    */
   function handleJoin(ws, message) {
-    const { roomId, playerId: pid, playerName: pname } = message;
+    const { roomId, playerName: pname, requestId } = message;
     
-    playerId = pid || uuidv4();
-    playerName = pname || `Player ${playerId.slice(0, 4)}`;
-    currentRoomId = roomId;
-    playerColor = message.playerColor || 'blue';
-
     // Check if room exists
     if (!roomManager.roomExists(roomId)) {
-      ws.send(JSON.stringify({ 
-        type: 'error', 
-        message: 'Room does not exist' 
-      }));
+      sendError(ws, ErrorCodes.ROOM_NOT_FOUND, 'Room does not exist', requestId, 'join');
+      return;
+    }
+
+    // Players with a valid session keep their identity, anyone else gets a
+    // new one - a bare playerId proves nothing
+    const session = sessions.verify(message.sessionToken);
+    const newPlayerId = session ? session.playerId : uuidv4();
+    
+    if (!checkRoomAccess(ws, roomId, newPlayerId, message, 'join')) {
       return;
     }
 
+    const newPlayerName = pname || (session && session.playerName) || `Player ${newPlayerId.slice(0, 4)}`;
+    const newPlayerColor = message.playerColor || (session && session.playerColor) || 'blue';
+    const newProtocolVersion = negotiateProtocolVersion(message.protocolVersion);
+
     // Add player to room
-    const player = { playerId, playerName, playerColor, ws, isDrawing: false };
+    const player = {
+      playerId: newPlayerId,
+      playerName: newPlayerName,
+      playerColor: newPlayerColor,
+      protocolVersion: newProtocolVersion,
+      ws,
+      isDrawing: false
+    };
+    const previous = roomManager.getPlayer(roomId, newPlayerId);
     const added = roomManager.addPlayer(roomId, player);
     
     if (!added) {
-      ws.send(JSON.stringify({ 
-        type: 'error', 
-        message: 'Room is full' 
-      }));
+      sendError(ws, ErrorCodes.ROOM_FULL, 'Room is full', requestId, 'join');
       return;
     }
+    roomManager.admitPlayer(roomId, newPlayerId);
+    
+    const replaced = Boolean(previous && previous.ws !== ws);
+    if (replaced) {
+      closeReplacedConnection(roomId, previous);
+    }
+
+    playerId = newPlayerId;
+    playerName = newPlayerName;
+    playerColor = newPlayerColor;
+    protocolVersion = newProtocolVersion;
+    currentRoomId = roomId;
 
     console.log(`[WS] ${playerName} (${playerId}) joined ${roomId}`);
 
@@ -234,7 +746,9 @@ wss.on('connection', (ws) => {
       ...roomState,
       playerId, // Confirm their ID
       playerName,
-      playerColor
+      playerColor,
+      protocolVersion,
+      sessionToken: sessions.issue({ playerId, playerName, playerColor })
     }));
 
     // Broadcast join notification to other players
@@ -243,61 +757,169 @@ wss.on('connection', (ws) => {
       playerId,
       playerName,
       playerColor,
+      isRejoin: replaced,
       timestamp: Date.now()
     }, playerId);
+
+    // A running clear vote now needs more approvals
+    resolveClearVote(roomId);
   }
 
   /**
-   * Handle player rejoining after disconnect
+   * Check a join/rejoin against the room's bans, lock and access (password or
+   * invite token). Sends BANNED, ROOM_LOCKED, PASSWORD_REQUIRED or
+   * INVITE_REQUIRED and returns false if it fails.
    */
-  function handleRejoin(ws, message) {
-    const { roomId, playerId: pid, playerName: pname, lastEventTimestamp } = message;
+  function checkRoomAccess(ws, roomId, pid, message, type) {
+    const { password, inviteToken, requestId } = message;
+    const failed = roomManager.checkRoomAccess(roomId, pid, { password, inviteToken });
     
-    playerId = pid;
-    playerName = pname;
-    currentRoomId = roomId;
-    playerColor = message.playerColor || 'blue';
-
-    // Check if room exists
-    if (!roomManager.roomExists(roomId)) {
-      ws.send(JSON.stringify({ 
-        type: 'error', 
-        message: 'Room no longer exists' 
-      }));
-      return;
+    if (failed === 'banned') {
+      sendError(ws, ErrorCodes.BANNED, 'You are banned from this room', requestId, type);
+      return false;
     }
-
-    // Add player back to room
-    const player = { playerId, playerName, playerColor, ws, isDrawing: false };
-    const added = roomManager.addPlayer(roomId, player);
     
-    if (!added) {
-      ws.send(JSON.stringify({ 
-        type: 'error', 
-        message: 'Room is full' 
-      }));
-      return;
+    if (failed === 'locked') {
+      sendError(ws, ErrorCodes.ROOM_LOCKED, 'This room is locked', requestId, type);
+      return false;
     }
-
-    console.log(`[WS] ${playerName} (${playerId}) rejoined ${roomId}`);
-
-    // Send current room state
-    const roomState = roomManager.getRoomState(roomId);
     
-    // If they have a lastEventTimestamp, only send events after that
-    let missedEvents = [];
-    if (lastEventTimestamp && roomState.drawingEvents) {
-      missedEvents = roomState.drawingEvents.filter(e => e.timestamp > lastEventTimestamp);
+    if (failed === 'password') {
+      const reason = password ? 'Wrong password' : 'This room needs a password';
+      sendError(ws, ErrorCodes.PASSWORD_REQUIRED, reason, requestId, type);
+      return false;
     }
     
-    ws.send(JSON.stringify({
-      type: 'rejoinState',
-      ...roomState,
-      missedEvents,
-      playerId,
-      playerName,
-      playerColor
-    }));
+    if (failed === 'invite') {
+      const reason = inviteToken ? 'Invite is invalid or expired' : 'This room is invite-only';
+      sendError(ws, ErrorCodes.INVITE_REQUIRED, reason, requestId, type);
+      return false;
+    }
+    
+    return true;
+  }
+
+  /**
+   * A player joined a room they were already in from another connection
+   * (a second tab, or a reconnect before their old socket closed). The
+   * newest connection wins: the old socket is told why and closed, and its
+   * close handler leaves the room to the new one.
+   */
+  function closeReplacedConnection(roomId, previous) {
+    // Strokes the old connection was drawing will never be finished
+    roomManager.endPlayerLiveStrokes(roomId, previous.playerId).forEach(strokeId => {
+      broadcastToRoom(roomId, { type: 'strokeCancel', playerId: previous.playerId, strokeId }, previous.playerId);
+    });
+
+    console.log(`[WS] ${previous.playerName} (${previous.playerId}) connected again, closing their old socket`);
+    previous.ws.replaced = true;
+    previous.ws.send(JSON.stringify({ type: 'replaced', roomId, timestamp: Date.now() }));
+    previous.ws.close(REPLACED_CLOSE_CODE, 'Connected elsewhere');
+  }
+
+  /**
+   * Handle player rejoining after disconnect
+   */
+  function handleRejoin(ws, message) {
+    const { roomId, playerId: pid, lastSeq, requestId } = message;
+    
+    // Only the player a session was issued to can rejoin with it
+    if (!message.sessionToken) {
+      sendError(ws, ErrorCodes.SESSION_REQUIRED, 'Rejoining needs the session token from your join', requestId, 'rejoin');
+      return;
+    }
+    
+    const session = sessions.verify(message.sessionToken);
+    if (!session || session.playerId !== pid) {
+      sendError(ws, ErrorCodes.SESSION_INVALID, 'Your session is invalid or has expired', requestId, 'rejoin');
+      return;
+    }
+    
+    // Check if room exists
+    if (!roomManager.roomExists(roomId)) {
+      sendError(ws, ErrorCodes.ROOM_NOT_FOUND, 'Room no longer exists', requestId, 'rejoin');
+      return;
+    }
+    
+    if (!checkRoomAccess(ws, roomId, pid, message, 'rejoin')) {
+      return;
+    }
+
+    // Name and color are the ones the session was issued with
+    const pname = session.playerName;
+    const rejoinColor = session.playerColor || 'blue';
+    const rejoinProtocolVersion = negotiateProtocolVersion(message.protocolVersion);
+
+    // Add player back to room
+    const player = {
+      playerId: pid,
+      playerName: pname,
+      playerColor: rejoinColor,
+      protocolVersion: rejoinProtocolVersion,
+      ws,
+      isDrawing: false
+    };
+    const previous = roomManager.getPlayer(roomId, pid);
+    const added = roomManager.addPlayer(roomId, player);
+    
+    if (!added) {
+      sendError(ws, ErrorCodes.ROOM_FULL, 'Room is full', requestId, 'rejoin');
+      return;
+    }
+    roomManager.admitPlayer(roomId, pid);
+    
+    // Usually the socket that dropped, if the server hasn't noticed yet
+    if (previous && previous.ws !== ws) {
+      closeReplacedConnection(roomId, previous);
+    }
+
+    playerId = pid;
+    playerName = pname;
+    playerColor = rejoinColor;
+    protocolVersion = rejoinProtocolVersion;
+    currentRoomId = roomId;
+
+    console.log(`[WS] ${playerName} (${playerId}) rejoined ${roomId}`);
+
+    // Resume from the client's last seen sequence number when we can,
+    // otherwise fall back to sending the full room state
+    const catchUp = roomManager.getEventsSince(roomId, lastSeq);
+    
+    if (catchUp.fullResync) {
+      ws.send(JSON.stringify({
+        type: 'rejoinState',
+        ...roomManager.getRoomState(roomId),
+        fullResync: true,
+        missedEvents: [],
+        playerId,
+        playerName,
+        playerColor,
+        protocolVersion,
+        sessionToken: sessions.issue({ playerId, playerName, playerColor })
+      }));
+    } else {
+      const roomInfo = roomManager.getRoomInfo(roomId);
+      ws.send(JSON.stringify({
+        type: 'rejoinState',
+        roomId,
+        roomName: roomInfo.name,
+        activePlayers: roomManager.getActivePlayers(roomId),
+        fullResync: false,
+        missedEvents: catchUp.events,
+        latestSeq: catchUp.latestSeq,
+        clearMode: roomInfo.clearMode,
+        clearVote: roomManager.getClearVoteStatus(roomId),
+        liveStrokes: roomManager.getLiveStrokes(roomId),
+        roomKey: roomManager.getRoomKey(roomId),
+        settings: roomInfo.settings,
+        moderation: roomManager.getModerationState(roomId),
+        playerId,
+        playerName,
+        playerColor,
+        protocolVersion,
+        sessionToken: sessions.issue({ playerId, playerName, playerColor })
+      }));
+    }
 
     // Broadcast rejoin notification
     broadcastToRoom(roomId, {
@@ -308,87 +930,348 @@ wss.on('connection', (ws) => {
       isRejoin: true,
       timestamp: Date.now()
     }, playerId);
+
+    resolveClearVote(roomId);
   }
 
   /**
    * Handle drawing events
    */
   function handleDraw(ws, message) {
-    if (!currentRoomId || !playerId) return;
+    const { strokeId, eventId, mask } = message;
+    const isFill = message.tool === 'fill';
 
-    const { points, color, size, tool } = message;
-    
-    const drawEvent = {
-      type: 'draw',
+    if (!checkCanDraw(ws, message) || !checkToolAllowed(ws, message)) {
+      return;
+    }
+
+    if (isFill && mask !== undefined && !roomManager.isValidFillMask(currentRoomId, mask)) {
+      sendError(ws, ErrorCodes.INVALID_PAYLOAD, 'Fill mask must be ascending runs inside the canvas', getRequestId(message), 'draw');
+      return;
+    }
+
+    // The completed stroke replaces its live preview, if it was streamed
+    if (strokeId) {
+      roomManager.endLiveStroke(currentRoomId, playerId, strokeId);
+    }
+
+    persistOnce(ws, message, () => {
+      // Stored strokes are clamped to the canvas, quantized and simplified;
+      // send everyone exactly what replays will see
+      const canvas = roomManager.getCanvasSize(currentRoomId);
+      const { points, color, size, tool, layers } = strokeSanitizer.sanitizeStroke(message, playerId, canvas);
+
+      const drawEvent = {
+        type: 'draw',
+        strokeId: strokeId || eventId || uuidv4(),
+        points,
+        color,
+        size,
+        tool,
+        playerId,
+        timestamp: Date.now()
+      };
+
+      if (layers) {
+        drawEvent.layers = layers;
+      }
+
+      // Fills carry the exact pixels to paint, so every canvas gets the same
+      // result; clients that don't send a mask get one from the server's canvas
+      // (its cached render, kept current as strokes are stored)
+      if (isFill) {
+        drawEvent.mask = mask || roomManager.computeFillMask(currentRoomId, points[0], color);
+      }
+
+      // Store the drawing event (assigns drawEvent.seq)
+      roomManager.addDrawingEvent(currentRoomId, drawEvent);
+
+      // Broadcast to all other players in the room, the sender learns the seq from its ack
+      broadcastToRoom(currentRoomId, drawEvent, playerId);
+
+      return drawEvent.seq;
+    });
+  }
+
+  /**
+   * Check a draw/strokePoints tool against the room's allowedTools.
+   * Sends TOOL_NOT_ALLOWED and returns false if the room doesn't allow it.
+   */
+  function checkToolAllowed(ws, message) {
+    const tool = message.tool || 'pen';
+    if (roomManager.getRoomSettings(currentRoomId).allowedTools.includes(tool)) {
+      return true;
+    }
+
+    sendError(ws, ErrorCodes.TOOL_NOT_ALLOWED, `The ${tool} tool is not allowed in this room`, getRequestId(message), message.type);
+    return false;
+  }
+
+  /**
+   * Check that the sender may change the canvas: it isn't locked (the owner
+   * still can) and the owner hasn't muted their drawing. Sends
+   * CANVAS_LOCKED or MUTED and returns false if they may not.
+   */
+  function checkCanDraw(ws, message) {
+    if (roomManager.isMuted(currentRoomId, playerId, 'draw')) {
+      sendError(ws, ErrorCodes.MUTED, 'You are muted from drawing', getRequestId(message), message.type);
+      return false;
+    }
+
+    if (roomManager.isCanvasLocked(currentRoomId) && !roomManager.isOwner(currentRoomId, playerId)) {
+      sendError(ws, ErrorCodes.CANVAS_LOCKED, 'The canvas is locked', getRequestId(message), message.type);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check that the owner hasn't muted the sender's chat.
+   * Sends MUTED and returns false if they have.
+   */
+  function checkCanChat(ws, message) {
+    if (!roomManager.isMuted(currentRoomId, playerId, 'chat')) {
+      return true;
+    }
+
+    sendError(ws, ErrorCodes.MUTED, 'You are muted from chat', getRequestId(message), message.type);
+    return false;
+  }
+
+  /**
+   * Check a chat text against the room's maxChatLength (the schema only
+   * enforces the server-wide MAX_CHAT_LENGTH). Sends INVALID_PAYLOAD and
+   * returns false if it is too long.
+   */
+  function checkChatLength(ws, message) {
+    const { maxChatLength } = roomManager.getRoomSettings(currentRoomId);
+    if ((message.text || '').trim().length <= maxChatLength) {
+      return true;
+    }
+
+    sendError(ws, ErrorCodes.INVALID_PAYLOAD, `text must be at most ${maxChatLength} characters`, getRequestId(message), message.type);
+    return false;
+  }
+
+  /**
+   * Handle a batch of points from a stroke that is still being drawn
+   * Relayed to the room but not persisted - the final draw message is
+   */
+  function handleStrokePoints(ws, message) {
+    const { strokeId } = message;
+    const roomId = currentRoomId;
+
+    if (!checkCanDraw(ws, message) || !checkToolAllowed(ws, message)) {
+      return;
+    }
+
+    const canvas = roomManager.getCanvasSize(roomId);
+    const { points, color, size, tool, layers } = strokeSanitizer.sanitizeStrokeBatch(message, playerId, canvas);
+
+    const appended = roomManager.appendLiveStroke(roomId, playerId, { strokeId, points, color, size, tool, layers },
+      () => cancelLiveStroke(roomId, playerId, strokeId));
+    if (!appended) return;
+
+    broadcastToRoom(currentRoomId, {
+      type: 'strokePoints',
+      strokeId,
       points,
       color,
       size,
-      tool: tool || 'pen',
-      playerId,
-      timestamp: Date.now()
-    };
-
-    // Store the drawing event
-    roomManager.addDrawingEvent(currentRoomId, drawEvent);
-
-    // Broadcast to all other players in the room
-    broadcastToRoom(currentRoomId, drawEvent, playerId);
+      tool,
+      layers,
+      playerId
+    }, playerId);
   }
 
   /**
    * Handle canvas clear events
    */
   function handleClear(ws, message) {
-    if (!currentRoomId || !playerId) return;
+    if (!checkCanDraw(ws, message)) {
+      return;
+    }
 
-    const clearEvent = {
-      type: 'clear',
-      playerId,
-      playerName,
-      timestamp: Date.now()
-    };
+    if (roomManager.getClearMode(currentRoomId) === 'vote') {
+      const roomId = currentRoomId;
+      roomManager.startClearVote(roomId, { playerId, playerName }, () => expireClearVote(roomId));
+      resolveClearVote(roomId);
+      return;
+    }
+
+    clearCanvas(currentRoomId, playerId, playerName);
+  }
+
+  /**
+   * Handle undoing the last clear during its grace period
+   */
+  function handleUndoClear(ws, message) {
+    if (!checkCanDraw(ws, message)) {
+      return;
+    }
+
+    const restoreEvent = roomManager.undoClear(currentRoomId, { playerId, playerName });
+
+    if (!restoreEvent) {
+      sendError(ws, ErrorCodes.NO_CLEAR_TO_UNDO, 'No clear to undo', getRequestId(message), 'undoClear');
+      return;
+    }
+
+    broadcastToRoom(currentRoomId, restoreEvent);
+  }
+
+  /**
+   * Handle a yes/no vote on the running clear vote
+   */
+  function handleClearVote(ws, message) {
+    if (!checkCanDraw(ws, message)) {
+      return;
+    }
+
+    if (!roomManager.castClearVote(currentRoomId, playerId, message.approve)) {
+      sendError(ws, ErrorCodes.NO_ACTIVE_VOTE, 'No clear vote is running', getRequestId(message), 'clearVote');
+      return;
+    }
+
+    resolveClearVote(currentRoomId);
+  }
+
+  /**
+   * Handle undo/redo of the sender's own strokes
+   * The change is persisted and broadcast to everyone, including the sender,
+   * so every client re-renders from the same stroke log
+   */
+  function handleStrokeChange(ws, message, type) {
+    if (!checkCanDraw(ws, message)) {
+      return;
+    }
+
+    const event = type === 'undo'
+      ? roomManager.undoStroke(currentRoomId, playerId, playerName)
+      : roomManager.redoStroke(currentRoomId, playerId, playerName);
 
-    // Clear canvas state in room manager
-    roomManager.clearCanvas(currentRoomId);
+    if (!event) {
+      const code = type === 'undo' ? ErrorCodes.NOTHING_TO_UNDO : ErrorCodes.NOTHING_TO_REDO;
+      const what = type === 'undo' ? 'strokes' : 'undone strokes';
+      sendError(ws, code, `Nothing to ${type}: you have no ${what} since the canvas was last cleared or restored`, getRequestId(message), type);
+      return;
+    }
 
-    // Broadcast to all players including sender
-    broadcastToRoom(currentRoomId, clearEvent);
+    broadcastToRoom(currentRoomId, event);
   }
 
   /**
    * Handle chat messages
    */
   function handleChatMessage(ws, message) {
-    if (!currentRoomId || !playerId) return;
-
     const { text } = message;
+
+    if (!checkCanChat(ws, message) || !checkChatLength(ws, message)) {
+      return;
+    }
+
+    persistOnce(ws, message, () => {
+      const chatMessage = {
+        type: 'message',
+        text: text.trim(),
+        playerId,
+        playerName,
+        playerColor,
+        timestamp: Date.now()
+      };
+
+      // Store in chat history (assigns chatMessage.seq)
+      roomManager.addChatMessage(currentRoomId, chatMessage);
+
+      // Broadcast to all players including sender
+      broadcastToRoom(currentRoomId, chatMessage);
+
+      return chatMessage.seq;
+    });
+  }
+
+  /**
+   * Handle a drawing sent as a chat message
+   * The image is stored with the message; clients load it from its sketchUrl
+   */
+  function handleSketch(ws, message) {
+    const { sketchData, text } = message;
+
+    if (!checkCanChat(ws, message)) {
+      return;
+    }
+
+    if (!roomManager.isValidSketch(currentRoomId, sketchData)) {
+      sendError(ws, ErrorCodes.INVALID_PAYLOAD, 'Sketch must be a PNG no larger than the canvas', getRequestId(message), 'sketch');
+      return;
+    }
+
+    if (!checkChatLength(ws, message)) {
+      return;
+    }
+
+    persistOnce(ws, message, () => {
+      const chatMessage = {
+        type: 'message',
+        text: (text || '').trim(),
+        playerId,
+        playerName,
+        playerColor,
+        timestamp: Date.now(),
+        sketchData
+      };
+
+      // Store in chat history (assigns chatMessage.seq and sketchUrl)
+      roomManager.addChatMessage(currentRoomId, chatMessage);
+
+      broadcastToRoom(currentRoomId, chatMessage);
+
+      return chatMessage.seq;
+    });
+  }
+
+  /**
+   * Store and broadcast a client event at most once per eventId, then ack it.
+   * Resent events (e.g. replayed after a dropped socket) are only re-acked.
+   * persist() stores + broadcasts the event and returns its seq.
+   */
+  function persistOnce(ws, message, persist) {
+    const { eventId } = message;
     
-    // Validate message
-    if (!text || text.trim().length === 0) return;
-    if (text.length > 140) return; // DS-like character limit
+    const knownSeq = roomManager.getProcessedEventSeq(currentRoomId, playerId, eventId);
+    if (knownSeq !== null) {
+      sendAck(ws, message, knownSeq, true);
+      return;
+    }
+
+    const seq = persist();
+    roomManager.rememberProcessedEvent(currentRoomId, playerId, eventId, seq);
+    sendAck(ws, message, seq, false);
+  }
 
-    const chatMessage = {
-      type: 'message',
-      text: text.trim(),
+  /**
+   * Relay a player's pointer position to everyone else in the room
+   * Cursors are presence only, so nothing is stored; positions are
+   * clamped to the canvas like stroke points
+   */
+  function handleCursor(ws, message) {
+    const { x, y } = strokeSanitizer.clampPoint(message, roomManager.getCanvasSize(currentRoomId));
+    broadcastToRoom(currentRoomId, {
+      type: 'cursor',
       playerId,
       playerName,
       playerColor,
-      timestamp: Date.now()
-    };
-
-    // Store in chat history
-    roomManager.addChatMessage(currentRoomId, chatMessage);
-
-    // Broadcast to all players including sender
-    broadcastToRoom(currentRoomId, chatMessage);
+      x,
+      y,
+      hidden: message.hidden === true
+    }, playerId);
   }
 
   /**
    * Handle drawing indicator (player is drawing / stopped drawing)
    */
   function handleDrawIndicator(ws, message, isDrawing) {
-    if (!currentRoomId || !playerId) return;
-
     // Update player state
     roomManager.setPlayerDrawing(currentRoomId, playerId, isDrawing);
 
@@ -401,60 +1284,359 @@ wss.on('connection', (ws) => {
   }
 
   /**
-   * Handle canvas snapshot from client
+   * Handle a request for an invite link to the current room
+   * Anyone inside may invite; the invite is only sent to them
    */
-  function handleCanvasSnapshot(ws, message) {
-    if (!currentRoomId || !playerId) return;
+  function handleCreateInvite(ws, message) {
+    const invite = roomManager.createInvite(currentRoomId, playerId);
 
-    const { snapshotData } = message;
-    
-    if (snapshotData) {
-      roomManager.saveCanvasSnapshot(currentRoomId, snapshotData);
+    ws.send(JSON.stringify({
+      type: 'invite',
+      ...invite,
+      requestId: getRequestId(message)
+    }));
+  }
+
+  /**
+   * Check that the sender owns the room they moderate.
+   * Sends NOT_OWNER and returns false if they don't.
+   */
+  function requireOwner(ws, message) {
+    if (roomManager.isOwner(currentRoomId, playerId)) {
+      return true;
     }
+
+    sendError(ws, ErrorCodes.NOT_OWNER, 'Only the room owner can do that', getRequestId(message), message.type);
+    return false;
+  }
+
+  /**
+   * The player a moderation message targets, if they are in the room (and
+   * aren't the owner themselves). Sends PLAYER_NOT_FOUND or INVALID_PAYLOAD
+   * and returns null otherwise.
+   */
+  function getModerationTarget(ws, message) {
+    const { targetPlayerId } = message;
+
+    if (targetPlayerId === playerId) {
+      sendError(ws, ErrorCodes.INVALID_PAYLOAD, 'You can\'t do that to yourself', getRequestId(message), message.type);
+      return null;
+    }
+
+    const target = roomManager.getPlayersInRoom(currentRoomId).find(player => player.playerId === targetPlayerId);
+    if (!target) {
+      sendError(ws, ErrorCodes.PLAYER_NOT_FOUND, 'That player is not in the room', getRequestId(message), message.type);
+      return null;
+    }
+
+    return target;
+  }
+
+  /**
+   * Tell the room about a moderation action, with the room's new
+   * moderation state so every client shows the same owner, locks and mutes
+   */
+  function broadcastModeration(action, details = {}) {
+    broadcastToRoom(currentRoomId, {
+      type: 'moderation',
+      action,
+      playerId,
+      playerName,
+      ...details,
+      moderation: roomManager.getModerationState(currentRoomId),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Send a player out of the room: they are told why, their socket is
+   * closed, and its close handler does the usual leave cleanup
+   */
+  function removeFromRoom(target, reason) {
+    roomManager.forgetAdmittedPlayer(currentRoomId, target.playerId);
+
+    target.ws.send(JSON.stringify({
+      type: 'kicked',
+      reason,
+      playerId,
+      playerName,
+      timestamp: Date.now()
+    }));
+    target.ws.kicked = true;
+    target.ws.close(KICKED_CLOSE_CODE, reason === 'ban' ? 'Banned' : 'Kicked');
+  }
+
+  /**
+   * Handle the owner kicking a player out of the room (they may come back)
+   */
+  function handleKick(ws, message) {
+    if (!requireOwner(ws, message)) return;
+
+    const target = getModerationTarget(ws, message);
+    if (!target) return;
+
+    removeFromRoom(target, 'kick');
+    broadcastModeration('kick', { targetPlayerId: target.playerId, targetName: target.playerName });
+  }
+
+  /**
+   * Handle the owner muting or unmuting a player's chat or drawing
+   */
+  function handleMute(ws, message) {
+    if (!requireOwner(ws, message)) return;
+
+    const target = getModerationTarget(ws, message);
+    if (!target) return;
+
+    const { scope, muted } = message;
+    roomManager.setMuted(currentRoomId, target.playerId, scope, muted);
+
+    // Their unfinished strokes won't be finished
+    if (muted && scope === 'draw') {
+      roomManager.endPlayerLiveStrokes(currentRoomId, target.playerId).forEach(strokeId => {
+        broadcastToRoom(currentRoomId, { type: 'strokeCancel', playerId: target.playerId, strokeId });
+      });
+    }
+
+    broadcastModeration(muted ? 'mute' : 'unmute', {
+      targetPlayerId: target.playerId,
+      targetName: target.playerName,
+      scope
+    });
+  }
+
+  /**
+   * Handle the owner banning a player by id, or lifting a ban.
+   * Banned players in the room are removed from it; players who aren't
+   * can be banned too (e.g. after a kick).
+   */
+  function handleBan(ws, message) {
+    if (!requireOwner(ws, message)) return;
+
+    const { targetPlayerId, banned } = message;
+
+    if (targetPlayerId === playerId) {
+      sendError(ws, ErrorCodes.INVALID_PAYLOAD, 'You can\'t do that to yourself', getRequestId(message), 'ban');
+      return;
+    }
+
+    const target = roomManager.getPlayersInRoom(currentRoomId).find(player => player.playerId === targetPlayerId);
+    const knownBan = roomManager.getModerationState(currentRoomId).bans.find(ban => ban.playerId === targetPlayerId);
+    const targetName = target ? target.playerName : knownBan ? knownBan.playerName : null;
+
+    if (banned) {
+      roomManager.banPlayer(currentRoomId, { playerId: targetPlayerId, playerName: targetName, bannedBy: playerId });
+      if (target) removeFromRoom(target, 'ban');
+    } else {
+      roomManager.unbanPlayer(currentRoomId, targetPlayerId);
+    }
+
+    broadcastModeration(banned ? 'ban' : 'unban', { targetPlayerId, targetName });
+  }
+
+  /**
+   * Handle the owner locking the canvas (only they can change it) or unlocking it
+   */
+  function handleLockCanvas(ws, message) {
+    if (!requireOwner(ws, message)) return;
+
+    roomManager.setCanvasLocked(currentRoomId, message.locked);
+
+    // A running clear vote can't pass on a locked canvas
+    const vote = message.locked ? roomManager.getClearVoteStatus(currentRoomId) : null;
+    if (vote) {
+      roomManager.endClearVote(currentRoomId);
+      broadcastToRoom(currentRoomId, { type: 'clearVote', ...vote, result: 'cancelled' });
+    }
+
+    broadcastModeration(message.locked ? 'lockCanvas' : 'unlockCanvas');
+  }
+
+  /**
+   * Handle the owner locking the room to new joins or unlocking it.
+   * Players already let in can still reconnect.
+   */
+  function handleLockRoom(ws, message) {
+    if (!requireOwner(ws, message)) return;
+
+    roomManager.setRoomLocked(currentRoomId, message.locked);
+    broadcastModeration(message.locked ? 'lockRoom' : 'unlockRoom');
+  }
+
+  /**
+   * Handle the owner handing the room over to another player in it
+   */
+  function handleTransferOwnership(ws, message) {
+    if (!requireOwner(ws, message)) return;
+
+    const target = getModerationTarget(ws, message);
+    if (!target) return;
+
+    roomManager.transferOwnership(currentRoomId, target.playerId);
+    broadcastModeration('transferOwnership', { targetPlayerId: target.playerId, targetName: target.playerName });
   }
 
   /**
    * Handle queued events replay from reconnecting client
    */
   function handleQueueReplay(ws, message) {
-    if (!currentRoomId || !playerId) return;
-
     const { events } = message;
-    
-    if (!Array.isArray(events)) return;
 
     console.log(`[WS] Replaying ${events.length} queued events from ${playerName}`);
 
+    const refused = {}; // type -> events of it refused by its rate limit
+
     events.forEach(event => {
+      // Queued events carry their own request ids and are validated one by one
+      const result = validateMessage(event, QUEUEABLE_TYPES);
+      if (!result.valid) {
+        sendError(ws, result.code, result.message, getRequestId(event), event.type);
+        return;
+      }
+
+      // ...and rate limited like the messages they are, or a replay could
+      // carry far more chat and sketches than their limits allow. Refused
+      // events stay queued on the client, which resends them after retryAfterMs.
+      const { allowed, retryAfterMs } = limiter.consumeQueued(event.type, refused[event.type] || 0);
+      if (!allowed) {
+        refused[event.type] = (refused[event.type] || 0) + 1;
+        sendError(ws, ErrorCodes.RATE_LIMITED, 'Too many messages, slow down', getRequestId(event), event.type, { retryAfterMs });
+        return;
+      }
+
       if (event.type === 'draw') {
-        const drawEvent = {
-          type: 'draw',
-          points: event.points,
-          color: event.color,
-          size: event.size,
-          tool: event.tool || 'pen',
-          playerId,
-          timestamp: event.timestamp || Date.now()
-        };
-        
-        roomManager.addDrawingEvent(currentRoomId, drawEvent);
-        broadcastToRoom(currentRoomId, drawEvent, playerId);
+        handleDraw(ws, event);
       } else if (event.type === 'message') {
-        const chatMessage = {
-          type: 'message',
-          text: event.text,
-          playerId,
-          playerName,
-          timestamp: event.timestamp || Date.now()
-        };
-        
-        roomManager.addChatMessage(currentRoomId, chatMessage);
-        broadcastToRoom(currentRoomId, chatMessage);
+        handleChatMessage(ws, event);
+      } else if (event.type === 'sketch') {
+        handleSketch(ws, event);
       }
     });
   }
 });
 
+/**
+ * Ping every socket and terminate the ones that didn't answer the last ping.
+ * terminate() fires the normal 'close' handler, so half-open connections
+ * go through removePlayer/userLeft like any other disconnect.
+ */
+function startHeartbeat() {
+  const interval = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        console.log('[WS] Terminating unresponsive connection');
+        ws.terminate();
+        return;
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(interval));
+}
+
+/**
+ * Send a typed error to a single client
+ * requestId / requestType identify the client request that failed, if known
+ * details holds code-specific fields (e.g. retryAfterMs for RATE_LIMITED)
+ */
+function sendError(ws, code, message, requestId = null, requestType = null, details = {}) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  ws.send(JSON.stringify({
+    type: 'error',
+    code,
+    message,
+    requestId,
+    requestType: typeof requestType === 'string' ? requestType : null,
+    ...details
+  }));
+}
+
+/**
+ * Resolve the client IP of a WebSocket upgrade request, the same way Express
+ * does for HTTP: the address the outermost trusted proxy appended to
+ * X-Forwarded-For. Entries left of it were sent by the client and can be forged.
+ */
+function getClientIp(req) {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  if (TRUST_PROXY_HOPS > 0 && forwardedFor) {
+    const addresses = forwardedFor.split(',').map(address => address.trim());
+    return addresses[Math.max(addresses.length - TRUST_PROXY_HOPS, 0)];
+  }
+  return req.socket.remoteAddress;
+}
+
+/**
+ * Acknowledge a stored client event
+ * duplicate: the event had already been stored, seq is the original one
+ */
+function sendAck(ws, message, seq, duplicate) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+
+  ws.send(JSON.stringify({
+    type: 'ack',
+    eventId: message.eventId || null,
+    requestId: getRequestId(message),
+    seq,
+    duplicate
+  }));
+}
+
+/**
+ * Clear a room's canvas and broadcast it to everyone, including the clearer
+ */
+function clearCanvas(roomId, playerId, playerName) {
+  const clearEvent = {
+    type: 'clear',
+    playerId,
+    playerName,
+    timestamp: Date.now()
+  };
+
+  // Clear canvas state in room manager (assigns clearEvent.seq)
+  roomManager.clearCanvas(roomId, clearEvent);
+
+  broadcastToRoom(roomId, clearEvent);
+}
+
+/**
+ * Broadcast the state of a room's clear vote, and clear the canvas once it passes
+ */
+function resolveClearVote(roomId) {
+  const status = roomManager.getClearVoteStatus(roomId);
+  if (!status) return;
+
+  if (status.result) {
+    roomManager.endClearVote(roomId);
+  }
+
+  broadcastToRoom(roomId, { type: 'clearVote', ...status });
+
+  if (status.result === 'passed') {
+    clearCanvas(roomId, status.initiatorId, status.initiatorName);
+  }
+}
+
+function expireClearVote(roomId) {
+  const status = roomManager.getClearVoteStatus(roomId);
+  if (!status) return;
+
+  roomManager.endClearVote(roomId);
+  broadcastToRoom(roomId, { type: 'clearVote', ...status, result: 'expired' });
+}
+
+/**
+ * Drop a player's unfinished live stroke and tell the room to stop showing it
+ */
+function cancelLiveStroke(roomId, playerId, strokeId) {
+  if (roomManager.endLiveStroke(roomId, playerId, strokeId)) {
+    broadcastToRoom(roomId, { type: 'strokeCancel', playerId, strokeId });
+  }
+}
+
 /**
  * Broadcast a message to all players in a room
  */
@@ -462,8 +1644,17 @@ function broadcastToRoom(roomId, message, excludePlayerId = null) {
   const players = roomManager.getPlayersInRoom(roomId);
   const messageStr = JSON.stringify(message);
 
+  // Strokes go out as binary frames to clients that negotiated version 2
+  const canBeBinary = strokeCodec.BINARY_TYPES.includes(message.type);
+  let frame = null;
+
   players.forEach(player => {
-    if (player.playerId !== excludePlayerId && player.ws.readyState === WebSocket.OPEN) {
+    if (player.playerId === excludePlayerId || player.ws.readyState !== WebSocket.OPEN) return;
+
+    if (canBeBinary && player.protocolVersion >= 2) {
+      frame = frame || strokeCodec.encodeFrame(message);
+      player.ws.send(frame);
+    } else {
       player.ws.send(messageStr);
     }
   });
@@ -473,14 +1664,36 @@ function broadcastToRoom(roomId, message, excludePlayerId = null) {
 // Server Initialization
 // =============================================================================
 
+/**
+ * Secret session tokens are signed with: SESSION_SECRET, or one generated on
+ * first start and kept in the database so sessions survive restarts
+ */
+function loadSessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  
+  let secret = db.getServerSecret('session');
+  if (!secret) {
+    secret = createToken();
+    db.setServerSecret('session', secret);
+    db.saveDatabase();
+    console.log('[Server] Generated a session secret (set SESSION_SECRET to choose one)');
+  }
+  return secret;
+}
+
 async function startServer() {
   try {
     // Initialize database
     await db.initDatabase();
     
+    sessions = new SessionSigner(loadSessionSecret());
+    
     // Initialize room manager
     roomManager = new RoomManager();
-    await roomManager.initializeDefaultRooms();
+    await roomManager.initializeDefaultRooms(DEFAULT_ROOM_CLEAR_MODE);
+    
+    // Detect dead connections
+    startHeartbeat();
     
     // Start periodic cleanup
     setInterval(() => {
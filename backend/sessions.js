@@ -0,0 +1,72 @@
+/**
+ * Player Sessions
+ *
+ * Signed session tokens that prove who a player is. The server issues one
+ * on join, binding the player's id, name and color; the client keeps it
+ * across reloads and presents it on rejoin, so nobody can rejoin (or
+ * moderate a room) as someone else.
+ *
+ * A token is `<payload>.<signature>`: base64url JSON and its HMAC-SHA256
+ * under the server's session secret.
+ */
+
+const crypto = require('crypto');
+const { tokensMatch } = require('./roomAccess');
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Renewed on every join/rejoin
+
+class SessionSigner {
+  constructor(secret) {
+    if (!secret) {
+      throw new Error('SessionSigner needs a secret');
+    }
+    this.secret = secret;
+  }
+
+  /**
+   * New token for a player
+   */
+  issue({ playerId, playerName, playerColor }) {
+    const payload = Buffer.from(JSON.stringify({
+      playerId,
+      playerName,
+      playerColor,
+      issuedAt: Date.now()
+    })).toString('base64url');
+
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * The { playerId, playerName, playerColor, issuedAt } a token was issued
+   * for, or null if it is malformed, forged or expired
+   */
+  verify(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature, ...rest] = token.split('.');
+    if (!payload || !signature || rest.length > 0) return null;
+    if (!tokensMatch(signature, this.sign(payload))) return null;
+
+    let session;
+    try {
+      session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+
+    if (!session || typeof session.playerId !== 'string' || typeof session.issuedAt !== 'number') return null;
+    if (Date.now() - session.issuedAt > SESSION_TTL_MS) return null;
+
+    return session;
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+}
+
+module.exports = {
+  SessionSigner,
+  SESSION_TTL_MS
+};
@@ -0,0 +1,121 @@
+/**
+ * Stroke Sanitizer
+ *
+ * Semantic limits for drawing payloads, applied after schema validation
+ * (protocol.js rejects unknown tools, malformed colors and oversized messages):
+ * - Coordinates are clamped to the room's canvas and quantized like stored points
+ * - Brush sizes are clamped to the range the toolbar can produce
+ * - Shapes keep their two defining points and fills their single start point
+ * - Freehand strokes are simplified, and strokes still longer than
+ *   MAX_STROKE_POINTS are simplified more coarsely until they fit
+ * - Erasers always name the layers they erase, their author's by default
+ *
+ * Every peer renders exactly what comes out of here, so nothing else in the
+ * drawing path needs to defend against hostile geometry.
+ */
+
+const renderer = require('./renderer');
+const strokeCodec = require('../shared/strokeCodec');
+const strokeProcessing = require('../shared/strokeProcessing');
+const layers = require('../shared/layers');
+
+const MIN_BRUSH_SIZE = 1;
+const MAX_BRUSH_SIZE = 24; // Largest toolbar size (12) doubled by the brush
+const MAX_STROKE_POINTS = strokeProcessing.MAX_STROKE_POINTS; // Points stored per stroke
+
+// Points each tool needs; freehand tools keep all of theirs
+const SHAPE_POINTS = { line: 2, rect: 2, circle: 2, fill: 1 };
+
+// =============================================================================
+// Geometry
+// =============================================================================
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Canvas of rooms that don't configure their own size
+const DEFAULT_CANVAS = { width: renderer.CANVAS_WIDTH, height: renderer.CANVAS_HEIGHT };
+
+/**
+ * Clamp points to a canvas ({ width, height }), at stored precision
+ */
+function clampPoints(points, canvas) {
+  return strokeCodec.quantizePoints(points.map(point => ({
+    x: clamp(point.x, 0, canvas.width),
+    y: clamp(point.y, 0, canvas.height)
+  })));
+}
+
+/**
+ * Clamp a single point, such as a relayed cursor, to a canvas
+ */
+function clampPoint(point, canvas) {
+  return clampPoints([point], canvas)[0];
+}
+
+function clampSize(size) {
+  return clamp(size, MIN_BRUSH_SIZE, MAX_BRUSH_SIZE);
+}
+
+// =============================================================================
+// Layers
+// =============================================================================
+
+/**
+ * Layers an eraser by playerId erases: the requested ones without
+ * duplicates, or the player's own. Stored erasers without a list predate
+ * layers and erase everything (see db.formatDrawingRow).
+ */
+function eraseLayers(requested, playerId) {
+  if (!Array.isArray(requested)) return [playerId];
+  if (requested.includes(layers.ALL_LAYERS)) return [layers.ALL_LAYERS];
+  return Array.from(new Set(requested));
+}
+
+// =============================================================================
+// Payloads
+// =============================================================================
+
+/**
+ * Sanitized copy of a completed stroke ({ points, color, size, tool, layers })
+ * drawn by playerId on a canvas of the given { width, height }, exactly as
+ * it will be stored and broadcast
+ */
+function sanitizeStroke({ points, color, size, tool, layers: requestedLayers }, playerId, canvas = DEFAULT_CANVAS) {
+  const strokeTool = tool || 'pen';
+  let strokePoints = clampPoints(points, canvas);
+
+  if (strokeProcessing.isFreehand(strokeTool)) {
+    strokePoints = strokeProcessing.simplifyToLimit(strokePoints, MAX_STROKE_POINTS);
+  } else {
+    strokePoints = strokePoints.slice(0, SHAPE_POINTS[strokeTool]);
+  }
+
+  const stroke = { points: strokePoints, color, size: clampSize(size), tool: strokeTool };
+  if (layers.isEraser(stroke)) {
+    stroke.layers = eraseLayers(requestedLayers, playerId);
+  }
+  return stroke;
+}
+
+/**
+ * Sanitized copy of a live stroke batch ({ points, color, size, tool, layers })
+ * drawn by playerId. Batches are short and never stored, so they are only clamped.
+ */
+function sanitizeStrokeBatch({ points, color, size, tool, layers: requestedLayers }, playerId, canvas = DEFAULT_CANVAS) {
+  const batch = { points: clampPoints(points, canvas), color, size: clampSize(size), tool: tool || 'pen' };
+  if (layers.isEraser(batch)) {
+    batch.layers = eraseLayers(requestedLayers, playerId);
+  }
+  return batch;
+}
+
+module.exports = {
+  MIN_BRUSH_SIZE,
+  MAX_BRUSH_SIZE,
+  MAX_STROKE_POINTS,
+  clampPoint,
+  sanitizeStroke,
+  sanitizeStrokeBatch
+};
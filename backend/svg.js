@@ -0,0 +1,196 @@
+/**
+ * SVG Export
+ *
+ * Turns a room's stroke log into an SVG document:
+ * - Each layer (see shared/layers.js) becomes a <g>, bottom layer first
+ * - Freehand strokes become round-capped paths of smoothed quadratic curves
+ * - Shapes (line, rect, circle) become their SVG elements
+ * - Flood fills have no vector form, so each one is embedded as a
+ *   transparent PNG of exactly the pixels it filled
+ * - Erasers hide what their layers drew before them through a <mask>
+ * - Retracted (undone) strokes are left out
+ */
+
+const png = require('./png');
+const renderer = require('./renderer');
+const layers = require('../shared/layers');
+const strokeProcessing = require('../shared/strokeProcessing');
+
+/**
+ * Escape a value for use inside an XML attribute
+ */
+function escapeAttr(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function num(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function strokeAttrs(event) {
+  const size = Number(event.size) || 1;
+  return `fill="none" stroke="${escapeAttr(event.color)}" stroke-width="${num(size)}" ` +
+         'stroke-linecap="round" stroke-linejoin="round"';
+}
+
+/**
+ * SVG element for a single draw event (null for fills)
+ */
+function drawEventToSvg(event) {
+  const { points, tool } = event;
+  const [start, end] = points;
+
+  if (tool === 'line' && points.length >= 2) {
+    return `<line x1="${num(start.x)}" y1="${num(start.y)}" x2="${num(end.x)}" y2="${num(end.y)}" ${strokeAttrs(event)}/>`;
+  }
+
+  if (tool === 'rect' && points.length >= 2) {
+    const x = Math.min(start.x, end.x);
+    const y = Math.min(start.y, end.y);
+    return `<rect x="${num(x)}" y="${num(y)}" width="${num(Math.abs(end.x - start.x))}" ` +
+           `height="${num(Math.abs(end.y - start.y))}" ${strokeAttrs(event)}/>`;
+  }
+
+  if (tool === 'circle' && points.length >= 2) {
+    return `<ellipse cx="${num((start.x + end.x) / 2)}" cy="${num((start.y + end.y) / 2)}" ` +
+           `rx="${num(Math.abs(end.x - start.x) / 2)}" ry="${num(Math.abs(end.y - start.y) / 2)}" ${strokeAttrs(event)}/>`;
+  }
+
+  if (points.length === 1) {
+    const radius = (Number(event.size) || 1) / 2;
+    return `<circle cx="${num(start.x)}" cy="${num(start.y)}" r="${num(radius)}" fill="${escapeAttr(event.color)}"/>`;
+  }
+
+  const segments = strokeProcessing.smoothSegments(points);
+  const d = [`M${num(points[0].x)} ${num(points[0].y)}`]
+    .concat(segments.map(({ control, end }) => `Q${num(control.x)} ${num(control.y)} ${num(end.x)} ${num(end.y)}`))
+    .join(' ');
+  return `<path d="${d}" ${strokeAttrs(event)}/>`;
+}
+
+/**
+ * Render the pixels a fill changed on its layer as a transparent PNG <image>.
+ * `before` is the layer data prior to the fill.
+ */
+function fillToSvg(before, layer) {
+  const { width, height, data } = layer;
+  const mask = { width, height, data: new Uint8ClampedArray(data.length) };
+  let changed = false;
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i] !== before[i] || data[i + 1] !== before[i + 1] ||
+        data[i + 2] !== before[i + 2] || data[i + 3] !== before[i + 3]) {
+      mask.data[i] = data[i];
+      mask.data[i + 1] = data[i + 1];
+      mask.data[i + 2] = data[i + 2];
+      mask.data[i + 3] = 255;
+      changed = true;
+    }
+  }
+
+  if (!changed) return null;
+  return `<image x="0" y="0" width="${width}" height="${height}" href="${png.toDataUrl(png.encodePng(mask))}"/>`;
+}
+
+function indent(element) {
+  return element.split('\n').map(line => `  ${line}`).join('\n');
+}
+
+/**
+ * Build an SVG document from drawing events (oldest first).
+ *
+ * options.baseLayers: layers of the canvas before these events
+ *   ([{ layerId, snapshotPng }], bottom first)
+ * options.layerIds: only export these layers, without the white background
+ * options.width / options.height: canvas size (renderer defaults if not given)
+ */
+function renderSvg(events, options = {}) {
+  const width = options.width || renderer.CANVAS_WIDTH;
+  const height = options.height || renderer.CANVAS_HEIGHT;
+  const layerIds = options.layerIds || null;
+  const defs = [];
+  const groups = new Map(); // Layer id -> elements, in stacking order
+  let maskCount = 0;
+
+  // Fills and erasers depend on the pixels under them, so keep raster layers in step
+  const stack = renderer.createStack(width, height);
+
+  const addElement = (layerId, element) => {
+    renderer.getLayer(stack, layerId);
+    if (!groups.has(layerId)) groups.set(layerId, []);
+    groups.get(layerId).push(element);
+  };
+
+  (options.baseLayers || []).forEach(({ layerId, snapshotPng }) => {
+    try {
+      // Images from before a canvas resize keep their own size
+      const image = png.decodePng(snapshotPng);
+      renderer.drawImage(renderer.getLayer(stack, layerId), image);
+      addElement(layerId, `<image x="0" y="0" width="${image.width}" height="${image.height}" href="${png.toDataUrl(snapshotPng)}"/>`);
+    } catch (err) {
+      console.error(`[SVG] Ignoring unreadable layer image ${layerId}:`, err.message);
+    }
+  });
+
+  events.forEach(event => {
+    if (event.type === 'clear') {
+      defs.length = 0;
+      groups.clear();
+      renderer.renderEvent(stack, event);
+      return;
+    }
+
+    if (event.type !== 'draw' || event.retracted) return;
+    if (!Array.isArray(event.points) || event.points.length === 0) return;
+
+    if (layers.isEraser(event)) {
+      // Everything its layers drew so far is shown through a mask the eraser paints black
+      const erased = drawEventToSvg({ ...event, color: '#000000' });
+      layers.erasedLayers(event, Array.from(stack.keys())).forEach(layerId => {
+        const maskId = `erase-${++maskCount}`;
+        defs.push(`<mask id="${maskId}" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">\n` +
+                  `  <rect width="${width}" height="${height}" fill="#FFFFFF"/>\n  ${erased}\n</mask>`);
+        const elements = groups.get(layerId) || [];
+        groups.set(layerId, [`<g mask="url(#${maskId})">\n${elements.map(indent).join('\n')}\n</g>`]);
+      });
+      renderer.renderEvent(stack, event);
+      return;
+    }
+
+    if (event.tool === 'fill' && event.points.length === 1) {
+      const layer = renderer.getLayer(stack, event.playerId);
+      const before = layer.data.slice();
+      renderer.renderEvent(stack, event);
+      const element = fillToSvg(before, layer);
+      if (element) addElement(event.playerId, element);
+      return;
+    }
+
+    renderer.renderEvent(stack, event);
+    addElement(event.playerId, drawEventToSvg(event));
+  });
+
+  const elements = layerIds ? [] : [`<rect width="${width}" height="${height}" fill="#FFFFFF"/>`];
+  if (defs.length > 0) {
+    elements.unshift(`<defs>\n${defs.map(indent).join('\n')}\n</defs>`);
+  }
+  groups.forEach((groupElements, layerId) => {
+    if (layerIds && !layerIds.includes(layerId)) return;
+    elements.push(`<g data-layer="${escapeAttr(layerId)}">\n${groupElements.map(indent).join('\n')}\n</g>`);
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...elements.map(indent),
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  renderSvg
+};
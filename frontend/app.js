@@ -6,7 +6,9 @@
  * - Custom room creation
  * - Queue replay on reconnect
  * - Canvas snapshots
- * - Undo functionality
+ * - Server-side undo/redo (re-rendered from the shared stroke log)
+ * - PNG/SVG export of the room canvas
+ * - Timelapse playback of the drawing history
  * - Mobile-optimized touch handling
  */
 
@@ -18,7 +20,12 @@ const state = {
   // Connection
   ws: null,
   isConnected: false,
-  playerId: generateId(),
+  PROTOCOL_VERSION: 2, // Highest wire protocol we speak (see backend/protocol.js)
+  MAX_FRAME_BYTES: 512 * 1024, // The server closes sockets that send bigger frames (see backend/protocol.js)
+  MAX_REPLAY_EVENTS: 500, // Events per queueReplay frame
+  protocolVersion: 1, // Negotiated with the server on join/rejoin
+  playerId: generateId(), // Until the server assigns one on our first join (see loadSession)
+  sessionToken: null, // Signed by the server, binds our playerId, name and color; kept across reloads
   playerName: 'Player',
   playerColor: 'blue', // Player's chosen name color
   
@@ -26,6 +33,16 @@ const state = {
   currentRoom: null,
   currentRoomTheme: 'blue', // pink, blue, orange, green
   activePlayers: [],
+  clearMode: 'undoable', // 'undoable' or 'vote'
+  clearVote: null, // Running clear vote, shown in the players bar
+  clearUndoTimer: null,
+  roomCredentials: {}, // { password } or { inviteToken } we got into a private room with, resent on rejoin
+  roomKey: null, // Private rooms' REST routes need this (see withRoomKey)
+  pendingInviteToken: null, // From an ?invite= link, used once connected
+  roomSettings: null, // Canvas size, allowed tools, chat length... (see DEFAULT_ROOM_SETTINGS in backend/protocol.js)
+  moderation: null, // { ownerId, canvasLocked, roomLocked, mutes, bans } of custom rooms
+  KICKED_CLOSE_CODE: 4001, // The server closes kicked/banned players' sockets with this
+  REPLACED_CLOSE_CODE: 4002, // ...and with this when we joined the room again elsewhere
   
   // Canvas
   canvas: null,
@@ -40,24 +57,61 @@ const state = {
   shapeStart: null,
   previewCanvas: null,
   previewCtx: null,
-  undoStack: [],
-  maxUndoSteps: 10,
+  
+  // Live stroke streaming: freehand points are sent in batches while drawing
+  strokeStreamTimer: null,
+  STROKE_STREAM_INTERVAL_MS: 50,
+  MAX_STROKE_BATCH_POINTS: 64, // Matches MAX_STROKE_BATCH_POINTS in backend/protocol.js
+  liveStrokes: new Map(), // `${playerId}:${strokeId}` -> remote stroke still being drawn
+  
+  // Cursor presence: our pointer is sent at most every CURSOR_INTERVAL_MS,
+  // other players' cursors fade out after CURSOR_IDLE_MS without movement
+  cursors: new Map(), // playerId -> { element, idleTimer }
+  pendingCursor: null,
+  cursorTimer: null,
+  CURSOR_INTERVAL_MS: 80,
+  CURSOR_IDLE_MS: 3000,
+  
+  // Stroke log since the last clear/snapshot - the canvas is re-rendered
+  // from it whenever a stroke is undone or redone
+  strokeLog: [],
+  layerImages: new Map(), // Layer id -> snapshot image the layer starts from
+  pendingLayerImages: null,
+  
+  // Layers (see shared/layers.js): every player draws on their own
+  // transparent canvas, and the visible canvas is their composite
+  layers: new Map(), // Layer id -> { canvas, ctx }, bottom first
+  layerView: { hidden: new Set(), locked: new Set(), solo: null }, // Local only
+  eraseAllLayers: false, // Eraser targets every visible, unlocked layer instead of ours
   
   // Chat
   messages: [],
   
-  // Queues for offline mode
+  // Private sketch pad for drawings sent as chat messages (null when closed)
+  sketch: null,
+  
+  // Draw/chat events not yet acked by the server (replayed on reconnect)
   eventQueue: [],
-  lastEventTimestamp: 0,
+  lastRateLimitNotice: 0,
+  lastSeq: 0, // Highest server-assigned room sequence number seen
   
   // Reconnection
   reconnectAttempts: 0,
   maxReconnectAttempts: 5,
   reconnectTimeout: null,
   
-  // Snapshot
-  snapshotInterval: null,
-  SNAPSHOT_INTERVAL_MS: 60000
+  // Heartbeat (browsers can't see protocol pings, so we ping at app level)
+  heartbeatInterval: null,
+  lastServerMessageAt: 0,
+  HEARTBEAT_INTERVAL_MS: 10000,
+  LIVENESS_TIMEOUT_MS: 25000, // No message from the server for this long = stalled
+  
+  // Timelapse playback (null when showing the live canvas)
+  playback: null,
+  PLAYBACK_SPEEDS: [1, 2, 4, 8],
+  PLAYBACK_MIN_STEP_MS: 30,
+  PLAYBACK_MAX_STEP_MS: 1000, // Long pauses between strokes are compressed to this
+  PLAYBACK_PAGE_SIZE: 500
 };
 
 // =============================================================================
@@ -99,11 +153,14 @@ const elements = {
   playerNameInput: document.getElementById('player-name-input'),
   playerColorBtns: document.querySelectorAll('.player-color-btn'),
   roomList: document.getElementById('room-list'),
+  lobbyNotice: document.getElementById('lobby-notice'),
   customRoomName: document.getElementById('custom-room-name'),
   createRoomBtn: document.getElementById('create-room-btn'),
+  customRoomAccess: document.getElementById('custom-room-access'),
   connectionStatusSelect: document.getElementById('connection-status-select'),
   currentRoomName: document.getElementById('current-room-name'),
   leaveRoomBtn: document.getElementById('leave-room-btn'),
+  inviteBtn: document.getElementById('invite-btn'),
   chatLog: document.getElementById('chat-log'),
   playersBar: document.getElementById('players-bar'),
   canvas: document.getElementById('drawing-canvas'),
@@ -112,12 +169,47 @@ const elements = {
   colorBtns: document.querySelectorAll('.color-btn'),
   sizeBtns: document.querySelectorAll('.size-btn'),
   undoBtn: document.getElementById('undo-btn'),
+  redoBtn: document.getElementById('redo-btn'),
   clearBtn: document.getElementById('clear-btn'),
+  saveBtn: document.getElementById('save-btn'),
+  saveMenu: document.getElementById('save-menu'),
+  layersBtn: document.getElementById('layers-btn'),
+  layersPanel: document.getElementById('layers-panel'),
+  layersList: document.getElementById('layers-list'),
+  eraseAllLayersInput: document.getElementById('erase-all-layers'),
+  moderationWrapper: document.getElementById('moderation-wrapper'),
+  moderationBtn: document.getElementById('moderation-btn'),
+  moderationPanel: document.getElementById('moderation-panel'),
+  moderationPlayers: document.getElementById('moderation-players'),
+  moderationBans: document.getElementById('moderation-bans'),
+  lockCanvasInput: document.getElementById('lock-canvas-input'),
+  lockRoomInput: document.getElementById('lock-room-input'),
+  replayBtn: document.getElementById('replay-btn'),
+  playbackCanvas: document.getElementById('playback-canvas'),
+  playbackBar: document.getElementById('playback-bar'),
+  playbackPlayBtn: document.getElementById('playback-play-btn'),
+  playbackScrubber: document.getElementById('playback-scrubber'),
+  playbackPosition: document.getElementById('playback-position'),
+  playbackSpeedBtn: document.getElementById('playback-speed-btn'),
+  playbackCloseBtn: document.getElementById('playback-close-btn'),
   messageInput: document.getElementById('message-input'),
   sendBtn: document.getElementById('send-btn'),
+  sketchBtn: document.getElementById('sketch-btn'),
+  sketchCanvas: document.getElementById('sketch-canvas'),
+  sketchBar: document.getElementById('sketch-bar'),
+  sketchCopyBtn: document.getElementById('sketch-copy-btn'),
+  sketchClearBtn: document.getElementById('sketch-clear-btn'),
+  sketchCancelBtn: document.getElementById('sketch-cancel-btn'),
+  sketchSendBtn: document.getElementById('sketch-send-btn'),
+  sketchViewer: document.getElementById('sketch-viewer'),
+  sketchViewerImg: document.getElementById('sketch-viewer-img'),
   connectionStatus: document.getElementById('connection-status'),
   reconnectBanner: document.getElementById('reconnect-banner'),
-  reconnectQueue: document.getElementById('reconnect-queue')
+  reconnectQueue: document.getElementById('reconnect-queue'),
+  clearUndoNotice: document.getElementById('clear-undo-notice'),
+  clearUndoText: document.getElementById('clear-undo-text'),
+  clearUndoBtn: document.getElementById('clear-undo-btn'),
+  cursorLayer: document.getElementById('cursor-layer')
 };
 
 // =============================================================================
@@ -132,6 +224,7 @@ function connect() {
   
   try {
     state.ws = new WebSocket(getWebSocketURL());
+    state.ws.binaryType = 'arraybuffer';
     state.ws.onopen = handleOpen;
     state.ws.onmessage = handleMessage;
     state.ws.onclose = handleClose;
@@ -146,23 +239,32 @@ function handleOpen() {
   console.log('[WS] Connected');
   state.isConnected = true;
   state.reconnectAttempts = 0;
+  state.protocolVersion = 1; // Until this connection's join/rejoin negotiates it
   updateConnectionStatus('connected');
   hideReconnectBanner();
+  startHeartbeat();
   
   if (state.currentRoom) {
     rejoinRoom();
+  } else if (state.pendingInviteToken) {
+    openInviteLink();
   } else {
     loadRooms();
   }
 }
 
 function handleMessage(event) {
+  state.lastServerMessageAt = Date.now();
+  
   try {
-    const message = JSON.parse(event.data);
+    // Binary frames are strokes from a version 2 server
+    const message = typeof event.data === 'string'
+      ? JSON.parse(event.data)
+      : StrokeCodec.decodeFrame(event.data);
     console.log('[WS] Received:', message.type);
     
-    if (message.timestamp) {
-      state.lastEventTimestamp = Math.max(state.lastEventTimestamp, message.timestamp);
+    if (typeof message.seq === 'number') {
+      state.lastSeq = Math.max(state.lastSeq, message.seq);
     }
     
     switch (message.type) {
@@ -171,14 +273,25 @@ function handleMessage(event) {
       case 'userJoined': handleUserJoined(message); break;
       case 'userLeft': handleUserLeft(message); break;
       case 'draw': handleRemoteDraw(message); break;
+      case 'strokePoints': handleStrokePoints(message); break;
+      case 'strokeCancel': handleStrokeCancel(message); break;
+      case 'cursor': handleRemoteCursor(message); break;
       case 'clear': handleRemoteClear(message); break;
+      case 'restore': handleCanvasRestored(message); break;
+      case 'clearVote': handleClearVoteUpdate(message); break;
+      case 'undo':
+      case 'redo': handleStrokeChange(message); break;
       case 'message': handleChatMessage(message); break;
       case 'drawStart':
       case 'drawEnd': handleDrawIndicator(message); break;
-      case 'error':
-        console.error('[WS] Server error:', message.message);
-        alert(message.message);
-        break;
+      case 'ack': handleAck(message); break;
+      case 'invite': handleInvite(message); break;
+      case 'roomSettings': handleRoomSettings(message); break;
+      case 'moderation': handleModeration(message); break;
+      case 'kicked': handleKicked(message); break;
+      case 'replaced': handleReplaced(); break;
+      case 'pong': break; // Liveness already recorded above
+      case 'error': handleServerError(message); break;
     }
   } catch (err) {
     console.error('[WS] Message parse error:', err);
@@ -189,15 +302,20 @@ function handleClose(event) {
   console.log('[WS] Disconnected:', event.code);
   state.isConnected = false;
   updateConnectionStatus('disconnected');
+  stopHeartbeat();
   
-  if (state.snapshotInterval) {
-    clearInterval(state.snapshotInterval);
-    state.snapshotInterval = null;
+  // Joined again elsewhere (even if the replaced message got lost) -
+  // reconnecting would take the room back from the other tab
+  if (event.code === state.REPLACED_CLOSE_CODE && state.currentRoom) {
+    handleReplaced();
   }
   
   if (state.currentRoom) {
     showReconnectBanner();
     scheduleReconnect();
+  } else if (event.code === state.KICKED_CLOSE_CODE || event.code === state.REPLACED_CLOSE_CODE) {
+    // Back in the lobby after a kick or takeover - reconnect to browse rooms
+    setTimeout(connect, 100);
   }
 }
 
@@ -205,6 +323,45 @@ function handleError(error) {
   console.error('[WS] Error:', error);
 }
 
+/**
+ * Ping the server periodically and watch for silence.
+ * A half-open socket (mobile sleep, NAT drop) may never fire onclose,
+ * so a stalled connection is torn down here and reconnected right away.
+ */
+function startHeartbeat() {
+  stopHeartbeat();
+  state.lastServerMessageAt = Date.now();
+  
+  state.heartbeatInterval = setInterval(() => {
+    if (Date.now() - state.lastServerMessageAt > state.LIVENESS_TIMEOUT_MS) {
+      handleStalledConnection();
+      return;
+    }
+    send({ type: 'ping' });
+  }, state.HEARTBEAT_INTERVAL_MS);
+}
+
+function stopHeartbeat() {
+  if (state.heartbeatInterval) {
+    clearInterval(state.heartbeatInterval);
+    state.heartbeatInterval = null;
+  }
+}
+
+function handleStalledConnection() {
+  console.warn('[WS] No response from server, treating connection as dead');
+  
+  // Detach handlers so a late onclose doesn't schedule a second reconnect
+  const ws = state.ws;
+  ws.onopen = null;
+  ws.onmessage = null;
+  ws.onclose = null;
+  ws.onerror = null;
+  ws.close();
+  
+  handleClose({ code: 4000, reason: 'Heartbeat timeout' });
+}
+
 function scheduleReconnect() {
   if (state.reconnectAttempts >= state.maxReconnectAttempts) {
     elements.reconnectBanner.innerHTML = `
@@ -223,14 +380,177 @@ function scheduleReconnect() {
   }, delay);
 }
 
+/**
+ * Send a message to the server
+ * Every message gets a requestId so server errors can be matched to it
+ */
 function send(message) {
+  if (!message.requestId) {
+    message.requestId = generateId();
+  }
+  
   if (state.ws && state.ws.readyState === WebSocket.OPEN) {
-    state.ws.send(JSON.stringify(message));
+    if (state.protocolVersion >= 2 && StrokeCodec.BINARY_TYPES.includes(message.type)) {
+      state.ws.send(StrokeCodec.encodeFrame(message));
+    } else {
+      state.ws.send(JSON.stringify(message));
+    }
     return true;
   }
   return false;
 }
 
+/**
+ * Send a persisted room event (draw or chat message).
+ * It stays in eventQueue until the server acks its eventId and is replayed
+ * on reconnect; the server only stores the first copy of each eventId.
+ */
+function sendEvent(event) {
+  event.eventId = generateId();
+  state.eventQueue.push(event);
+  send(event);
+  updateQueueIndicator();
+}
+
+function handleAck(message) {
+  state.eventQueue = state.eventQueue.filter(e => e.eventId !== message.eventId);
+  updateQueueIndicator();
+  
+  // Our own stroke now has its place in the server order
+  const stroke = state.strokeLog.find(e => e.eventId && e.eventId === message.eventId);
+  if (stroke) {
+    stroke.seq = message.seq;
+    sortStrokeLog();
+  }
+}
+
+/**
+ * Forget a queued event the server rejected, so it isn't replayed forever
+ */
+function dropQueuedEvent(requestId) {
+  if (!requestId) return;
+  state.eventQueue = state.eventQueue.filter(e => e.requestId !== requestId);
+  updateQueueIndicator();
+}
+
+/**
+ * Handle a typed error from the server
+ * Codes match ErrorCodes in backend/protocol.js
+ */
+function handleServerError(message) {
+  const { code, requestId, requestType } = message;
+  console.error(`[WS] Server error ${code} (${requestType || 'unknown'} ${requestId || '-'}):`, message.message);
+  
+  switch (code) {
+    case 'ROOM_NOT_FOUND':
+      returnToLobby('That room no longer exists.');
+      break;
+    
+    case 'ROOM_FULL':
+      returnToLobby('That room is full. Try another one!');
+      break;
+    
+    case 'PASSWORD_REQUIRED':
+    case 'INVITE_REQUIRED':
+    case 'BANNED':
+    case 'ROOM_LOCKED':
+      returnToLobby(message.message);
+      break;
+    
+    case 'SESSION_REQUIRED':
+    case 'SESSION_INVALID':
+      // Join again from the lobby to get a new session
+      clearSession();
+      returnToLobby('Your session expired - please join the room again.');
+      break;
+    
+    case 'NOT_IN_ROOM':
+      // Server lost track of us (e.g. restarted) - join again
+      if (state.currentRoom) {
+        rejoinRoom();
+      } else {
+        showLobbyNotice('Please join a room first.');
+      }
+      break;
+    
+    case 'RATE_LIMITED':
+      handleRateLimited(message);
+      break;
+    
+    case 'NOTHING_TO_UNDO':
+    case 'NOTHING_TO_REDO':
+      addSystemMessage(message.message);
+      break;
+    
+    case 'NO_CLEAR_TO_UNDO':
+      hideClearUndoOffer();
+      addSystemMessage('Too late to undo the clear');
+      break;
+    
+    case 'NO_ACTIVE_VOTE':
+      state.clearVote = null;
+      renderPlayers();
+      break;
+    
+    case 'TOOL_NOT_ALLOWED':
+    case 'MUTED':
+    case 'CANVAS_LOCKED':
+      dropQueuedEvent(requestId);
+      addSystemMessage(message.message);
+      break;
+    
+    case 'NOT_OWNER':
+    case 'PLAYER_NOT_FOUND':
+      addSystemMessage(message.message);
+      break;
+    
+    case 'INVALID_PAYLOAD':
+    case 'UNKNOWN_TYPE':
+    case 'INVALID_JSON':
+    case 'INVALID_FRAME':
+      dropQueuedEvent(requestId);
+      if (state.currentRoom) {
+        addSystemMessage(`Server rejected ${requestType || 'a message'}: ${message.message}`);
+      } else {
+        showLobbyNotice(message.message);
+      }
+      break;
+    
+    default:
+      if (state.currentRoom) {
+        addSystemMessage(message.message || 'Something went wrong');
+      } else {
+        showLobbyNotice(message.message || 'Something went wrong');
+      }
+  }
+}
+
+/**
+ * The server dropped one of our messages for arriving too fast.
+ * Queued events (strokes, chat) are resent once the limit allows it.
+ */
+function handleRateLimited(message) {
+  const queued = state.eventQueue.find(e => e.requestId === message.requestId);
+  if (queued) {
+    setTimeout(() => {
+      if (state.eventQueue.includes(queued)) send(queued);
+    }, message.retryAfterMs || 1000);
+  } else if (message.requestType === 'queueReplay') {
+    // One of several replay frames - replay what is still unacked (the
+    // server only re-acks events it already stored)
+    setTimeout(() => {
+      if (state.currentRoom) replayQueue();
+    }, message.retryAfterMs || 1000);
+  }
+  
+  // Don't flood the chat log with notices
+  const now = Date.now();
+  if (state.currentRoom && now - state.lastRateLimitNotice > 5000) {
+    state.lastRateLimitNotice = now;
+    addSystemMessage('Slow down! Some actions were delayed.');
+  }
+}
+
 // =============================================================================
 // Room Management
 // =============================================================================
@@ -256,15 +576,24 @@ function renderRoomList(rooms) {
     <button class="room-btn ${room.playerCount >= room.maxPlayers ? 'full' : ''} ${room.isCustom ? 'custom' : ''}" 
             data-room-id="${room.id}"
             ${room.playerCount >= room.maxPlayers ? 'disabled' : ''}>
-      <span class="room-name">${escapeHtml(room.name)}</span>
+      <span class="room-name">${room.access === 'password' ? '🔒 ' : ''}${escapeHtml(room.name)}</span>
       <span class="room-players">${room.playerCount}/${room.maxPlayers}</span>
     </button>
   `).join('');
   
   elements.roomList.querySelectorAll('.room-btn:not(.full)').forEach(btn => {
     btn.addEventListener('click', () => {
+      const room = rooms.find(r => r.id === btn.dataset.roomId);
+      let credentials = {};
+      
+      if (room && room.access === 'password') {
+        const password = prompt(`Password for ${room.name}:`);
+        if (!password) return;
+        credentials = { password };
+      }
+      
       state.playerName = elements.playerNameInput.value.trim() || 'Player';
-      joinRoom(btn.dataset.roomId);
+      joinRoom(btn.dataset.roomId, credentials);
     });
   });
 }
@@ -272,36 +601,51 @@ function renderRoomList(rooms) {
 async function createCustomRoom() {
   const name = elements.customRoomName.value.trim();
   if (!name) {
-    alert('Please enter a room name');
+    showLobbyNotice('Please enter a room name');
     return;
   }
   
+  const access = elements.customRoomAccess.value;
+  let password;
+  if (access === 'password') {
+    password = prompt('Choose a password for the room (at least 4 characters):');
+    if (!password) return;
+  }
+  
   try {
     const response = await fetch('/api/rooms', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name })
+      body: JSON.stringify({ name, access, password, sessionToken: state.sessionToken })
     });
     
     const data = await response.json();
     
     if (response.ok) {
+      // We own the room; without a session we were given one to join it with
+      if (data.session) saveSession(data.session.playerId, data.session.sessionToken);
       elements.customRoomName.value = '';
       state.playerName = elements.playerNameInput.value.trim() || 'Player';
-      joinRoom(data.room.id);
+      // Invite-only rooms come with an invite for their creator
+      joinRoom(data.room.id, data.invite ? { inviteToken: data.invite.token } : { password });
     } else {
-      alert(data.error || 'Failed to create room');
+      showLobbyNotice(data.error || 'Failed to create room');
     }
   } catch (err) {
     console.error('Failed to create room:', err);
-    alert('Failed to create room');
+    showLobbyNotice('Failed to create room');
   }
 }
 
-function joinRoom(roomId) {
+/**
+ * credentials: { password } or { inviteToken } for private rooms
+ */
+function joinRoom(roomId, credentials = {}) {
+  hideLobbyNotice();
   state.currentRoom = roomId;
+  state.roomCredentials = credentials;
   state.eventQueue = [];
-  state.lastEventTimestamp = 0;
+  state.lastSeq = 0;
   
   // Set room theme based on room ID
   setRoomTheme(roomId);
@@ -311,7 +655,10 @@ function joinRoom(roomId) {
     roomId,
     playerId: state.playerId,
     playerName: state.playerName,
-    playerColor: state.playerColor
+    playerColor: state.playerColor,
+    protocolVersion: state.PROTOCOL_VERSION,
+    sessionToken: state.sessionToken || undefined,
+    ...credentials
   });
 }
 
@@ -325,39 +672,79 @@ function rejoinRoom() {
     type: 'rejoin',
     roomId: state.currentRoom,
     playerId: state.playerId,
-    playerName: state.playerName,
-    playerColor: state.playerColor,
-    lastEventTimestamp: state.lastEventTimestamp
+    lastSeq: state.lastSeq,
+    protocolVersion: state.PROTOCOL_VERSION,
+    sessionToken: state.sessionToken || undefined,
+    ...state.roomCredentials
   });
   
-  // Replay queued events
-  if (state.eventQueue.length > 0) {
-    send({
-      type: 'queueReplay',
-      events: state.eventQueue
-    });
-    state.eventQueue = [];
+  replayQueue();
+  updateQueueIndicator();
+}
+
+/**
+ * Replay events the server hasn't acked yet - they stay queued until acked.
+ * A long queue goes out in several frames, each under the server's size limit.
+ */
+function replayQueue() {
+  const frameLimit = state.MAX_FRAME_BYTES - 1024; // Room for the queueReplay wrapper
+  let events = [];
+  let length = 0;
+  
+  state.eventQueue.forEach(event => {
+    const eventLength = JSON.stringify(event).length + 1;
+    if (events.length > 0 && (length + eventLength > frameLimit || events.length >= state.MAX_REPLAY_EVENTS)) {
+      send({ type: 'queueReplay', events });
+      events = [];
+      length = 0;
+    }
+    events.push(event);
+    length += eventLength;
+  });
+  
+  if (events.length > 0) {
+    send({ type: 'queueReplay', events });
   }
+}
+
+/**
+ * Drop back to the room list after the server refused a join/rejoin
+ * Unlike leaveRoom() the socket stays open - we were never admitted
+ */
+function returnToLobby(noticeText) {
+  state.currentRoom = null;
+  state.roomCredentials = {};
+  state.roomKey = null;
+  state.moderation = null;
+  state.activePlayers = [];
+  state.messages = [];
+  state.eventQueue = [];
   
-  updateQueueIndicator();
+  document.body.classList.remove('room-theme-pink', 'room-theme-blue', 'room-theme-orange', 'room-theme-green');
+  resetCanvasState();
+  
+  elements.chatScreen.classList.remove('active');
+  elements.roomSelectScreen.classList.add('active');
+  hideReconnectBanner();
+  updateConnectionStatus(state.isConnected ? 'connected' : 'disconnected');
+  
+  showLobbyNotice(noticeText);
+  loadRooms();
 }
 
 function leaveRoom() {
   state.currentRoom = null;
+  state.roomCredentials = {};
+  state.roomKey = null;
+  state.moderation = null;
   state.activePlayers = [];
   state.messages = [];
   state.eventQueue = [];
-  state.undoStack = [];
-  
-  if (state.snapshotInterval) {
-    clearInterval(state.snapshotInterval);
-    state.snapshotInterval = null;
-  }
   
   // Remove room theme
   document.body.classList.remove('room-theme-pink', 'room-theme-blue', 'room-theme-orange', 'room-theme-green');
   
-  clearCanvas();
+  resetCanvasState();
   
   elements.chatScreen.classList.remove('active');
   elements.roomSelectScreen.classList.add('active');
@@ -390,167 +777,540 @@ function setRoomTheme(roomId) {
   }
 }
 
-function handleRoomState(message) {
-  state.playerId = message.playerId;
-  state.playerName = message.playerName;
-  state.activePlayers = message.activePlayers || [];
-  
-  elements.roomSelectScreen.classList.remove('active');
-  elements.chatScreen.classList.add('active');
-  elements.currentRoomName.textContent = message.roomName;
-  
-  // Update connection status to connected
-  updateConnectionStatus('connected');
-  
-  renderPlayers();
-  
-  state.messages = message.chatHistory || [];
-  renderChatLog();
-  
-  // Restore canvas
-  clearCanvas();
+// =============================================================================
+// Room Settings
+// =============================================================================
+
+/**
+ * Adapt the canvas, toolbar and chat input to the room's settings
+ */
+function applyRoomSettings(settings) {
+  state.roomSettings = settings;
   
-  if (message.canvasSnapshot) {
-    loadCanvasSnapshot(message.canvasSnapshot);
-  }
+  setCanvasSize(settings.canvasWidth, settings.canvasHeight);
   
-  (message.drawingEvents || []).forEach(event => {
-    renderDrawEvent(event);
+  elements.toolBtns.forEach(btn => {
+    btn.classList.toggle('hidden', !isToolAllowed(btn.dataset.tool));
   });
+  if (!isToolAllowed(state.currentTool)) {
+    selectTool(settings.allowedTools[0]);
+  }
   
-  // Start snapshot interval
-  startSnapshotInterval();
+  elements.messageInput.maxLength = settings.maxChatLength;
 }
 
-function handleRejoinState(message) {
-  state.activePlayers = message.activePlayers || [];
-  renderPlayers();
-  
-  state.messages = message.chatHistory || [];
-  renderChatLog();
-  
-  // Restore canvas
-  clearCanvas();
-  
-  if (message.canvasSnapshot) {
-    loadCanvasSnapshot(message.canvasSnapshot);
-  }
-  
-  (message.drawingEvents || []).forEach(event => {
-    renderDrawEvent(event);
-  });
-  
-  // Apply missed events
-  (message.missedEvents || []).forEach(event => {
-    renderDrawEvent(event);
-  });
-  
-  addSystemMessage('Reconnected!');
-  startSnapshotInterval();
+function isToolAllowed(tool) {
+  return !state.roomSettings || state.roomSettings.allowedTools.includes(tool);
 }
 
-function handleUserJoined(message) {
-  state.activePlayers.push({
-    playerId: message.playerId,
-    playerName: message.playerName,
-    playerColor: message.playerColor || 'blue',
-    isDrawing: false
+/**
+ * Resize the drawing canvas and everything drawn in step with it.
+ * Resizing wipes canvases, so layers are rebuilt from the stroke log.
+ */
+function setCanvasSize(width, height) {
+  if (state.canvas.width === width && state.canvas.height === height) return;
+  
+  [state.canvas, state.previewCanvas, elements.playbackCanvas, elements.sketchCanvas].forEach(canvas => {
+    canvas.width = width;
+    canvas.height = height;
   });
-  renderPlayers();
+  state.ctx.lineCap = 'round';
+  state.ctx.lineJoin = 'round';
   
-  const verb = message.isRejoin ? 'reconnected' : 'joined';
-  addSystemMessage(`${message.playerName} ${verb}`);
-}
-
-function handleUserLeft(message) {
-  state.activePlayers = state.activePlayers.filter(p => p.playerId !== message.playerId);
-  renderPlayers();
-  addSystemMessage(`${message.playerName} left`);
+  clearCanvas();
+  redrawFromLog();
 }
 
-function renderPlayers() {
-  elements.playersBar.innerHTML = state.activePlayers.map(player => {
-    const colorClass = player.playerColor ? `color-${player.playerColor}` : 'color-blue';
-    return `
-    <div class="player-indicator ${player.isDrawing ? 'drawing' : ''} ${player.playerId === state.playerId ? 'self' : ''}">
-      <span class="player-dot"></span>
-      <span class="player-name ${colorClass}">${escapeHtml(player.playerName)}${player.playerId === state.playerId ? ' (you)' : ''}</span>
-    </div>`;
-  }).join('');
+/**
+ * Settings changed while we're in the room (PATCH /api/rooms/:roomId)
+ */
+function handleRoomSettings(message) {
+  applyRoomSettings(message.settings);
+  addSystemMessage('Room settings changed');
 }
 
 // =============================================================================
-// Canvas Setup
+// Player Session
 // =============================================================================
 
-function initCanvas() {
-  state.canvas = elements.canvas;
-  state.ctx = state.canvas.getContext('2d');
-  state.ctx.lineCap = 'round';
-  state.ctx.lineJoin = 'round';
-  
-  // Create preview canvas for shapes
-  state.previewCanvas = document.createElement('canvas');
-  state.previewCanvas.width = state.canvas.width;
-  state.previewCanvas.height = state.canvas.height;
-  state.previewCtx = state.previewCanvas.getContext('2d');
-  
-  // Mouse events
-  state.canvas.addEventListener('mousedown', handlePointerStart);
-  state.canvas.addEventListener('mousemove', handlePointerMove);
-  state.canvas.addEventListener('mouseup', handlePointerEnd);
-  state.canvas.addEventListener('mouseleave', handlePointerEnd);
-  
-  // Touch events
-  state.canvas.addEventListener('touchstart', handleTouchStart, { passive: false });
-  state.canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
-  state.canvas.addEventListener('touchend', handleTouchEnd, { passive: false });
-  state.canvas.addEventListener('touchcancel', handleTouchEnd, { passive: false });
+/**
+ * We joined this room again from another tab or device; the newest
+ * connection wins, so this one goes back to the lobby (without
+ * reconnecting, which would take the room back from the other tab)
+ */
+function handleReplaced() {
+  returnToLobby('You joined this room from another tab or device.');
 }
 
-function getCanvasCoords(e) {
-  const rect = state.canvas.getBoundingClientRect();
-  const scaleX = state.canvas.width / rect.width;
-  const scaleY = state.canvas.height / rect.height;
-  
-  return {
-    x: Math.round((e.clientX - rect.left) * scaleX),
-    y: Math.round((e.clientY - rect.top) * scaleY)
-  };
+/**
+ * Pick up the session saved by an earlier visit, so a reload keeps our identity
+ */
+function loadSession() {
+  const playerId = localStorage.getItem('pictochatter-player-id');
+  const sessionToken = localStorage.getItem('pictochatter-session-token');
+  if (playerId && sessionToken) {
+    state.playerId = playerId;
+    state.sessionToken = sessionToken;
+  }
 }
 
-function getTouchCoords(e) {
-  const touch = e.touches[0] || e.changedTouches[0];
-  const rect = state.canvas.getBoundingClientRect();
-  const scaleX = state.canvas.width / rect.width;
-  const scaleY = state.canvas.height / rect.height;
-  
-  return {
-    x: Math.round((touch.clientX - rect.left) * scaleX),
-    y: Math.round((touch.clientY - rect.top) * scaleY)
-  };
+function saveSession(playerId, sessionToken) {
+  state.playerId = playerId;
+  state.sessionToken = sessionToken;
+  localStorage.setItem('pictochatter-player-id', playerId);
+  localStorage.setItem('pictochatter-session-token', sessionToken);
+}
+
+function clearSession() {
+  state.sessionToken = null;
+  localStorage.removeItem('pictochatter-player-id');
+  localStorage.removeItem('pictochatter-session-token');
 }
 
 // =============================================================================
-// Drawing - Pointer Handlers
+// Moderation
 // =============================================================================
 
-function handlePointerStart(e) {
-  e.preventDefault();
-  startDrawing(getCanvasCoords(e));
+function isRoomOwner(playerId = state.playerId) {
+  return Boolean(state.moderation) && state.moderation.ownerId === playerId;
 }
 
-function handlePointerMove(e) {
-  if (!state.isDrawing) return;
-  continueDrawing(getCanvasCoords(e));
+/**
+ * scope: 'chat' or 'draw' (see MUTE_SCOPES in backend/protocol.js)
+ */
+function isMuted(scope, playerId = state.playerId) {
+  return Boolean(state.moderation) &&
+    state.moderation.mutes.some(mute => mute.playerId === playerId && mute.scope === scope);
 }
 
-function handlePointerEnd(e) {
-  if (!state.isDrawing) return;
-  finishDrawing(getCanvasCoords(e));
+/**
+ * Why we can't change the canvas right now, or null if we can
+ */
+function getDrawBlockReason() {
+  if (isMuted('draw')) return 'The room owner muted your drawing';
+  if (state.moderation && state.moderation.canvasLocked && !isRoomOwner()) return 'The canvas is locked';
+  return null;
 }
 
-function handleTouchStart(e) {
+/**
+ * Show the room's owner, locks and mutes; only the owner gets the panel
+ */
+function applyModeration(moderation) {
+  state.moderation = moderation || null;
+  
+  elements.moderationWrapper.classList.toggle('hidden', !isRoomOwner());
+  if (!isRoomOwner()) elements.moderationPanel.classList.add('hidden');
+  
+  elements.messageInput.placeholder = isMuted('chat') ? 'The room owner muted your chat' : 'Type a message...';
+  renderPlayers();
+}
+
+/**
+ * List the other players with their moderation buttons, and the bans,
+ * while the panel is open. Like the layers panel, rows are only rebuilt
+ * when something in them changed.
+ */
+function renderModerationPanel() {
+  if (elements.moderationPanel.classList.contains('hidden') || !state.moderation) return;
+  
+  const { canvasLocked, roomLocked, bans } = state.moderation;
+  const others = state.activePlayers.filter(p => p.playerId !== state.playerId);
+  
+  elements.lockCanvasInput.checked = canvasLocked;
+  elements.lockRoomInput.checked = roomLocked;
+  
+  const signature = JSON.stringify([others.map(p => [p.playerId, p.playerName]), state.moderation]);
+  if (signature === elements.moderationPanel.dataset.signature) return;
+  elements.moderationPanel.dataset.signature = signature;
+  
+  elements.moderationPlayers.innerHTML = others.length === 0
+    ? '<div class="layers-empty">No one else is here</div>'
+    : others.map(player => `
+    <div class="moderation-row" data-player="${escapeHtml(player.playerId)}">
+      <span class="moderation-name">${escapeHtml(player.playerName)}</span>
+      <button class="ds-btn moderation-action${isMuted('chat', player.playerId) ? ' active' : ''}" data-action="muteChat" title="Mute/unmute chat">🔇</button>
+      <button class="ds-btn moderation-action${isMuted('draw', player.playerId) ? ' active' : ''}" data-action="muteDraw" title="Mute/unmute drawing">✋</button>
+      <button class="ds-btn moderation-action" data-action="kick" title="Kick out of the room">👢</button>
+      <button class="ds-btn moderation-action" data-action="ban" title="Ban from the room">🚫</button>
+      <button class="ds-btn moderation-action" data-action="owner" title="Make room owner">👑</button>
+    </div>
+  `).join('');
+  
+  elements.moderationBans.innerHTML = bans.map(ban => `
+    <div class="moderation-row" data-player="${escapeHtml(ban.playerId)}">
+      <span class="moderation-name">🚫 ${escapeHtml(ban.playerName || `Player ${ban.playerId.slice(0, 4)}`)}</span>
+      <button class="ds-btn moderation-action active" data-action="unban" title="Lift the ban">Unban</button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Handle a click on one of a moderation row's buttons
+ */
+function handleModerationAction(targetPlayerId, action) {
+  const roomId = state.currentRoom;
+  const player = state.activePlayers.find(p => p.playerId === targetPlayerId);
+  const name = player ? player.playerName : 'this player';
+  let message = null;
+  
+  switch (action) {
+    case 'muteChat':
+    case 'muteDraw': {
+      const scope = action === 'muteChat' ? 'chat' : 'draw';
+      message = { type: 'mute', roomId, targetPlayerId, scope, muted: !isMuted(scope, targetPlayerId) };
+      break;
+    }
+    case 'kick':
+      if (confirm(`Kick ${name} out of the room?`)) message = { type: 'kick', roomId, targetPlayerId };
+      break;
+    case 'ban':
+      if (confirm(`Ban ${name} from the room?`)) message = { type: 'ban', roomId, targetPlayerId, banned: true };
+      break;
+    case 'unban':
+      message = { type: 'ban', roomId, targetPlayerId, banned: false };
+      break;
+    case 'owner':
+      if (confirm(`Make ${name} the room owner? You won't be able to moderate any more.`)) {
+        message = { type: 'transferOwnership', roomId, targetPlayerId };
+      }
+      break;
+  }
+  
+  if (message && !send(message)) {
+    addSystemMessage("Can't moderate while offline");
+  }
+}
+
+function setRoomLock(type, locked) {
+  if (!send({ type, roomId: state.currentRoom, locked })) {
+    addSystemMessage("Can't moderate while offline");
+    applyModeration(state.moderation); // Undo the checkbox change
+  }
+}
+
+function toggleModerationPanel() {
+  elements.moderationPanel.classList.toggle('hidden');
+  renderModerationPanel();
+}
+
+/**
+ * System line for a moderation action the server broadcast
+ */
+function describeModeration(message) {
+  const actor = message.playerId === state.playerId ? 'You' : message.playerName;
+  const target = message.targetPlayerId === state.playerId ? 'you' : (message.targetName || 'a player');
+  const what = message.scope === 'draw' ? 'drawing' : 'chat';
+  
+  switch (message.action) {
+    case 'kick': return `${actor} kicked ${target} out of the room`;
+    case 'mute': return `${actor} muted ${target === 'you' ? 'your' : `${target}'s`} ${what}`;
+    case 'unmute': return `${actor} unmuted ${target === 'you' ? 'your' : `${target}'s`} ${what}`;
+    case 'ban': return `${actor} banned ${target} from the room`;
+    case 'unban': return `${actor} lifted the ban on ${target}`;
+    case 'lockCanvas': return `${actor} locked the canvas`;
+    case 'unlockCanvas': return `${actor} unlocked the canvas`;
+    case 'lockRoom': return `${actor} locked the room to new players`;
+    case 'unlockRoom': return `${actor} unlocked the room`;
+    case 'transferOwnership': return `${actor} made ${target} the room owner`;
+    default: return 'Room moderation changed';
+  }
+}
+
+function handleModeration(message) {
+  applyModeration(message.moderation);
+  addSystemMessage(describeModeration(message));
+}
+
+/**
+ * The room owner removed us; the server closes the socket next
+ */
+function handleKicked(message) {
+  returnToLobby(message.reason === 'ban'
+    ? `${message.playerName} banned you from the room.`
+    : `${message.playerName} kicked you out of the room.`);
+}
+
+// =============================================================================
+// Private Rooms
+// =============================================================================
+
+/**
+ * Add the room key to a URL of the current room's REST API (no-op for public rooms)
+ */
+function withRoomKey(url) {
+  if (!state.roomKey) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}key=${encodeURIComponent(state.roomKey)}`;
+}
+
+/**
+ * Join the room an ?invite= link points to
+ */
+async function openInviteLink() {
+  const token = state.pendingInviteToken;
+  state.pendingInviteToken = null;
+  history.replaceState(null, '', location.pathname);
+  
+  try {
+    const response = await fetch(`/api/invites/${encodeURIComponent(token)}`);
+    const data = await response.json();
+    
+    if (!response.ok) {
+      loadRooms();
+      showLobbyNotice(data.error || 'Invite not found');
+      return;
+    }
+    
+    state.playerName = elements.playerNameInput.value.trim() || 'Player';
+    joinRoom(data.roomId, { inviteToken: token });
+  } catch (err) {
+    console.error('Failed to open invite:', err);
+    loadRooms();
+    showLobbyNotice('Failed to open invite');
+  }
+}
+
+function requestInvite() {
+  if (!state.currentRoom) return;
+  send({ type: 'createInvite', roomId: state.currentRoom });
+}
+
+/**
+ * Show a new invite link and copy it to the clipboard
+ */
+function handleInvite(message) {
+  const link = `${location.origin}${location.pathname}?invite=${encodeURIComponent(message.token)}`;
+  const hours = Math.round((message.expiresAt - Date.now()) / 3600000);
+  
+  const copied = navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject();
+  copied
+    .then(() => addSystemMessage(`Invite link copied (valid ${hours}h): ${link}`))
+    .catch(() => addSystemMessage(`Invite link (valid ${hours}h): ${link}`));
+}
+
+function handleRoomState(message) {
+  state.playerId = message.playerId;
+  if (message.sessionToken) saveSession(message.playerId, message.sessionToken);
+  state.playerName = message.playerName;
+  state.activePlayers = message.activePlayers || [];
+  state.lastSeq = message.latestSeq || 0;
+  state.protocolVersion = message.protocolVersion || 1;
+  state.clearMode = message.clearMode || 'undoable';
+  state.clearVote = message.clearVote || null;
+  state.roomKey = message.roomKey || null;
+  elements.inviteBtn.classList.toggle('hidden', !state.roomKey);
+  applyRoomSettings(message.settings);
+  applyModeration(message.moderation);
+  
+  elements.roomSelectScreen.classList.remove('active');
+  elements.chatScreen.classList.add('active');
+  elements.currentRoomName.textContent = message.roomName;
+  
+  // Update connection status to connected
+  updateConnectionStatus('connected');
+  
+  renderPlayers();
+  
+  state.messages = message.chatHistory || [];
+  renderChatLog();
+  
+  // Restore canvas
+  setLiveStrokes(message.liveStrokes);
+  loadCanvasState(message.layerSnapshots || [], message.drawingEvents || []);
+}
+
+function handleRejoinState(message) {
+  if (message.sessionToken) saveSession(message.playerId, message.sessionToken);
+  state.protocolVersion = message.protocolVersion || 1;
+  state.activePlayers = message.activePlayers || [];
+  removeAllRemoteCursors(); // Stale positions - they come back as players move
+  state.clearMode = message.clearMode || state.clearMode;
+  state.clearVote = message.clearVote || null;
+  state.roomKey = message.roomKey || null;
+  if (message.settings) applyRoomSettings(message.settings);
+  applyModeration(message.moderation);
+  
+  // Live strokes we saw before the drop may have finished or been cancelled since
+  const hadLiveStrokes = state.liveStrokes.size > 0;
+  setLiveStrokes(message.liveStrokes);
+  
+  if (message.fullResync) {
+    // Server couldn't replay our gap exactly - rebuild from scratch
+    state.messages = message.chatHistory || [];
+    
+    // Our own unacked strokes may not be in the server state yet
+    const pendingStrokes = state.eventQueue.filter(e => e.type === 'draw');
+    loadCanvasState(message.layerSnapshots || [], message.drawingEvents || [], pendingStrokes);
+  } else {
+    // Apply only what we missed, in server order
+    (message.missedEvents || []).forEach(applyRoomEvent);
+    if (hadLiveStrokes || state.liveStrokes.size > 0) redrawFromLog();
+  }
+  
+  state.lastSeq = message.latestSeq || state.lastSeq;
+  renderChatLog();
+  
+  addSystemMessage('Reconnected!');
+}
+
+function handleUserJoined(message) {
+  // A player who connected again replaces their old entry
+  state.activePlayers = state.activePlayers.filter(p => p.playerId !== message.playerId);
+  state.activePlayers.push({
+    playerId: message.playerId,
+    playerName: message.playerName,
+    playerColor: message.playerColor || 'blue',
+    isDrawing: false
+  });
+  renderPlayers();
+  
+  const verb = message.isRejoin ? 'reconnected' : 'joined';
+  addSystemMessage(`${message.playerName} ${verb}`);
+}
+
+function handleUserLeft(message) {
+  state.activePlayers = state.activePlayers.filter(p => p.playerId !== message.playerId);
+  removeRemoteCursor(message.playerId);
+  renderPlayers();
+  addSystemMessage(`${message.playerName} left`);
+}
+
+function renderPlayers() {
+  const vote = state.clearVote;
+  
+  const players = state.activePlayers.map(player => {
+    const colorClass = player.playerColor ? `color-${player.playerColor}` : 'color-blue';
+    return `
+    <div class="player-indicator ${player.isDrawing ? 'drawing' : ''} ${player.playerId === state.playerId ? 'self' : ''}">
+      <span class="player-dot"></span>
+      <span class="player-name ${colorClass}">${escapeHtml(player.playerName)}${player.playerId === state.playerId ? ' (you)' : ''}</span>
+      ${renderModerationMarks(player.playerId)}
+      ${vote ? renderVoteMark(vote, player.playerId) : ''}
+    </div>`;
+  }).join('');
+  
+  elements.playersBar.innerHTML = players + (vote ? renderClearVote(vote) : '');
+  
+  elements.playersBar.querySelectorAll('[data-vote]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      send({ type: 'clearVote', roomId: state.currentRoom, approve: btn.dataset.vote === 'yes' });
+    });
+  });
+  
+  // Layers are named after their players
+  renderLayersPanel();
+  renderModerationPanel();
+}
+
+/**
+ * Crown for the room owner, marks for muted players
+ */
+function renderModerationMarks(playerId) {
+  let marks = '';
+  if (isRoomOwner(playerId)) marks += '<span class="player-mark" title="Room owner">👑</span>';
+  if (isMuted('chat', playerId)) marks += '<span class="player-mark" title="Chat muted">🔇</span>';
+  if (isMuted('draw', playerId)) marks += '<span class="player-mark" title="Drawing muted">✋</span>';
+  return marks;
+}
+
+function renderVoteMark(vote, playerId) {
+  if (vote.approved.includes(playerId)) return '<span class="vote-mark approved">✔</span>';
+  if (vote.rejected.includes(playerId)) return '<span class="vote-mark rejected">✘</span>';
+  return '<span class="vote-mark">…</span>';
+}
+
+/**
+ * Vote prompt at the end of the players bar, with buttons until we've voted
+ */
+function renderClearVote(vote) {
+  const hasVoted = vote.approved.includes(state.playerId) || vote.rejected.includes(state.playerId);
+  const buttons = hasVoted ? '' : `
+      <button class="ds-btn" data-vote="yes">Yes</button>
+      <button class="ds-btn" data-vote="no">No</button>`;
+  
+  return `
+    <div class="clear-vote">
+      <span>Clear canvas? ${vote.approved.length}/${vote.needed}</span>${buttons}
+    </div>`;
+}
+
+// =============================================================================
+// Canvas Setup
+// =============================================================================
+
+function initCanvas() {
+  state.canvas = elements.canvas;
+  state.ctx = state.canvas.getContext('2d');
+  state.ctx.lineCap = 'round';
+  state.ctx.lineJoin = 'round';
+  
+  // Create preview canvas for shapes
+  state.previewCanvas = document.createElement('canvas');
+  state.previewCanvas.width = state.canvas.width;
+  state.previewCanvas.height = state.canvas.height;
+  state.previewCtx = state.previewCanvas.getContext('2d');
+  
+  // Mouse events
+  state.canvas.addEventListener('mousedown', handlePointerStart);
+  state.canvas.addEventListener('mousemove', handlePointerMove);
+  state.canvas.addEventListener('mouseup', handlePointerEnd);
+  state.canvas.addEventListener('mouseleave', handlePointerEnd);
+  
+  // Touch events
+  state.canvas.addEventListener('touchstart', handleTouchStart, { passive: false });
+  state.canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
+  state.canvas.addEventListener('touchend', handleTouchEnd, { passive: false });
+  state.canvas.addEventListener('touchcancel', handleTouchEnd, { passive: false });
+  
+  // Cursor presence (drawing or not)
+  state.canvas.addEventListener('mousemove', (e) => queueCursorUpdate(getCanvasCoords(e)));
+  state.canvas.addEventListener('mouseleave', (e) => queueCursorUpdate(getCanvasCoords(e), true));
+  state.canvas.addEventListener('touchmove', (e) => queueCursorUpdate(getTouchCoords(e)));
+  state.canvas.addEventListener('touchend', (e) => queueCursorUpdate(getTouchCoords(e), true));
+}
+
+function getCanvasCoords(e) {
+  const rect = state.canvas.getBoundingClientRect();
+  const scaleX = state.canvas.width / rect.width;
+  const scaleY = state.canvas.height / rect.height;
+  
+  return {
+    x: Math.round((e.clientX - rect.left) * scaleX),
+    y: Math.round((e.clientY - rect.top) * scaleY)
+  };
+}
+
+function getTouchCoords(e) {
+  const touch = e.touches[0] || e.changedTouches[0];
+  const rect = state.canvas.getBoundingClientRect();
+  const scaleX = state.canvas.width / rect.width;
+  const scaleY = state.canvas.height / rect.height;
+  
+  return {
+    x: Math.round((touch.clientX - rect.left) * scaleX),
+    y: Math.round((touch.clientY - rect.top) * scaleY)
+  };
+}
+
+// =============================================================================
+// Drawing - Pointer Handlers
+// =============================================================================
+
+function handlePointerStart(e) {
+  e.preventDefault();
+  startDrawing(getCanvasCoords(e));
+}
+
+function handlePointerMove(e) {
+  if (!state.isDrawing) return;
+  continueDrawing(getCanvasCoords(e));
+}
+
+function handlePointerEnd(e) {
+  if (!state.isDrawing) return;
+  finishDrawing(getCanvasCoords(e));
+}
+
+function handleTouchStart(e) {
   e.preventDefault();
   if (e.touches.length === 1) {
     startDrawing(getTouchCoords(e));
@@ -574,49 +1334,62 @@ function handleTouchEnd(e) {
 // =============================================================================
 
 function startDrawing(coords) {
-  state.isDrawing = true;
+  const blockReason = getDrawBlockReason();
+  if (blockReason) {
+    addSystemMessage(blockReason);
+    return;
+  }
+  
+  const isEraser = state.currentTool === 'eraser';
+  const eraseLayers = isEraser ? getEraseTargets() : null;
+  
+  if (isEraser ? eraseLayers.length === 0 : !isLayerEditable(state.playerId)) {
+    addSystemMessage('Your layer is hidden or locked - change that in Layers');
+    return;
+  }
   
-  // Save state for undo
-  saveUndoState();
+  state.isDrawing = true;
   
-  const color = state.currentTool === 'eraser' ? '#FFFFFF' : state.currentColor;
+  const color = isEraser ? '#FFFFFF' : state.currentColor;
   const size = state.currentTool === 'brush' ? state.currentSize * 2 : state.currentSize;
   
   state.currentStroke = {
+    strokeId: generateId(),
+    playerId: state.playerId,
     points: [coords],
     color: color,
     size: size,
-    tool: state.currentTool
+    tool: state.currentTool,
+    streamedCount: 0 // Points already sent as strokePoints
   };
+  if (isEraser) {
+    state.currentStroke.layers = eraseLayers;
+  }
   
   state.shapeStart = coords;
   
   // For freehand tools, draw initial point
   if (['pen', 'brush', 'eraser'].includes(state.currentTool)) {
-    state.ctx.beginPath();
-    state.ctx.fillStyle = color;
-    state.ctx.arc(coords.x, coords.y, size / 2, 0, Math.PI * 2);
-    state.ctx.fill();
+    drawOnLayers(state.layers, state.currentStroke);
+    compositeLayers();
+    
+    scheduleStrokeStream();
   }
   
   send({ type: 'drawStart', roomId: state.currentRoom, playerId: state.playerId });
 }
 
 function continueDrawing(coords) {
-  const { currentStroke, currentTool, ctx, canvas, previewCtx, previewCanvas, shapeStart } = state;
+  const { currentStroke, currentTool, ctx, canvas, previewCanvas, shapeStart } = state;
   
   if (['pen', 'brush', 'eraser'].includes(currentTool)) {
-    // Freehand drawing
+    // Freehand drawing, one segment at a time
     const lastPoint = currentStroke.points[currentStroke.points.length - 1];
-    
-    ctx.beginPath();
-    ctx.strokeStyle = currentStroke.color;
-    ctx.lineWidth = currentStroke.size;
-    ctx.moveTo(lastPoint.x, lastPoint.y);
-    ctx.lineTo(coords.x, coords.y);
-    ctx.stroke();
+    drawOnLayers(state.layers, { ...currentStroke, points: [lastPoint, coords] });
+    compositeLayers();
     
     currentStroke.points.push(coords);
+    scheduleStrokeStream();
     
   } else if (['line', 'rect', 'circle'].includes(currentTool)) {
     // Shape preview - restore canvas and draw preview
@@ -634,49 +1407,64 @@ function continueDrawing(coords) {
 function finishDrawing(coords) {
   state.isDrawing = false;
   
-  const { currentStroke, currentTool, shapeStart, ctx } = state;
+  // The draw message below carries every point, so nothing left to stream
+  clearTimeout(state.strokeStreamTimer);
+  state.strokeStreamTimer = null;
+  
+  const { currentStroke, currentTool, shapeStart } = state;
+  let redraw = false;
   
   if (['line', 'rect', 'circle'].includes(currentTool) && shapeStart) {
-    // Draw final shape
-    ctx.clearRect(0, 0, state.canvas.width, state.canvas.height);
-    ctx.drawImage(state.previewCanvas, 0, 0);
-    
-    ctx.strokeStyle = currentStroke.color;
-    ctx.lineWidth = currentStroke.size;
-    
-    drawShape(ctx, currentTool, shapeStart, coords, false);
-    
     // Store shape data for sync
     currentStroke.points = [shapeStart, coords];
     currentStroke.tool = currentTool;
     
   } else if (currentTool === 'fill') {
-    // Flood fill
-    floodFill(coords.x, coords.y, state.currentColor);
+    // Flood fill, shipping the filled pixels so every client paints the same ones.
+    // Like the server, fill what the merged canvas shows, hidden layers included.
+    const merged = mergeLayers(state.layers).getContext('2d');
+    const image = merged.getImageData(0, 0, merged.canvas.width, merged.canvas.height);
+    currentStroke.mask = FloodFill.computeFillMask(image, coords.x, coords.y, hexToRgb(state.currentColor));
     currentStroke.points = [coords];
     currentStroke.tool = 'fill';
     currentStroke.color = state.currentColor;
+    
+  } else if (StrokeProcessing.isFreehand(currentTool) && currentStroke.points.length > 1) {
+    // Replace the raw pointer segments with the simplified, smoothed stroke
+    // that gets stored, re-rendering the layers it was previewed on. Long
+    // strokes are simplified further, as the server would, so they always
+    // fit in one draw message.
+    currentStroke.points = StrokeProcessing.simplifyToLimit(currentStroke.points);
+    redraw = true;
   }
   
-  // Save preview for next shape
-  state.previewCtx.clearRect(0, 0, state.previewCanvas.width, state.previewCanvas.height);
-  state.previewCtx.drawImage(state.canvas, 0, 0);
-  
   // Send stroke
   if (currentStroke.points.length > 0) {
     const strokeData = {
       type: 'draw',
       roomId: state.currentRoom,
+      strokeId: currentStroke.strokeId,
       points: currentStroke.points,
       color: currentStroke.color,
       size: currentStroke.size,
       tool: currentStroke.tool,
       playerId: state.playerId
     };
+    if (currentStroke.mask && canSendFillMask(currentStroke.mask)) {
+      strokeData.mask = currentStroke.mask;
+    }
+    if (currentStroke.layers) {
+      strokeData.layers = currentStroke.layers;
+    }
+    
+    sendEvent(strokeData);
+    state.strokeLog.push(strokeData);
     
-    if (!send(strokeData)) {
-      state.eventQueue.push(strokeData);
-      updateQueueIndicator();
+    if (redraw) {
+      redrawFromLog();
+    } else if (!StrokeProcessing.isFreehand(currentTool)) {
+      drawOnLayers(state.layers, strokeData);
+      compositeLayers();
     }
   }
   
@@ -686,12 +1474,54 @@ function finishDrawing(coords) {
   send({ type: 'drawEnd', roomId: state.currentRoom, playerId: state.playerId });
 }
 
-function drawShape(ctx, tool, start, end, filled = false) {
-  ctx.beginPath();
-  
-  switch (tool) {
-    case 'line':
-      ctx.moveTo(start.x, start.y);
+/**
+ * Send the in-progress freehand stroke's new points soon, batching
+ * whatever arrives within STROKE_STREAM_INTERVAL_MS
+ */
+function scheduleStrokeStream() {
+  const pending = state.currentStroke.points.length - state.currentStroke.streamedCount;
+  
+  if (pending >= state.MAX_STROKE_BATCH_POINTS) {
+    clearTimeout(state.strokeStreamTimer);
+    state.strokeStreamTimer = null;
+    streamStrokePoints();
+  } else if (!state.strokeStreamTimer) {
+    state.strokeStreamTimer = setTimeout(() => {
+      state.strokeStreamTimer = null;
+      streamStrokePoints();
+    }, state.STROKE_STREAM_INTERVAL_MS);
+  }
+}
+
+/**
+ * Relay the stroke's unsent points to the room. These are only a live
+ * preview - the draw sent on pointer-up is what the server stores.
+ */
+function streamStrokePoints() {
+  const stroke = state.currentStroke;
+  if (!state.isDrawing || stroke.streamedCount >= stroke.points.length) return;
+  
+  const points = stroke.points.slice(stroke.streamedCount, stroke.streamedCount + state.MAX_STROKE_BATCH_POINTS);
+  stroke.streamedCount += points.length;
+  
+  send({
+    type: 'strokePoints',
+    roomId: state.currentRoom,
+    strokeId: stroke.strokeId,
+    points,
+    color: stroke.color,
+    size: stroke.size,
+    tool: stroke.tool,
+    layers: stroke.layers
+  });
+}
+
+function drawShape(ctx, tool, start, end, filled = false) {
+  ctx.beginPath();
+  
+  switch (tool) {
+    case 'line':
+      ctx.moveTo(start.x, start.y);
       ctx.lineTo(end.x, end.y);
       ctx.stroke();
       break;
@@ -722,183 +1552,845 @@ function drawShape(ctx, tool, start, end, filled = false) {
   }
 }
 
-function floodFill(startX, startY, fillColor) {
-  const ctx = state.ctx;
-  const canvas = state.canvas;
-  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-  const data = imageData.data;
+/**
+ * Whether a fill mask fits the server's limits. Masks too big for them are
+ * left out of the draw event, and the server computes the fill instead.
+ */
+function canSendFillMask(mask) {
+  return mask.length <= FloodFill.maxFillMaskLength(state.canvas.width, state.canvas.height) &&
+    JSON.stringify(mask).length <= state.MAX_FRAME_BYTES / 2;
+}
+
+/**
+ * Paint a fill. A fill event's run-length mask makes every canvas paint the
+ * same pixels (see shared/floodFill.js); without one (a sketch pad fill)
+ * the mask is computed from this canvas.
+ * Returns the mask that was applied.
+ */
+function floodFill(startX, startY, fillColor, ctx = state.ctx, mask = null) {
+  const canvas = ctx.canvas;
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const fill = hexToRgb(fillColor);
+  
+  const fillMask = mask || FloodFill.computeFillMask(imageData, startX, startY, fill);
+  if (fillMask.length === 0) return fillMask;
+  
+  FloodFill.applyFillMask(imageData, fillMask, fill);
+  ctx.putImageData(imageData, 0, 0);
+  return fillMask;
+}
+
+function hexToRgb(hex) {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  return result ? {
+    r: parseInt(result[1], 16),
+    g: parseInt(result[2], 16),
+    b: parseInt(result[3], 16)
+  } : { r: 0, g: 0, b: 0 };
+}
+
+// =============================================================================
+// Drawing - Remote & Rendering
+// =============================================================================
+
+/**
+ * Apply a persisted room event replayed from the server
+ * (draw, clear, undo/redo or chat)
+ */
+function applyRoomEvent(event) {
+  switch (event.type) {
+    case 'message':
+      state.messages.push(event);
+      break;
+    case 'clear':
+      resetStrokeLog();
+      break;
+    case 'undo':
+    case 'redo':
+      if (setStrokeRetracted(event)) redrawFromLog();
+      break;
+    default:
+      addStrokeToLog(event);
+  }
+}
+
+function handleRemoteDraw(message) {
+  if (message.playerId === state.playerId) return;
+  
+  // A finished live stroke: re-render so the final stroke replaces
+  // its preview and lands in server order
+  if (state.liveStrokes.delete(`${message.playerId}:${message.strokeId}`)) {
+    state.strokeLog.push(message);
+    sortStrokeLog();
+    redrawFromLog();
+    return;
+  }
+  
+  addStrokeToLog(message);
+}
+
+/**
+ * Points of another player's stroke that is still being drawn
+ * Only the new segment is drawn, continuing from the last point we have
+ */
+function handleStrokePoints(message) {
+  const key = `${message.playerId}:${message.strokeId}`;
+  let stroke = state.liveStrokes.get(key);
+  
+  if (!stroke) {
+    stroke = {
+      strokeId: message.strokeId,
+      playerId: message.playerId,
+      color: message.color,
+      size: message.size,
+      tool: message.tool,
+      layers: message.layers,
+      points: []
+    };
+    state.liveStrokes.set(key, stroke);
+  }
+  
+  const lastPoint = stroke.points[stroke.points.length - 1];
+  stroke.points.push(...message.points);
+  drawOnLayers(state.layers, { ...stroke, points: lastPoint ? [lastPoint, ...message.points] : message.points });
+  compositeLayers();
+}
+
+/**
+ * A live stroke will never be finished (its player disconnected or went idle)
+ */
+function handleStrokeCancel(message) {
+  if (state.liveStrokes.delete(`${message.playerId}:${message.strokeId}`)) {
+    redrawFromLog();
+  }
+}
+
+/**
+ * Replace the live strokes with the server's list (on join/rejoin)
+ */
+function setLiveStrokes(strokes) {
+  state.liveStrokes = new Map();
+  (strokes || []).forEach(stroke => {
+    if (stroke.playerId === state.playerId) return;
+    state.liveStrokes.set(`${stroke.playerId}:${stroke.strokeId}`, stroke);
+  });
+}
+
+function addStrokeToLog(event) {
+  state.strokeLog.push(event);
+  sortStrokeLog();
+  if (!event.retracted) {
+    drawOnLayers(state.layers, event);
+    compositeLayers();
+  }
+}
+
+/**
+ * Keep the log in server order; our own unacked strokes (no seq yet) go last
+ */
+function sortStrokeLog() {
+  state.strokeLog.sort((a, b) => {
+    if (a.seq === undefined) return b.seq === undefined ? 0 : 1;
+    if (b.seq === undefined) return -1;
+    return a.seq - b.seq;
+  });
+}
+
+/**
+ * Flip a stroke's retracted flag for an undo/redo event
+ * Returns true if the visible canvas changed
+ */
+function setStrokeRetracted(event) {
+  const retracted = event.type === 'undo';
+  const stroke = state.strokeLog.find(e => e.playerId === event.playerId && e.strokeId === event.strokeId);
+  if (!stroke || !!stroke.retracted === retracted) return false;
+  stroke.retracted = retracted;
+  return true;
+}
+
+/**
+ * Start a fresh log after a clear
+ * Our unacked strokes were ordered after the clear by the server, so keep them
+ */
+function resetStrokeLog() {
+  state.strokeLog = state.strokeLog.filter(e => e.seq === undefined && e.playerId === state.playerId);
+  state.layerImages = new Map();
+  state.pendingLayerImages = null;
+  redrawFromLog();
+}
+
+/**
+ * Replace the canvas with server state: snapshot layers + events after them
+ * layerSnapshots: [{ layerId, snapshotData }], bottom first
+ * extraStrokes are local strokes to keep on top (skipped if already present)
+ */
+function loadCanvasState(layerSnapshots, events, extraStrokes = []) {
+  state.strokeLog = [];
+  state.layerImages = new Map();
+  state.pendingLayerImages = null;
+  
+  events.forEach(event => {
+    if (event.type === 'clear') {
+      state.strokeLog = [];
+    } else if (event.type === 'undo' || event.type === 'redo') {
+      setStrokeRetracted(event);
+    } else {
+      state.strokeLog.push(event);
+    }
+  });
+  
+  extraStrokes.forEach(stroke => {
+    const known = state.strokeLog.some(e => e.playerId === stroke.playerId && e.strokeId === stroke.strokeId);
+    if (!known) state.strokeLog.push(stroke);
+  });
+  
+  redrawFromLog();
+  
+  if (layerSnapshots.length > 0) {
+    loadLayerSnapshots(layerSnapshots);
+  }
+}
+
+/**
+ * Re-render every layer: snapshot images, then every visible stroke in order
+ */
+function redrawFromLog() {
+  const layers = new Map();
+  state.layerImages.forEach((image, layerId) => getLayer(layers, layerId).ctx.drawImage(image, 0, 0));
+  
+  state.strokeLog.filter(e => !e.retracted).forEach(event => drawOnLayers(layers, event));
+  
+  // Other players' strokes still being drawn go on top
+  state.liveStrokes.forEach(stroke => drawOnLayers(layers, stroke));
+  
+  // Keep an in-progress freehand stroke visible
+  if (state.isDrawing && ['pen', 'brush', 'eraser'].includes(state.currentStroke.tool)) {
+    drawOnLayers(layers, state.currentStroke);
+  }
+  
+  state.layers = layers;
+  compositeLayers();
+}
+
+// =============================================================================
+// Layers
+// =============================================================================
+
+/**
+ * A layer's canvas, created on top of the stack if it doesn't exist yet
+ */
+function getLayer(layers, layerId) {
+  if (!layers.has(layerId)) {
+    const canvas = document.createElement('canvas');
+    canvas.width = state.canvas.width;
+    canvas.height = state.canvas.height;
+    layers.set(layerId, { canvas, ctx: canvas.getContext('2d') });
+  }
+  return layers.get(layerId);
+}
+
+/**
+ * Paint a draw event on its author's layer, or erase it from the layers
+ * it targets. Fills without a mask (stored before masks existed) are
+ * computed on the merged canvas, like the server does.
+ */
+function drawOnLayers(layers, event) {
+  if (!event.points || event.points.length === 0) return;
+  
+  if (Layers.isEraser(event)) {
+    Layers.erasedLayers(event, Array.from(layers.keys())).forEach(layerId => {
+      const { ctx } = layers.get(layerId);
+      ctx.globalCompositeOperation = 'destination-out';
+      renderDrawEvent(event, ctx);
+      ctx.globalCompositeOperation = 'source-over';
+    });
+    return;
+  }
+  
+  let stroke = event;
+  if (event.tool === 'fill' && !event.mask) {
+    const merged = mergeLayers(layers).getContext('2d');
+    const image = merged.getImageData(0, 0, merged.canvas.width, merged.canvas.height);
+    stroke = { ...event, mask: FloodFill.computeFillMask(image, event.points[0].x, event.points[0].y, hexToRgb(event.color)) };
+  }
+  renderDrawEvent(stroke, getLayer(layers, event.playerId).ctx);
+}
+
+/**
+ * Draw layers over white, bottom first, onto ctx (a new canvas if not given)
+ * Returns the canvas drawn on.
+ */
+function mergeLayers(layers, ctx = null, isVisible = () => true) {
+  if (!ctx) {
+    const canvas = document.createElement('canvas');
+    canvas.width = state.canvas.width;
+    canvas.height = state.canvas.height;
+    ctx = canvas.getContext('2d');
+  }
+  
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  layers.forEach((layer, layerId) => {
+    if (isVisible(layerId)) ctx.drawImage(layer.canvas, 0, 0);
+  });
+  return ctx.canvas;
+}
+
+/**
+ * Show the visible layers on the drawing canvas
+ */
+function compositeLayers() {
+  mergeLayers(state.layers, state.ctx, isLayerVisible);
+  
+  state.previewCtx.clearRect(0, 0, state.previewCanvas.width, state.previewCanvas.height);
+  state.previewCtx.drawImage(state.canvas, 0, 0);
+  
+  renderLayersPanel();
+}
+
+function isLayerVisible(layerId) {
+  const { hidden, solo } = state.layerView;
+  return solo ? solo === layerId : !hidden.has(layerId);
+}
+
+function isLayerEditable(layerId) {
+  return isLayerVisible(layerId) && !state.layerView.locked.has(layerId);
+}
+
+/**
+ * Layers a new eraser stroke erases: ours, or with eraseAllLayers every
+ * visible, unlocked one ('*' when that is all of them)
+ */
+function getEraseTargets() {
+  if (!state.eraseAllLayers) {
+    return isLayerEditable(state.playerId) ? [state.playerId] : [];
+  }
+  
+  const layerIds = Array.from(state.layers.keys());
+  const targets = layerIds.filter(isLayerEditable);
+  return targets.length === layerIds.length ? [Layers.ALL_LAYERS] : targets;
+}
+
+function getLayerName(layerId) {
+  if (layerId === state.playerId) return 'You';
+  if (layerId === Layers.BACKGROUND_LAYER) return 'Background';
+  
+  const player = state.activePlayers.find(p => p.playerId === layerId);
+  return player ? player.playerName : `Player ${layerId.slice(0, 4)}`;
+}
+
+/**
+ * List the layers (top first, like a paint program) while the panel is open.
+ * Rows are only rebuilt when something in them changed, so strokes
+ * arriving mid-click don't swallow the click.
+ */
+function renderLayersPanel() {
+  if (elements.layersPanel.classList.contains('hidden')) return;
+  
+  const { hidden, locked, solo } = state.layerView;
+  const layerIds = Array.from(state.layers.keys()).reverse();
+  
+  const signature = JSON.stringify([layerIds.map(getLayerName), layerIds, [...hidden], [...locked], solo]);
+  if (signature === elements.layersList.dataset.signature) return;
+  elements.layersList.dataset.signature = signature;
+  
+  if (layerIds.length === 0) {
+    elements.layersList.innerHTML = '<div class="layers-empty">No layers yet</div>';
+    return;
+  }
+  
+  elements.layersList.innerHTML = layerIds.map(layerId => `
+    <div class="layer-row${isLayerVisible(layerId) ? '' : ' dimmed'}" data-layer="${escapeHtml(layerId)}">
+      <span class="layer-name">${escapeHtml(getLayerName(layerId))}</span>
+      <button class="ds-btn layer-btn${hidden.has(layerId) ? '' : ' active'}" data-action="visible" title="Show/hide">👁</button>
+      <button class="ds-btn layer-btn${solo === layerId ? ' active' : ''}" data-action="solo" title="Show only this layer">◎</button>
+      <button class="ds-btn layer-btn${locked.has(layerId) ? ' active' : ''}" data-action="lock" title="Lock (no drawing or erasing)">🔒</button>
+      <button class="ds-btn layer-btn" data-action="export" title="Save this layer as PNG">💾</button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Handle a click on one of a layer row's buttons
+ */
+function handleLayerAction(layerId, action) {
+  const { hidden, locked } = state.layerView;
+  
+  switch (action) {
+    case 'visible':
+      if (hidden.has(layerId)) hidden.delete(layerId); else hidden.add(layerId);
+      break;
+    case 'solo':
+      state.layerView.solo = state.layerView.solo === layerId ? null : layerId;
+      break;
+    case 'lock':
+      if (locked.has(layerId)) locked.delete(layerId); else locked.add(layerId);
+      break;
+    case 'export':
+      saveCanvas('png', layerId);
+      return;
+  }
+  
+  compositeLayers();
+}
+
+function toggleLayersPanel() {
+  elements.layersPanel.classList.toggle('hidden');
+  renderLayersPanel();
+}
+
+function handleStrokeChange(message) {
+  if (message.layerSnapshots) {
+    // The stroke was already in the snapshot - the server rendered it again
+    // and everything up to snapshotSeq is in the new layers
+    setStrokeRetracted(message);
+    state.strokeLog = state.strokeLog.filter(e => !e.seq || e.seq > message.snapshotSeq);
+    loadLayerSnapshots(message.layerSnapshots);
+  } else if (setStrokeRetracted(message)) {
+    redrawFromLog();
+  }
+}
+
+function renderDrawEvent(event, ctx = state.ctx) {
+  const { points, color, size, tool, mask } = event;
+  if (!points || points.length === 0) return;
+  
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = size;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  
+  if (tool === 'fill' && points.length === 1) {
+    floodFill(points[0].x, points[0].y, color, ctx, mask);
+    
+  } else if (['line', 'rect', 'circle'].includes(tool) && points.length >= 2) {
+    drawShape(ctx, tool, points[0], points[1], false);
+    
+  } else {
+    // Freehand stroke, smoothed into curves (see shared/strokeProcessing.js)
+    if (points.length === 1) {
+      ctx.beginPath();
+      ctx.arc(points[0].x, points[0].y, size / 2, 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      ctx.beginPath();
+      ctx.moveTo(points[0].x, points[0].y);
+      StrokeProcessing.smoothSegments(points).forEach(({ control, end }) => {
+        ctx.quadraticCurveTo(control.x, control.y, end.x, end.y);
+      });
+      ctx.stroke();
+    }
+  }
+  
+  // Update preview canvas
+  if (ctx === state.ctx) {
+    state.previewCtx.clearRect(0, 0, state.previewCanvas.width, state.previewCanvas.height);
+    state.previewCtx.drawImage(state.canvas, 0, 0);
+  }
+}
+
+function clearCanvas() {
+  if (state.ctx) {
+    state.ctx.fillStyle = '#FFFFFF';
+    state.ctx.fillRect(0, 0, state.canvas.width, state.canvas.height);
+  }
+  if (state.previewCtx) {
+    state.previewCtx.fillStyle = '#FFFFFF';
+    state.previewCtx.fillRect(0, 0, state.previewCanvas.width, state.previewCanvas.height);
+  }
+}
+
+/**
+ * Forget all canvas state when leaving a room
+ */
+function resetCanvasState() {
+  closePlayback();
+  closeSketch();
+  hideClearUndoOffer();
+  removeAllRemoteCursors();
+  state.clearVote = null;
+  state.liveStrokes = new Map();
+  state.strokeLog = [];
+  state.layerImages = new Map();
+  state.pendingLayerImages = null;
+  state.layers = new Map();
+  state.layerView = { hidden: new Set(), locked: new Set(), solo: null };
+  elements.layersPanel.classList.add('hidden');
+  elements.moderationPanel.classList.add('hidden');
+  clearCanvas();
+}
+
+function handleRemoteClear(message) {
+  resetStrokeLog();
+  addSystemMessage(`${message.playerName} cleared the canvas`);
+  
+  if (message.undoGraceMs) {
+    showClearUndoOffer(message);
+  } else {
+    hideClearUndoOffer();
+  }
+}
+
+/**
+ * An archived version replaced the canvas - like a clear, but with its image as the base
+ */
+function handleCanvasRestored(message) {
+  hideClearUndoOffer();
+  resetStrokeLog();
+  
+  // Versions are flat images, so the restored canvas becomes the background
+  loadLayerSnapshots([{ layerId: Layers.BACKGROUND_LAYER, snapshotData: message.snapshotData }]);
+  
+  if (message.undoClear) {
+    addSystemMessage(`${message.playerName} undid the clear`);
+  } else {
+    addSystemMessage(`${message.playerName} restored "${message.name}"`);
+  }
+}
+
+// =============================================================================
+// Clear Modes (undo offer / vote)
+// =============================================================================
+
+/**
+ * Offer to undo a clear until its grace period runs out
+ */
+function showClearUndoOffer(message) {
+  clearTimeout(state.clearUndoTimer);
+  
+  const who = message.playerId === state.playerId ? 'You' : message.playerName;
+  elements.clearUndoText.textContent = `${who} cleared the canvas`;
+  elements.clearUndoNotice.classList.remove('hidden');
+  
+  state.clearUndoTimer = setTimeout(hideClearUndoOffer, message.undoGraceMs);
+}
+
+function hideClearUndoOffer() {
+  clearTimeout(state.clearUndoTimer);
+  state.clearUndoTimer = null;
+  elements.clearUndoNotice.classList.add('hidden');
+}
+
+function undoClear() {
+  hideClearUndoOffer();
+  if (!send({ type: 'undoClear', roomId: state.currentRoom })) {
+    addSystemMessage("Can't undo the clear while offline");
+  }
+}
+
+/**
+ * Server update of the room's clear vote; result is set once it's decided
+ */
+function handleClearVoteUpdate(message) {
+  if (!message.result) {
+    const isNew = !state.clearVote;
+    state.clearVote = message;
+    renderPlayers();
+    
+    if (isNew && message.initiatorId !== state.playerId) {
+      addSystemMessage(`${message.initiatorName} wants to clear the canvas - vote below`);
+    }
+    return;
+  }
+  
+  state.clearVote = null;
+  renderPlayers();
+  
+  if (message.result === 'failed') {
+    addSystemMessage('Vote to clear the canvas failed');
+  } else if (message.result === 'expired') {
+    addSystemMessage('Vote to clear the canvas expired');
+  }
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+/**
+ * Download the room canvas as rendered by the server ('png' or 'svg'),
+ * or only one of its layers
+ */
+function saveCanvas(format, layerId = null) {
+  if (!state.currentRoom) return;
+  
+  const query = layerId ? `?layer=${encodeURIComponent(layerId)}` : '';
+  const name = elements.currentRoomName.textContent || state.currentRoom;
+  
+  const link = document.createElement('a');
+  link.href = withRoomKey(`/api/rooms/${encodeURIComponent(state.currentRoom)}/canvas.${format}${query}`);
+  link.download = layerId ? `${name} - ${getLayerName(layerId)}.${format}` : `${name}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+// =============================================================================
+// Timelapse Playback
+// =============================================================================
+
+/**
+ * Replay the room's drawing history since the last clear on an overlay
+ * canvas. The live canvas keeps updating underneath.
+ */
+async function openPlayback() {
+  if (!state.currentRoom || state.playback) return;
+  closeSketch();
   
-  const targetColor = getPixelColor(data, startX, startY, canvas.width);
-  const fill = hexToRgb(fillColor);
+  const roomId = state.currentRoom;
+  let events;
+  let baseImage;
+  try {
+    const history = await fetchDrawingHistory(roomId);
+    events = history.events;
+    baseImage = history.baseImageUrl ? await loadImage(history.baseImageUrl).catch(() => null) : null;
+  } catch (err) {
+    console.error('Failed to load drawing history:', err);
+    addSystemMessage("Couldn't load the drawing history");
+    return;
+  }
   
-  if (colorsMatch(targetColor, fill)) return;
+  // Left the room or opened playback twice while loading
+  if (state.currentRoom !== roomId || state.playback) return;
   
-  const stack = [[startX, startY]];
-  const visited = new Set();
+  if (events.length === 0) {
+    addSystemMessage('Nothing to replay yet');
+    return;
+  }
   
-  while (stack.length > 0) {
-    const [x, y] = stack.pop();
-    const key = `${x},${y}`;
-    
-    if (visited.has(key)) continue;
-    if (x < 0 || x >= canvas.width || y < 0 || y >= canvas.height) continue;
+  state.playback = {
+    events,
+    position: 0,   // Number of events applied
+    strokes: [],   // Strokes drawn so far, with playback-time retracted flags
+    layers: new Map(), // Layer stack the strokes are drawn on
+    speedIndex: 0,
+    timer: null,
+    baseImage, // Restored version the history starts from, if any
+    ctx: elements.playbackCanvas.getContext('2d')
+  };
+  
+  elements.playbackScrubber.max = events.length;
+  elements.playbackSpeedBtn.textContent = `${state.PLAYBACK_SPEEDS[0]}×`;
+  elements.playbackCanvas.classList.remove('hidden');
+  elements.playbackBar.classList.remove('hidden');
+  
+  seekPlayback(0);
+  playPlayback();
+}
+
+/**
+ * Load every page of the drawing history since the last clear or restore
+ * Returns { events, baseImageUrl } - the image of the restored version, if any
+ */
+async function fetchDrawingHistory(roomId) {
+  const events = [];
+  let baseImageUrl = null;
+  let after = null;
+  let hasMore = true;
+  
+  while (hasMore) {
+    const params = new URLSearchParams({ limit: state.PLAYBACK_PAGE_SIZE });
+    if (after !== null) params.set('after', after);
     
-    const currentColor = getPixelColor(data, x, y, canvas.width);
-    if (!colorsMatch(currentColor, targetColor)) continue;
+    const response = await fetch(withRoomKey(`/api/rooms/${encodeURIComponent(roomId)}/events?${params}`));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
     
-    visited.add(key);
-    setPixelColor(data, x, y, canvas.width, fill);
+    const page = await response.json();
+    events.push(...page.events);
+    after = page.nextAfter;
+    hasMore = page.hasMore;
     
-    stack.push([x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]);
+    if (page.restoredVersionId) {
+      baseImageUrl = withRoomKey(`/api/rooms/${encodeURIComponent(roomId)}/versions/${page.restoredVersionId}/preview.png`);
+    }
   }
   
-  ctx.putImageData(imageData, 0, 0);
+  return { events, baseImageUrl };
 }
 
-function getPixelColor(data, x, y, width) {
-  const idx = (y * width + x) * 4;
-  return { r: data[idx], g: data[idx + 1], b: data[idx + 2] };
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Failed to load ${url}`));
+    img.src = url;
+  });
 }
 
-function setPixelColor(data, x, y, width, color) {
-  const idx = (y * width + x) * 4;
-  data[idx] = color.r;
-  data[idx + 1] = color.g;
-  data[idx + 2] = color.b;
-  data[idx + 3] = 255;
+function closePlayback() {
+  if (!state.playback) return;
+  
+  clearTimeout(state.playback.timer);
+  state.playback = null;
+  elements.playbackCanvas.classList.add('hidden');
+  elements.playbackBar.classList.add('hidden');
 }
 
-function hexToRgb(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? {
-    r: parseInt(result[1], 16),
-    g: parseInt(result[2], 16),
-    b: parseInt(result[3], 16)
-  } : { r: 0, g: 0, b: 0 };
+/**
+ * Apply one history event to the playback strokes
+ * Returns true if it only added a stroke on top (no full re-render needed)
+ */
+function applyPlaybackEvent(event) {
+  const { strokes } = state.playback;
+  
+  switch (event.type) {
+    case 'clear':
+      strokes.length = 0;
+      return false;
+    case 'undo':
+    case 'redo': {
+      const stroke = strokes.find(e => e.playerId === event.playerId && e.strokeId === event.strokeId);
+      if (stroke) stroke.retracted = event.type === 'undo';
+      return false;
+    }
+    default:
+      // The stored flag is the stroke's current state - replay it as drawn
+      strokes.push({ ...event, retracted: false });
+      return true;
+  }
 }
 
-function colorsMatch(c1, c2, tolerance = 10) {
-  return Math.abs(c1.r - c2.r) <= tolerance &&
-         Math.abs(c1.g - c2.g) <= tolerance &&
-         Math.abs(c1.b - c2.b) <= tolerance;
+function renderPlaybackFrame() {
+  const playback = state.playback;
+  const { strokes, baseImage } = playback;
+  
+  playback.layers = new Map();
+  if (baseImage) getLayer(playback.layers, Layers.BACKGROUND_LAYER).ctx.drawImage(baseImage, 0, 0);
+  strokes.filter(e => !e.retracted).forEach(event => drawOnLayers(playback.layers, event));
+  mergeLayers(playback.layers, playback.ctx);
 }
 
-// =============================================================================
-// Drawing - Remote & Rendering
-// =============================================================================
-
-function handleRemoteDraw(message) {
-  if (message.playerId === state.playerId) return;
-  renderDrawEvent(message);
+/**
+ * Jump to a position in the history (number of events applied)
+ */
+function seekPlayback(position) {
+  const playback = state.playback;
+  playback.strokes = [];
+  playback.position = Math.max(0, Math.min(position, playback.events.length));
+  
+  for (let i = 0; i < playback.position; i++) {
+    applyPlaybackEvent(playback.events[i]);
+  }
+  
+  renderPlaybackFrame();
+  updatePlaybackControls();
 }
 
-function renderDrawEvent(event) {
-  const { points, color, size, tool } = event;
-  if (!points || points.length === 0) return;
+function stepPlayback() {
+  const playback = state.playback;
+  if (!playback) return;
   
-  const ctx = state.ctx;
-  ctx.strokeStyle = color;
-  ctx.fillStyle = color;
-  ctx.lineWidth = size;
-  ctx.lineCap = 'round';
-  ctx.lineJoin = 'round';
+  playback.timer = null;
   
-  if (tool === 'fill' && points.length === 1) {
-    floodFill(points[0].x, points[0].y, color);
-    
-  } else if (['line', 'rect', 'circle'].includes(tool) && points.length >= 2) {
-    drawShape(ctx, tool, points[0], points[1], false);
-    
+  if (playback.position >= playback.events.length) {
+    updatePlaybackControls();
+    return;
+  }
+  
+  const event = playback.events[playback.position];
+  playback.position++;
+  
+  if (applyPlaybackEvent(event)) {
+    drawOnLayers(playback.layers, event);
+    mergeLayers(playback.layers, playback.ctx);
   } else {
-    // Freehand stroke
-    if (points.length === 1) {
-      ctx.beginPath();
-      ctx.arc(points[0].x, points[0].y, size / 2, 0, Math.PI * 2);
-      ctx.fill();
-    } else {
-      ctx.beginPath();
-      ctx.moveTo(points[0].x, points[0].y);
-      for (let i = 1; i < points.length; i++) {
-        ctx.lineTo(points[i].x, points[i].y);
-      }
-      ctx.stroke();
-    }
+    renderPlaybackFrame();
   }
+  updatePlaybackControls();
   
-  // Update preview canvas
-  state.previewCtx.clearRect(0, 0, state.previewCanvas.width, state.previewCanvas.height);
-  state.previewCtx.drawImage(state.canvas, 0, 0);
+  // Keep the original rhythm between strokes, within limits
+  const next = playback.events[playback.position];
+  if (next) {
+    const gap = Math.min(Math.max(next.timestamp - event.timestamp, state.PLAYBACK_MIN_STEP_MS), state.PLAYBACK_MAX_STEP_MS);
+    playback.timer = setTimeout(stepPlayback, gap / state.PLAYBACK_SPEEDS[playback.speedIndex]);
+  }
 }
 
-function clearCanvas() {
-  if (state.ctx) {
-    state.ctx.fillStyle = '#FFFFFF';
-    state.ctx.fillRect(0, 0, state.canvas.width, state.canvas.height);
-  }
-  if (state.previewCtx) {
-    state.previewCtx.fillStyle = '#FFFFFF';
-    state.previewCtx.fillRect(0, 0, state.previewCanvas.width, state.previewCanvas.height);
+function playPlayback() {
+  const playback = state.playback;
+  if (!playback || playback.timer) return;
+  
+  // Play from the start again once finished
+  if (playback.position >= playback.events.length) {
+    seekPlayback(0);
   }
+  
+  playback.timer = setTimeout(stepPlayback, state.PLAYBACK_MIN_STEP_MS);
+  updatePlaybackControls();
 }
 
-function handleRemoteClear(message) {
-  clearCanvas();
-  state.undoStack = [];
-  addSystemMessage(`${message.playerName} cleared the canvas`);
+function pausePlayback() {
+  const playback = state.playback;
+  if (!playback) return;
+  
+  clearTimeout(playback.timer);
+  playback.timer = null;
+  updatePlaybackControls();
 }
 
-// =============================================================================
-// Undo & Snapshots
-// =============================================================================
-
-function saveUndoState() {
-  const imageData = state.ctx.getImageData(0, 0, state.canvas.width, state.canvas.height);
-  state.undoStack.push(imageData);
+function togglePlayback() {
+  if (!state.playback) return;
   
-  if (state.undoStack.length > state.maxUndoSteps) {
-    state.undoStack.shift();
+  if (state.playback.timer) {
+    pausePlayback();
+  } else {
+    playPlayback();
   }
 }
 
-function undo() {
-  if (state.undoStack.length === 0) return;
+function cyclePlaybackSpeed() {
+  const playback = state.playback;
+  if (!playback) return;
   
-  const imageData = state.undoStack.pop();
-  state.ctx.putImageData(imageData, 0, 0);
+  playback.speedIndex = (playback.speedIndex + 1) % state.PLAYBACK_SPEEDS.length;
+  elements.playbackSpeedBtn.textContent = `${state.PLAYBACK_SPEEDS[playback.speedIndex]}×`;
+}
+
+function updatePlaybackControls() {
+  const playback = state.playback;
+  if (!playback) return;
   
-  // Update preview
-  state.previewCtx.clearRect(0, 0, state.previewCanvas.width, state.previewCanvas.height);
-  state.previewCtx.drawImage(state.canvas, 0, 0);
+  elements.playbackPlayBtn.textContent = playback.timer ? '⏸' : '▶';
+  elements.playbackScrubber.value = playback.position;
+  elements.playbackPosition.textContent = `${playback.position}/${playback.events.length}`;
 }
 
-function startSnapshotInterval() {
-  if (state.snapshotInterval) {
-    clearInterval(state.snapshotInterval);
+// =============================================================================
+// Undo & Snapshots
+// =============================================================================
+
+/**
+ * Undo/redo are room operations: the server picks our latest stroke,
+ * marks it retracted and broadcasts the change to everyone (us included)
+ */
+function undo() {
+  if (!send({ type: 'undo', roomId: state.currentRoom })) {
+    addSystemMessage("Can't undo while offline");
   }
-  
-  state.snapshotInterval = setInterval(() => {
-    sendCanvasSnapshot();
-  }, state.SNAPSHOT_INTERVAL_MS);
 }
 
-function sendCanvasSnapshot() {
-  if (!state.isConnected || !state.currentRoom) return;
-  
-  const snapshotData = state.canvas.toDataURL('image/png');
-  send({
-    type: 'canvasSnapshot',
-    roomId: state.currentRoom,
-    snapshotData
-  });
+function redo() {
+  if (!send({ type: 'redo', roomId: state.currentRoom })) {
+    addSystemMessage("Can't redo while offline");
+  }
 }
 
-function loadCanvasSnapshot(dataUrl) {
-  const img = new Image();
-  img.onload = () => {
-    state.ctx.drawImage(img, 0, 0);
-    state.previewCtx.drawImage(img, 0, 0);
-  };
-  img.src = dataUrl;
+/**
+ * Load snapshot layer images ([{ layerId, snapshotData }], bottom first)
+ * and re-render once all of them are in
+ */
+function loadLayerSnapshots(layerSnapshots) {
+  const pending = Promise.all(layerSnapshots.map(({ snapshotData }) => loadImage(snapshotData)));
+  state.pendingLayerImages = pending;
+  
+  pending.then(images => {
+    // Ignore if the canvas was cleared or reloaded in the meantime
+    if (state.pendingLayerImages !== pending) return;
+    state.pendingLayerImages = null;
+    state.layerImages = new Map(layerSnapshots.map(({ layerId }, i) => [layerId, images[i]]));
+    redrawFromLog();
+  }).catch(err => console.error('Failed to load canvas snapshot:', err));
 }
 
 // =============================================================================
@@ -906,6 +2398,17 @@ function loadCanvasSnapshot(dataUrl) {
 // =============================================================================
 
 function sendMessage() {
+  if (isMuted('chat')) {
+    addSystemMessage('The room owner muted your chat');
+    return;
+  }
+  
+  // With the sketch pad open the text is the sketch's caption
+  if (state.sketch) {
+    sendSketch();
+    return;
+  }
+  
   const text = elements.messageInput.value.trim();
   if (!text) return;
   
@@ -918,10 +2421,7 @@ function sendMessage() {
     timestamp: Date.now()
   };
   
-  if (!send(messageData)) {
-    state.eventQueue.push(messageData);
-    updateQueueIndicator();
-  }
+  sendEvent(messageData);
   
   elements.messageInput.value = '';
 }
@@ -943,15 +2443,26 @@ function renderChatLog() {
     }
     const isSelf = msg.playerId === state.playerId;
     const colorClass = msg.playerColor ? `color-${msg.playerColor}` : 'color-blue';
+    const sketch = msg.sketchUrl
+      ? `<img class="chat-sketch" src="${escapeHtml(withRoomKey(msg.sketchUrl))}" alt="Sketch from ${escapeHtml(msg.playerName)}">`
+      : '';
     return `
       <div class="chat-message">
         <span class="timestamp">[${formatTime(msg.timestamp)}]</span>
         <span class="player-name ${colorClass}">${escapeHtml(msg.playerName)}${isSelf ? ' (you)' : ''}:</span>
         ${escapeHtml(msg.text)}
+        ${sketch}
       </div>
     `;
   }).join('');
   
+  // Thumbnails change the log height once they load
+  elements.chatLog.querySelectorAll('.chat-sketch').forEach(img => {
+    img.addEventListener('load', () => {
+      elements.chatLog.scrollTop = elements.chatLog.scrollHeight;
+    }, { once: true });
+  });
+  
   elements.chatLog.scrollTop = elements.chatLog.scrollHeight;
 }
 
@@ -971,6 +2482,257 @@ function handleDrawIndicator(message) {
   }
 }
 
+// =============================================================================
+// Cursor Presence
+// =============================================================================
+
+/**
+ * Send our pointer position, throttled to one message per CURSOR_INTERVAL_MS.
+ * The latest position is always sent, at the end of the interval if needed.
+ */
+function queueCursorUpdate(coords, hidden = false) {
+  if (!state.currentRoom) return;
+  
+  state.pendingCursor = { x: coords.x, y: coords.y, hidden };
+  if (!state.cursorTimer) flushCursorUpdate();
+}
+
+function flushCursorUpdate() {
+  if (!state.pendingCursor) return;
+  
+  send({ type: 'cursor', roomId: state.currentRoom, ...state.pendingCursor });
+  state.pendingCursor = null;
+  
+  state.cursorTimer = setTimeout(() => {
+    state.cursorTimer = null;
+    flushCursorUpdate();
+  }, state.CURSOR_INTERVAL_MS);
+}
+
+/**
+ * Show another player's pointer as a labeled cursor in their name color
+ */
+function handleRemoteCursor(message) {
+  if (message.playerId === state.playerId) return;
+  
+  let cursor = state.cursors.get(message.playerId);
+  if (!cursor) {
+    const element = document.createElement('div');
+    element.innerHTML = `<span class="cursor-pointer"></span><span class="cursor-label"></span>`;
+    elements.cursorLayer.appendChild(element);
+    cursor = { element, idleTimer: null };
+    state.cursors.set(message.playerId, cursor);
+  }
+  
+  const { element } = cursor;
+  element.className = `remote-cursor color-${message.playerColor || 'blue'}`;
+  element.querySelector('.cursor-label').textContent = message.playerName;
+  element.style.left = `${(message.x / state.canvas.width) * 100}%`;
+  element.style.top = `${(message.y / state.canvas.height) * 100}%`;
+  
+  clearTimeout(cursor.idleTimer);
+  if (message.hidden) {
+    element.classList.add('idle');
+  } else {
+    cursor.idleTimer = setTimeout(() => element.classList.add('idle'), state.CURSOR_IDLE_MS);
+  }
+}
+
+function removeRemoteCursor(playerId) {
+  const cursor = state.cursors.get(playerId);
+  if (!cursor) return;
+  
+  clearTimeout(cursor.idleTimer);
+  cursor.element.remove();
+  state.cursors.delete(playerId);
+}
+
+function removeAllRemoteCursors() {
+  Array.from(state.cursors.keys()).forEach(removeRemoteCursor);
+}
+
+// =============================================================================
+// Sketches (drawings sent as chat messages)
+// =============================================================================
+
+/**
+ * Swap the shared canvas for a private sketch pad. Strokes drawn on it
+ * use the current tool, color and size but are never sent to the room.
+ */
+function openSketch() {
+  if (!state.currentRoom || state.sketch) return;
+  closePlayback();
+  
+  state.sketch = {
+    strokes: [],
+    current: null,
+    baseImage: null, // Copy of the shared canvas to draw over, if requested
+    ctx: elements.sketchCanvas.getContext('2d')
+  };
+  
+  elements.sketchCanvas.classList.remove('hidden');
+  elements.sketchBar.classList.remove('hidden');
+  renderSketch();
+}
+
+function closeSketch() {
+  if (!state.sketch) return;
+  
+  state.sketch = null;
+  elements.sketchCanvas.classList.add('hidden');
+  elements.sketchBar.classList.add('hidden');
+}
+
+/**
+ * Start the sketch over from a copy of the shared canvas
+ */
+function copyCanvasToSketch() {
+  if (!state.sketch) return;
+  
+  const copy = document.createElement('canvas');
+  copy.width = state.canvas.width;
+  copy.height = state.canvas.height;
+  copy.getContext('2d').drawImage(state.canvas, 0, 0);
+  
+  state.sketch.baseImage = copy;
+  state.sketch.strokes = [];
+  renderSketch();
+}
+
+function clearSketch() {
+  if (!state.sketch) return;
+  
+  state.sketch.baseImage = null;
+  state.sketch.strokes = [];
+  renderSketch();
+}
+
+/**
+ * Redraw the sketch pad from its strokes (plus the one in progress)
+ */
+function renderSketch() {
+  const { ctx, baseImage, strokes, current } = state.sketch;
+  
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  if (baseImage) ctx.drawImage(baseImage, 0, 0);
+  
+  strokes.forEach(stroke => renderDrawEvent(stroke, ctx));
+  if (current && current.tool !== 'fill') renderDrawEvent(current, ctx);
+}
+
+function startSketchStroke(coords) {
+  const tool = state.currentTool;
+  state.sketch.current = {
+    points: [coords],
+    color: tool === 'eraser' ? '#FFFFFF' : state.currentColor,
+    size: tool === 'brush' ? state.currentSize * 2 : state.currentSize,
+    tool
+  };
+  renderSketch();
+}
+
+function continueSketchStroke(coords) {
+  const { current } = state.sketch;
+  if (!current) return;
+  
+  if (['line', 'rect', 'circle'].includes(current.tool)) {
+    current.points = [current.points[0], coords];
+  } else if (current.tool !== 'fill') {
+    current.points.push(coords);
+  }
+  renderSketch();
+}
+
+function finishSketchStroke() {
+  const { current } = state.sketch;
+  if (!current) return;
+  
+  state.sketch.strokes.push(current);
+  state.sketch.current = null;
+  renderSketch();
+}
+
+/**
+ * Send the sketch, captioned with whatever is in the message input
+ */
+function sendSketch() {
+  if (!state.sketch) return;
+  
+  if (isMuted('chat')) {
+    addSystemMessage('The room owner muted your chat');
+    return;
+  }
+  
+  const sketchData = elements.sketchCanvas.toDataURL('image/png');
+  const text = elements.messageInput.value.trim();
+  
+  sendEvent({
+    type: 'sketch',
+    roomId: state.currentRoom,
+    sketchData,
+    text,
+    playerId: state.playerId
+  });
+  
+  elements.messageInput.value = '';
+  closeSketch();
+}
+
+function initSketchPad() {
+  const canvas = elements.sketchCanvas;
+  
+  canvas.addEventListener('mousedown', (e) => {
+    e.preventDefault();
+    startSketchStroke(getCanvasCoords(e));
+  });
+  canvas.addEventListener('mousemove', (e) => {
+    if (state.sketch) continueSketchStroke(getCanvasCoords(e));
+  });
+  ['mouseup', 'mouseleave'].forEach(type => {
+    canvas.addEventListener(type, () => {
+      if (state.sketch) finishSketchStroke();
+    });
+  });
+  
+  canvas.addEventListener('touchstart', (e) => {
+    e.preventDefault();
+    if (e.touches.length === 1) startSketchStroke(getTouchCoords(e));
+  }, { passive: false });
+  canvas.addEventListener('touchmove', (e) => {
+    e.preventDefault();
+    if (state.sketch && e.touches.length === 1) continueSketchStroke(getTouchCoords(e));
+  }, { passive: false });
+  ['touchend', 'touchcancel'].forEach(type => {
+    canvas.addEventListener(type, (e) => {
+      e.preventDefault();
+      if (state.sketch) finishSketchStroke();
+    }, { passive: false });
+  });
+  
+  elements.sketchBtn.addEventListener('click', () => {
+    if (state.sketch) {
+      closeSketch();
+    } else {
+      openSketch();
+    }
+  });
+  elements.sketchCopyBtn.addEventListener('click', copyCanvasToSketch);
+  elements.sketchClearBtn.addEventListener('click', clearSketch);
+  elements.sketchCancelBtn.addEventListener('click', closeSketch);
+  elements.sketchSendBtn.addEventListener('click', sendSketch);
+  
+  // Click a chat thumbnail to view it full size
+  elements.chatLog.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('chat-sketch')) return;
+    elements.sketchViewerImg.src = e.target.src;
+    elements.sketchViewer.classList.remove('hidden');
+  });
+  elements.sketchViewer.addEventListener('click', () => {
+    elements.sketchViewer.classList.add('hidden');
+  });
+}
+
 // =============================================================================
 // UI Helpers
 // =============================================================================
@@ -983,6 +2745,16 @@ function updateConnectionStatus(status) {
     status === 'disconnected' ? 'Disconnected' : 'Connecting...';
 }
 
+function showLobbyNotice(text) {
+  elements.lobbyNotice.textContent = text;
+  elements.lobbyNotice.classList.remove('hidden');
+}
+
+function hideLobbyNotice() {
+  elements.lobbyNotice.textContent = '';
+  elements.lobbyNotice.classList.add('hidden');
+}
+
 function showReconnectBanner() {
   elements.reconnectBanner.classList.remove('hidden');
   updateQueueIndicator();
@@ -1005,6 +2777,11 @@ function updateQueueIndicator() {
 // Tool Controls
 // =============================================================================
 
+function selectTool(tool) {
+  state.currentTool = tool;
+  elements.toolBtns.forEach(b => b.classList.toggle('active', b.dataset.tool === tool));
+}
+
 function initTools() {
   // Player color picker (for name color)
   elements.playerColorBtns.forEach(btn => {
@@ -1043,11 +2820,7 @@ function initTools() {
   
   // Tool picker
   elements.toolBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-      elements.toolBtns.forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      state.currentTool = btn.dataset.tool;
-    });
+    btn.addEventListener('click', () => selectTool(btn.dataset.tool));
   });
   
   // Color picker
@@ -1058,10 +2831,8 @@ function initTools() {
       state.currentColor = btn.dataset.color;
       
       // Switch off eraser when color selected
-      if (state.currentTool === 'eraser') {
-        state.currentTool = 'pen';
-        elements.toolBtns.forEach(b => b.classList.remove('active'));
-        document.querySelector('[data-tool="pen"]').classList.add('active');
+      if (state.currentTool === 'eraser' && isToolAllowed('pen')) {
+        selectTool('pen');
       }
     });
   });
@@ -1075,20 +2846,77 @@ function initTools() {
     });
   });
   
-  // Undo
+  // Undo / Redo
   elements.undoBtn.addEventListener('click', undo);
+  elements.redoBtn.addEventListener('click', redo);
+  
+  // Save
+  elements.saveBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    elements.saveMenu.classList.toggle('hidden');
+  });
+  elements.saveMenu.querySelectorAll('.save-option').forEach(btn => {
+    btn.addEventListener('click', () => {
+      elements.saveMenu.classList.add('hidden');
+      saveCanvas(btn.dataset.format);
+    });
+  });
+  document.addEventListener('click', () => elements.saveMenu.classList.add('hidden'));
+  
+  // Layers
+  elements.layersBtn.addEventListener('click', toggleLayersPanel);
+  elements.layersList.addEventListener('click', (e) => {
+    const btn = e.target.closest('.layer-btn');
+    if (!btn) return;
+    handleLayerAction(btn.closest('.layer-row').dataset.layer, btn.dataset.action);
+  });
+  elements.eraseAllLayersInput.addEventListener('change', () => {
+    state.eraseAllLayers = elements.eraseAllLayersInput.checked;
+  });
+  
+  // Moderation (room owner only)
+  elements.moderationBtn.addEventListener('click', toggleModerationPanel);
+  elements.moderationPanel.addEventListener('click', (e) => {
+    const btn = e.target.closest('.moderation-action');
+    if (!btn) return;
+    handleModerationAction(btn.closest('.moderation-row').dataset.player, btn.dataset.action);
+  });
+  elements.lockCanvasInput.addEventListener('change', () => {
+    setRoomLock('lockCanvas', elements.lockCanvasInput.checked);
+  });
+  elements.lockRoomInput.addEventListener('change', () => {
+    setRoomLock('lockRoom', elements.lockRoomInput.checked);
+  });
+  
+  // Timelapse playback
+  elements.replayBtn.addEventListener('click', openPlayback);
+  elements.playbackPlayBtn.addEventListener('click', togglePlayback);
+  elements.playbackSpeedBtn.addEventListener('click', cyclePlaybackSpeed);
+  elements.playbackCloseBtn.addEventListener('click', closePlayback);
+  elements.playbackScrubber.addEventListener('input', () => {
+    if (!state.playback) return;
+    pausePlayback();
+    seekPlayback(parseInt(elements.playbackScrubber.value, 10));
+  });
   
   // Clear
+  elements.clearUndoBtn.addEventListener('click', undoClear);
   elements.clearBtn.addEventListener('click', () => {
-    if (confirm('Clear the canvas for everyone?')) {
-      clearCanvas();
-      state.undoStack = [];
-      send({ type: 'clear', roomId: state.currentRoom, playerId: state.playerId });
+    const prompt = state.clearMode === 'vote'
+      ? 'Start a vote to clear the canvas for everyone?'
+      : 'Clear the canvas for everyone?';
+    
+    if (confirm(prompt)) {
+      // The canvas is cleared when the server broadcasts the clear back
+      if (!send({ type: 'clear', roomId: state.currentRoom, playerId: state.playerId })) {
+        addSystemMessage("Can't clear while offline");
+      }
     }
   });
   
   // Leave room
   elements.leaveRoomBtn.addEventListener('click', leaveRoom);
+  elements.inviteBtn.addEventListener('click', requestInvite);
   
   // Create custom room
   elements.createRoomBtn.addEventListener('click', createCustomRoom);
@@ -1113,8 +2941,11 @@ function init() {
   initCanvas();
   clearCanvas();
   initTools();
+  initSketchPad();
+  loadSession();
   
   elements.playerNameInput.value = `Player ${state.playerId.slice(0, 4)}`;
+  state.pendingInviteToken = new URLSearchParams(location.search).get('invite');
   
   connect();
 }
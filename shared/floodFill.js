@@ -0,0 +1,146 @@
+/**
+ * Flood Fill
+ *
+ * Deterministic fill shared by the browser client (loaded as
+ * /shared/floodFill.js, exposed as window.FloodFill) and the server:
+ * - computeFillMask() runs a scanline fill once, on the canvas of whoever
+ *   creates the fill event (the drawing client, or the server for clients
+ *   that don't send a mask)
+ * - The result travels in the event as a run-length mask, and every canvas
+ *   (clients, replays, server snapshots) paints exactly those pixels with
+ *   applyFillMask() instead of filling its own, possibly different, raster
+ *
+ * Mask format: flat array [start, length, start, length, ...] of runs of
+ * row-major pixel indices (y * width + x), ascending and non-overlapping.
+ */
+
+(function (exports) {
+  const FILL_TOLERANCE = 10; // Per RGB channel
+
+  function colorsMatch(data, idx, color, tolerance) {
+    return Math.abs(data[idx] - color.r) <= tolerance &&
+           Math.abs(data[idx + 1] - color.g) <= tolerance &&
+           Math.abs(data[idx + 2] - color.b) <= tolerance;
+  }
+
+  /**
+   * Scanline flood fill from (startX, startY) over an RGBA image
+   * ({ width, height, data }), matching pixels within tolerance of the start
+   * pixel. Returns the run-length mask of the area; the image is not changed.
+   * fillColor ({ r, g, b }) only matters for the "already filled" check.
+   */
+  function computeFillMask(image, startX, startY, fillColor, tolerance = FILL_TOLERANCE) {
+    const { width, height, data } = image;
+    const x0 = Math.round(startX);
+    const y0 = Math.round(startY);
+    if (x0 < 0 || x0 >= width || y0 < 0 || y0 >= height) return [];
+
+    const startIdx = (y0 * width + x0) * 4;
+    const target = { r: data[startIdx], g: data[startIdx + 1], b: data[startIdx + 2] };
+    // Already that color: nothing to fill
+    if (colorsMatch(data, startIdx, fillColor, tolerance)) return [];
+
+    const filled = new Uint8Array(width * height);
+    const matches = (x, y) => {
+      const pos = y * width + x;
+      return !filled[pos] && colorsMatch(data, pos * 4, target, tolerance);
+    };
+
+    const stack = [x0, y0];
+    while (stack.length > 0) {
+      const y = stack.pop();
+      const x = stack.pop();
+      if (!matches(x, y)) continue;
+
+      // Extend the run left and right
+      let left = x;
+      while (left > 0 && matches(left - 1, y)) left--;
+      let right = x;
+      while (right < width - 1 && matches(right + 1, y)) right++;
+
+      filled.fill(1, y * width + left, y * width + right + 1);
+
+      // Queue the start of every matching run above and below
+      for (const ny of [y - 1, y + 1]) {
+        if (ny < 0 || ny >= height) continue;
+        let inRun = false;
+        for (let fx = left; fx <= right; fx++) {
+          const match = matches(fx, ny);
+          if (match && !inRun) stack.push(fx, ny);
+          inRun = match;
+        }
+      }
+    }
+
+    return encodeMask(filled);
+  }
+
+  /**
+   * Run-length encode a per-pixel 0/1 array
+   */
+  function encodeMask(filled) {
+    const mask = [];
+    let runStart = -1;
+
+    for (let pos = 0; pos <= filled.length; pos++) {
+      const isFilled = pos < filled.length && filled[pos] === 1;
+      if (isFilled && runStart === -1) {
+        runStart = pos;
+      } else if (!isFilled && runStart !== -1) {
+        mask.push(runStart, pos - runStart);
+        runStart = -1;
+      }
+    }
+    return mask;
+  }
+
+  /**
+   * Paint the mask's pixels in color ({ r, g, b }), fully opaque
+   */
+  function applyFillMask(image, mask, color) {
+    const { data } = image;
+
+    for (let i = 0; i < mask.length; i += 2) {
+      const end = (mask[i] + mask[i + 1]) * 4;
+      for (let idx = mask[i] * 4; idx < end; idx += 4) {
+        data[idx] = color.r;
+        data[idx + 1] = color.g;
+        data[idx + 2] = color.b;
+        data[idx + 3] = 255;
+      }
+    }
+  }
+
+  /**
+   * Most numbers a fill mask of a width x height canvas may have. Runs of one
+   * connected area need filled pixels between them in the rows above or
+   * below, so a real fill has at most about one run per four pixels.
+   */
+  function maxFillMaskLength(width, height) {
+    return Math.floor(width * height / 2);
+  }
+
+  /**
+   * True if mask is well formed for a width x height canvas
+   */
+  function isValidFillMask(mask, width, height) {
+    if (!Array.isArray(mask) || mask.length % 2 !== 0) return false;
+    if (mask.length > maxFillMaskLength(width, height)) return false;
+
+    let previousEnd = 0;
+    for (let i = 0; i < mask.length; i += 2) {
+      const start = mask[i];
+      const length = mask[i + 1];
+      if (!Number.isInteger(start) || !Number.isInteger(length)) return false;
+      if (start < previousEnd || length < 1) return false;
+      previousEnd = start + length;
+    }
+    return previousEnd <= width * height;
+  }
+
+  exports.FILL_TOLERANCE = FILL_TOLERANCE;
+  exports.computeFillMask = computeFillMask;
+  exports.applyFillMask = applyFillMask;
+  exports.maxFillMaskLength = maxFillMaskLength;
+  exports.isValidFillMask = isValidFillMask;
+})(typeof module !== 'undefined' ? module.exports : (window.FloodFill = {}));
@@ -0,0 +1,38 @@
+/**
+ * Layers
+ *
+ * Every player draws on their own layer, so strokes never destroy other
+ * players' work. Shared by the browser client (loaded as /shared/layers.js,
+ * exposed as window.Layers) and the server renderer:
+ * - A draw event paints on its author's layer (layer id = playerId)
+ * - An eraser erases the layers listed in its `layers` field, by default
+ *   only its author's; ALL_LAYERS erases every layer that exists at that point
+ * - BACKGROUND_LAYER holds images baked before layers (restored versions,
+ *   older snapshots) and always sits at the bottom
+ *
+ * Layers stack in the order they first appear, above the background.
+ */
+
+(function (exports) {
+  const BACKGROUND_LAYER = 'background';
+  const ALL_LAYERS = '*';
+
+  function isEraser(event) {
+    return event.tool === 'eraser';
+  }
+
+  /**
+   * Ids of the existing layers a draw event erases from
+   * existingIds: layer ids in stacking order
+   */
+  function erasedLayers(event, existingIds) {
+    const targets = Array.isArray(event.layers) ? event.layers : [event.playerId];
+    if (targets.includes(ALL_LAYERS)) return existingIds.slice();
+    return existingIds.filter(id => targets.includes(id));
+  }
+
+  exports.BACKGROUND_LAYER = BACKGROUND_LAYER;
+  exports.ALL_LAYERS = ALL_LAYERS;
+  exports.isEraser = isEraser;
+  exports.erasedLayers = erasedLayers;
+})(typeof module !== 'undefined' ? module.exports : (window.Layers = {}));
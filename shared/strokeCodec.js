@@ -0,0 +1,182 @@
+/**
+ * Stroke Codec
+ *
+ * Compact binary encoding for stroke points, shared by the browser client
+ * (loaded as /shared/strokeCodec.js, exposed as window.StrokeCodec) and the
+ * server (required as a CommonJS module):
+ * - Points are quantized to 1/POINT_SCALE pixel and delta-encoded as
+ *   zigzag varints, so a typical pen segment costs 2 bytes instead of ~16
+ * - Binary WebSocket frames carry a small JSON header (every field but
+ *   the points) followed by the encoded points
+ *
+ * Frame layout: [FRAME_VERSION] [varint header length] [header JSON] [points]
+ * Points layout: [varint count] then [zigzag x] [zigzag y] per point,
+ * the first point absolute and every later one relative to the previous.
+ */
+
+(function (exports) {
+  const FRAME_VERSION = 1;
+  const POINT_SCALE = 2; // Coordinates are stored in half pixels
+
+  // Message types that may travel as binary frames
+  const BINARY_TYPES = ['draw', 'strokePoints'];
+
+  // ===========================================================================
+  // Varints
+  // ===========================================================================
+
+  // Arithmetic instead of bit operations so values past 2^31 survive
+  function writeVarint(bytes, value) {
+    while (value >= 0x80) {
+      bytes.push((value % 0x80) + 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+  }
+
+  function readVarint(reader) {
+    let value = 0;
+    let factor = 1;
+
+    for (;;) {
+      if (reader.offset >= reader.bytes.length) throw new Error('Truncated varint');
+      if (factor > Number.MAX_SAFE_INTEGER) throw new Error('Varint too long');
+
+      const byte = reader.bytes[reader.offset++];
+      value += (byte & 0x7f) * factor;
+      if (byte < 0x80) return value;
+      factor *= 0x80;
+    }
+  }
+
+  function zigzag(value) {
+    return value >= 0 ? value * 2 : -value * 2 - 1;
+  }
+
+  function unzigzag(value) {
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+  }
+
+  // ===========================================================================
+  // Points
+  // ===========================================================================
+
+  function writePoints(bytes, points) {
+    writeVarint(bytes, points.length);
+
+    let lastX = 0;
+    let lastY = 0;
+    points.forEach(point => {
+      const x = Math.round(point.x * POINT_SCALE);
+      const y = Math.round(point.y * POINT_SCALE);
+      writeVarint(bytes, zigzag(x - lastX));
+      writeVarint(bytes, zigzag(y - lastY));
+      lastX = x;
+      lastY = y;
+    });
+  }
+
+  function readPoints(reader) {
+    const count = readVarint(reader);
+    // Every point takes at least two bytes
+    if (count * 2 > reader.bytes.length - reader.offset) throw new Error('Truncated points');
+
+    const points = [];
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < count; i++) {
+      x += unzigzag(readVarint(reader));
+      y += unzigzag(readVarint(reader));
+      points.push({ x: x / POINT_SCALE, y: y / POINT_SCALE });
+    }
+    return points;
+  }
+
+  /**
+   * Encode an array of {x, y} points as a Uint8Array
+   */
+  function encodePoints(points) {
+    const bytes = [];
+    writePoints(bytes, points);
+    return Uint8Array.from(bytes);
+  }
+
+  /**
+   * Decode points from encodePoints() output (Uint8Array, Buffer or ArrayBuffer)
+   * Throws on malformed input
+   */
+  function decodePoints(data) {
+    const reader = { bytes: toBytes(data), offset: 0 };
+    const points = readPoints(reader);
+    if (reader.offset !== reader.bytes.length) throw new Error('Trailing bytes after points');
+    return points;
+  }
+
+  /**
+   * Round points to the precision they are encoded with
+   */
+  function quantizePoints(points) {
+    return points.map(point => ({
+      x: Math.round(point.x * POINT_SCALE) / POINT_SCALE,
+      y: Math.round(point.y * POINT_SCALE) / POINT_SCALE
+    }));
+  }
+
+  // ===========================================================================
+  // Frames
+  // ===========================================================================
+
+  function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    throw new Error('Expected binary data');
+  }
+
+  /**
+   * Encode a message with a points array as a binary frame (Uint8Array)
+   */
+  function encodeFrame(message) {
+    const { points, ...header } = message;
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+
+    const bytes = [FRAME_VERSION];
+    writeVarint(bytes, headerBytes.length);
+    bytes.push(...headerBytes);
+    writePoints(bytes, points || []);
+    return Uint8Array.from(bytes);
+  }
+
+  /**
+   * Decode a binary frame back into a message object
+   * Throws on malformed frames or an unknown frame version
+   */
+  function decodeFrame(data) {
+    const reader = { bytes: toBytes(data), offset: 0 };
+
+    if (reader.bytes[reader.offset++] !== FRAME_VERSION) throw new Error('Unknown frame version');
+
+    const headerLength = readVarint(reader);
+    if (reader.offset + headerLength > reader.bytes.length) throw new Error('Truncated header');
+    const headerBytes = reader.bytes.subarray(reader.offset, reader.offset + headerLength);
+    reader.offset += headerLength;
+
+    const header = JSON.parse(new TextDecoder().decode(headerBytes));
+    if (header === null || typeof header !== 'object' || Array.isArray(header)) {
+      throw new Error('Frame header must be an object');
+    }
+
+    const points = readPoints(reader);
+    if (reader.offset !== reader.bytes.length) throw new Error('Trailing bytes after frame');
+
+    return { ...header, points };
+  }
+
+  exports.FRAME_VERSION = FRAME_VERSION;
+  exports.POINT_SCALE = POINT_SCALE;
+  exports.BINARY_TYPES = BINARY_TYPES;
+  exports.encodePoints = encodePoints;
+  exports.decodePoints = decodePoints;
+  exports.quantizePoints = quantizePoints;
+  exports.encodeFrame = encodeFrame;
+  exports.decodeFrame = decodeFrame;
+})(typeof module !== 'undefined' ? module.exports : (window.StrokeCodec = {}));
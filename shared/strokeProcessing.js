@@ -0,0 +1,163 @@
+/**
+ * Stroke Processing
+ *
+ * Geometry shared by the browser client (loaded as /shared/strokeProcessing.js,
+ * exposed as window.StrokeProcessing) and the server (CommonJS module):
+ * - Simplification: freehand strokes keep only the points needed to stay
+ *   within SIMPLIFY_TOLERANCE of the drawn line (Ramer–Douglas–Peucker),
+ *   more coarsely if that still leaves more than MAX_STROKE_POINTS
+ * - Smoothing: strokes are rendered as quadratic curves through the
+ *   midpoints between points, with each point as the control point, so the
+ *   client canvas, the SVG export and the server rasterizer draw the same curve
+ */
+
+(function (exports) {
+  const SIMPLIFY_TOLERANCE = 1; // Pixels
+  const MAX_STROKE_POINTS = 2000; // Points stored per stroke
+  const FREEHAND_TOOLS = ['pen', 'brush', 'eraser'];
+
+  function isFreehand(tool) {
+    return FREEHAND_TOOLS.includes(tool || 'pen');
+  }
+
+  // ===========================================================================
+  // Simplification
+  // ===========================================================================
+
+  function distanceToSegmentSq(point, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSq = dx * dx + dy * dy;
+
+    let t = lengthSq > 0 ? ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+
+    const px = start.x + t * dx - point.x;
+    const py = start.y + t * dy - point.y;
+    return px * px + py * py;
+  }
+
+  /**
+   * Ramer–Douglas–Peucker: drop points closer than tolerance to the line
+   * between the points kept around them. Endpoints are always kept.
+   * Iterative so long strokes can't overflow the stack.
+   */
+  function simplifyPoints(points, tolerance = SIMPLIFY_TOLERANCE) {
+    if (points.length <= 2) return points.slice();
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+
+    const toleranceSq = tolerance * tolerance;
+    const ranges = [[0, points.length - 1]];
+
+    while (ranges.length > 0) {
+      const [first, last] = ranges.pop();
+      let farthest = -1;
+      let farthestSq = toleranceSq;
+
+      for (let i = first + 1; i < last; i++) {
+        const distanceSq = distanceToSegmentSq(points[i], points[first], points[last]);
+        if (distanceSq > farthestSq) {
+          farthest = i;
+          farthestSq = distanceSq;
+        }
+      }
+
+      if (farthest !== -1) {
+        keep[farthest] = 1;
+        ranges.push([first, farthest], [farthest, last]);
+      }
+    }
+
+    return points.filter((point, i) => keep[i]);
+  }
+
+  /**
+   * Simplify a freehand stroke, doubling the tolerance until it has at most
+   * maxPoints points. The endpoints always survive, so this converges.
+   */
+  function simplifyToLimit(points, maxPoints = MAX_STROKE_POINTS) {
+    let tolerance = SIMPLIFY_TOLERANCE;
+    let simplified = simplifyPoints(points, tolerance);
+
+    while (simplified.length > maxPoints) {
+      tolerance *= 2;
+      simplified = simplifyPoints(simplified, tolerance);
+    }
+    return simplified;
+  }
+
+  // ===========================================================================
+  // Smoothing
+  // ===========================================================================
+
+  function midpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  /**
+   * Quadratic curve segments ({ start, control, end }) for a freehand stroke
+   * of two or more points. The first and last segments are straight lines
+   * to the stroke's endpoints (control point halfway along).
+   */
+  function smoothSegments(points) {
+    if (points.length < 2) return [];
+    if (points.length === 2) {
+      return [{ start: points[0], control: midpoint(points[0], points[1]), end: points[1] }];
+    }
+
+    const segments = [];
+    let start = points[0];
+    let end = midpoint(points[0], points[1]);
+    segments.push({ start, control: midpoint(start, end), end });
+
+    for (let i = 1; i < points.length - 1; i++) {
+      start = end;
+      end = midpoint(points[i], points[i + 1]);
+      segments.push({ start, control: points[i], end });
+    }
+
+    start = end;
+    end = points[points.length - 1];
+    segments.push({ start, control: midpoint(start, end), end });
+    return segments;
+  }
+
+  /**
+   * Sample curve segments into a polyline with roughly maxStep pixels
+   * between points, for renderers without curve support
+   */
+  function flattenSegments(segments, maxStep = 2) {
+    if (segments.length === 0) return [];
+
+    const points = [segments[0].start];
+    segments.forEach(({ start, control, end }) => {
+      // The control polygon is never shorter than the curve
+      const length = Math.hypot(control.x - start.x, control.y - start.y) +
+                     Math.hypot(end.x - control.x, end.y - control.y);
+      const steps = Math.max(1, Math.ceil(length / maxStep));
+
+      for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        const a = (1 - t) * (1 - t);
+        const b = 2 * (1 - t) * t;
+        const c = t * t;
+        points.push({
+          x: a * start.x + b * control.x + c * end.x,
+          y: a * start.y + b * control.y + c * end.y
+        });
+      }
+    });
+    return points;
+  }
+
+  exports.SIMPLIFY_TOLERANCE = SIMPLIFY_TOLERANCE;
+  exports.MAX_STROKE_POINTS = MAX_STROKE_POINTS;
+  exports.isFreehand = isFreehand;
+  exports.simplifyPoints = simplifyPoints;
+  exports.simplifyToLimit = simplifyToLimit;
+  exports.smoothSegments = smoothSegments;
+  exports.flattenSegments = flattenSegments;
+})(typeof module !== 'undefined' ? module.exports : (window.StrokeProcessing = {}));
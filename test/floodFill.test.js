@@ -0,0 +1,81 @@
+/**
+ * Flood fill: run-length masks and their validation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const floodFill = require('../shared/floodFill');
+
+const WHITE = { r: 255, g: 255, b: 255 };
+const BLACK = { r: 0, g: 0, b: 0 };
+const RED = { r: 255, g: 0, b: 0 };
+
+function canvas(width, height, color = WHITE) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = color.r;
+    data[i + 1] = color.g;
+    data[i + 2] = color.b;
+    data[i + 3] = 255;
+  }
+  return { width, height, data };
+}
+
+function paint(image, x, y, color) {
+  floodFill.applyFillMask(image, [y * image.width + x, 1], color);
+}
+
+test('fills the whole canvas as one run', () => {
+  assert.deepEqual(floodFill.computeFillMask(canvas(8, 4), 0, 0, RED), [0, 32]);
+});
+
+test('stops at differently colored pixels', () => {
+  const image = canvas(5, 3);
+  for (let y = 0; y < 3; y++) paint(image, 2, y, BLACK);
+
+  // Left of the wall only: columns 0-1 of every row
+  assert.deepEqual(floodFill.computeFillMask(image, 0, 1, RED), [0, 2, 5, 2, 10, 2]);
+});
+
+test('returns nothing outside the canvas or on the fill color', () => {
+  assert.deepEqual(floodFill.computeFillMask(canvas(4, 4), -1, 0, RED), []);
+  assert.deepEqual(floodFill.computeFillMask(canvas(4, 4), 0, 4, RED), []);
+  assert.deepEqual(floodFill.computeFillMask(canvas(4, 4, RED), 1, 1, RED), []);
+});
+
+test('applying a mask paints exactly its pixels', () => {
+  const image = canvas(4, 2);
+  floodFill.applyFillMask(image, [1, 2, 6, 1], RED);
+
+  const red = [];
+  for (let i = 0; i < 8; i++) red.push(image.data[i * 4 + 1] === 0);
+  assert.deepEqual(red, [false, true, true, false, false, false, true, false]);
+});
+
+test('computed masks are valid for their canvas', () => {
+  const image = canvas(16, 16);
+  for (let i = 0; i < 16; i++) paint(image, i, i, BLACK);
+
+  const mask = floodFill.computeFillMask(image, 15, 0, RED);
+  assert.ok(mask.length > 0);
+  assert.ok(floodFill.isValidFillMask(mask, 16, 16));
+});
+
+test('isValidFillMask rejects malformed masks', () => {
+  assert.equal(floodFill.isValidFillMask('0,4', 4, 4), false);
+  assert.equal(floodFill.isValidFillMask([0], 4, 4), false);
+  assert.equal(floodFill.isValidFillMask([0, 1.5], 4, 4), false);
+  assert.equal(floodFill.isValidFillMask([0, 0], 4, 4), false);
+  assert.equal(floodFill.isValidFillMask([4, 2, 5, 1], 4, 4), false, 'overlapping runs');
+  assert.equal(floodFill.isValidFillMask([10, 7], 4, 4), false, 'past the canvas');
+  assert.equal(floodFill.isValidFillMask([0, 16], 4, 4), true);
+});
+
+test('masks are limited to half the canvas pixels in numbers', () => {
+  assert.equal(floodFill.maxFillMaskLength(4, 4), 8);
+
+  const runs = [];
+  for (let i = 0; i < 10; i++) runs.push(i * 2, 1);
+  assert.equal(floodFill.isValidFillMask(runs, 4, 4), false);
+  assert.equal(floodFill.isValidFillMask(runs.slice(0, 8), 4, 4), true);
+});
@@ -0,0 +1,97 @@
+/**
+ * PNG codec: round trips and the bounds on malformed or hostile input
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const png = require('../backend/png');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Chunk with a zero CRC (the decoder doesn't check them)
+function chunk(type, data = Buffer.alloc(0)) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+}
+
+function ihdr(width, height, colorType = 6) {
+  const data = Buffer.alloc(13);
+  data.writeUInt32BE(width, 0);
+  data.writeUInt32BE(height, 4);
+  data[8] = 8;
+  data[9] = colorType;
+  return chunk('IHDR', data);
+}
+
+function image(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i++) data[i] = (i * 37) % 256;
+  return { width, height, data };
+}
+
+test('encoded images decode to the same pixels', () => {
+  const original = image(7, 5);
+  const decoded = png.decodePng(png.encodePng(original));
+
+  assert.equal(decoded.width, 7);
+  assert.equal(decoded.height, 5);
+  assert.deepEqual(Array.from(decoded.data), Array.from(original.data));
+});
+
+test('readPngSize reads the header without decoding', () => {
+  assert.deepEqual(png.readPngSize(png.encodePng(image(12, 3))), { width: 12, height: 3 });
+  assert.equal(png.readPngSize(Buffer.from('not a png at all, really not')), null);
+});
+
+test('data URLs round trip, and other strings are refused', () => {
+  const bytes = png.encodePng(image(2, 2));
+  assert.ok(png.fromDataUrl(png.toDataUrl(bytes)).equals(bytes));
+  assert.equal(png.fromDataUrl('data:image/jpeg;base64,AAAA'), null);
+  assert.equal(png.fromDataUrl(42), null);
+});
+
+test('RGB images are expanded to opaque RGBA', () => {
+  const raw = Buffer.from([0, 10, 20, 30, 40, 50, 60]); // One row, filter 0, two pixels
+  const buffer = Buffer.concat([SIGNATURE, ihdr(2, 1, 2), chunk('IDAT', zlib.deflateSync(raw)), chunk('IEND')]);
+
+  assert.deepEqual(Array.from(png.decodePng(buffer).data), [10, 20, 30, 255, 40, 50, 60, 255]);
+});
+
+test('rejects input that is not a PNG', () => {
+  assert.throws(() => png.decodePng(Buffer.from('GIF89a.........')), /Not a PNG/);
+});
+
+test('rejects truncated images', () => {
+  const bytes = png.encodePng(image(20, 20));
+  assert.throws(() => png.decodePng(bytes.subarray(0, bytes.length - 30)));
+
+  const short = Buffer.concat([SIGNATURE, ihdr(4, 4), chunk('IDAT', zlib.deflateSync(Buffer.alloc(5))), chunk('IEND')]);
+  assert.throws(() => png.decodePng(short), /Truncated image data/);
+});
+
+test('rejects image data larger than the header promises', () => {
+  // 1x1 header, but the data inflates to megabytes
+  const bomb = zlib.deflateSync(Buffer.alloc(4 * 1024 * 1024));
+  const buffer = Buffer.concat([SIGNATURE, ihdr(1, 1), chunk('IDAT', bomb), chunk('IEND')]);
+
+  assert.throws(() => png.decodePng(buffer), /larger than its header says/);
+});
+
+test('IHDR must be the first and only header chunk', () => {
+  const idat = chunk('IDAT', zlib.deflateSync(Buffer.alloc(5)));
+
+  const late = Buffer.concat([SIGNATURE, chunk('tEXt', Buffer.from('a')), ihdr(1, 1), idat, chunk('IEND')]);
+  assert.throws(() => png.decodePng(late), /Missing IHDR/);
+
+  const twice = Buffer.concat([SIGNATURE, ihdr(1, 1), ihdr(1000, 1000), idat, chunk('IEND')]);
+  assert.throws(() => png.decodePng(twice), /first and only header/);
+});
+
+test('rejects formats it does not support', () => {
+  const idat = chunk('IDAT', zlib.deflateSync(Buffer.alloc(2)));
+  const palette = Buffer.concat([SIGNATURE, ihdr(1, 1, 3), idat, chunk('IEND')]);
+
+  assert.throws(() => png.decodePng(palette), /Only RGB\/RGBA/);
+});
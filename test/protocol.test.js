@@ -0,0 +1,54 @@
+/**
+ * Protocol: message schema validation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateMessage, validateRoomSettings, ErrorCodes } = require('../backend/protocol');
+
+const draw = { type: 'draw', eventId: 'e1', points: [{ x: 1, y: 2 }, { x: 3, y: 4 }], color: '#ff0000', size: 4, tool: 'pen' };
+
+test('accepts well-formed messages', () => {
+  assert.equal(validateMessage(draw).valid, true);
+  assert.equal(validateMessage({ type: 'cursor', x: 10, y: 20 }).valid, true);
+});
+
+test('rejects non-objects and unknown types', () => {
+  assert.equal(validateMessage(null).code, ErrorCodes.INVALID_PAYLOAD);
+  assert.equal(validateMessage([draw]).code, ErrorCodes.INVALID_PAYLOAD);
+  assert.equal(validateMessage({ type: 'selfDestruct' }).code, ErrorCodes.UNKNOWN_TYPE);
+  assert.equal(validateMessage({ type: 'toString' }).code, ErrorCodes.UNKNOWN_TYPE);
+});
+
+test('limits types to the allowed ones', () => {
+  assert.equal(validateMessage(draw, ['chat']).code, ErrorCodes.UNKNOWN_TYPE);
+});
+
+test('rejects fields of the wrong type or format', () => {
+  const cases = [
+    { ...draw, points: 'many' },
+    { ...draw, points: [{ x: 'a', y: 1 }] },
+    { ...draw, color: 'red' },
+    { ...draw, tool: 'chainsaw' },
+    { ...draw, size: '4' },
+    { type: 'cursor', x: 10 }
+  ];
+
+  cases.forEach(message => {
+    const result = validateMessage(message);
+    assert.equal(result.valid, false, JSON.stringify(message));
+    assert.equal(result.code, ErrorCodes.INVALID_PAYLOAD);
+  });
+});
+
+test('rejects oversized arrays', () => {
+  const points = Array.from({ length: 10001 }, (_, i) => ({ x: i % 512, y: 1 }));
+  assert.match(validateMessage({ ...draw, points }).message, /at most 10000/);
+});
+
+test('validates room settings', () => {
+  assert.equal(validateRoomSettings({ maxPlayers: 4 }), null);
+  assert.match(validateRoomSettings({ bogus: 1 }), /Unknown setting/);
+  assert.match(validateRoomSettings({ maxPlayers: 20 }), /maxPlayers/);
+  assert.equal(validateRoomSettings('big'), 'settings must be an object');
+});
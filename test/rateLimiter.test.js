@@ -0,0 +1,95 @@
+/**
+ * Rate limiter: token buckets and per-connection limits
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, TokenBucket } = require('../backend/rateLimiter');
+
+// Freeze Date.now for the test; returns a function that moves it forward
+function useClock(t) {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  return ms => { now += ms; };
+}
+
+test('a bucket allows its capacity, then refills over time', t => {
+  const advance = useClock(t);
+  const bucket = new TokenBucket({ capacity: 3, refillPerSecond: 2 });
+
+  for (let i = 0; i < 3; i++) {
+    assert.ok(bucket.hasTokens());
+    bucket.take();
+  }
+  assert.equal(bucket.hasTokens(), false);
+  assert.equal(bucket.msUntilAvailable(), 500);
+
+  advance(500);
+  assert.ok(bucket.hasTokens());
+  assert.equal(bucket.msUntilAvailable(2), 500);
+});
+
+test('a bucket never refills past its capacity', t => {
+  const advance = useClock(t);
+  const bucket = new TokenBucket({ capacity: 2, refillPerSecond: 10 });
+
+  advance(60000);
+  assert.ok(bucket.isFull());
+  bucket.take();
+  bucket.take();
+  assert.equal(bucket.hasTokens(), false);
+});
+
+test('connections are limited per message type', t => {
+  useClock(t);
+  const limiter = new RateLimiter({ messages: { message: { capacity: 2, refillPerSecond: 1 } } });
+  const connection = limiter.forConnection('10.0.0.1');
+
+  assert.ok(connection.consume('message').allowed);
+  assert.ok(connection.consume('message').allowed);
+
+  const refused = connection.consume('message');
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.retryAfterMs, 1000);
+
+  // Other types have their own buckets
+  assert.ok(connection.consume('cursor').allowed);
+});
+
+test('connections from one IP share its bucket', t => {
+  useClock(t);
+  const limiter = new RateLimiter({ ip: { capacity: 3, refillPerSecond: 1 } });
+  const first = limiter.forConnection('10.0.0.2');
+  const second = limiter.forConnection('10.0.0.2');
+  const elsewhere = limiter.forConnection('10.0.0.3');
+
+  assert.ok(first.consume(null).allowed);
+  assert.ok(second.consume(null).allowed);
+  assert.ok(first.consume(null).allowed);
+  assert.equal(second.consume(null).allowed, false);
+  assert.ok(elsewhere.consume(null).allowed);
+});
+
+test('queued events only pay their type, and stay in order once refused', t => {
+  useClock(t);
+  const limiter = new RateLimiter({ messages: { message: { capacity: 1, refillPerSecond: 1 } } });
+  const connection = limiter.forConnection('10.0.0.4');
+
+  assert.ok(connection.consumeQueued('message').allowed);
+  assert.deepEqual(connection.consumeQueued('message', 0), { allowed: false, retryAfterMs: 1000 });
+  assert.deepEqual(connection.consumeQueued('message', 1), { allowed: false, retryAfterMs: 2000 });
+  assert.ok(connection.consumeQueued('someUnlimitedType').allowed);
+});
+
+test('repeat offenders are flagged within the violation window', t => {
+  const advance = useClock(t);
+  const limiter = new RateLimiter({ violations: { max: 3, windowMs: 1000 } });
+  const connection = limiter.forConnection('10.0.0.5');
+
+  assert.equal(connection.recordViolation(), false);
+  assert.equal(connection.recordViolation(), false);
+  advance(1500);
+  assert.equal(connection.recordViolation(), false, 'older violations expired');
+  assert.equal(connection.recordViolation(), false);
+  assert.equal(connection.recordViolation(), true);
+});
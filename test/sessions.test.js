@@ -0,0 +1,69 @@
+/**
+ * Session tokens: issue, verify and reject tampering
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionSigner, SESSION_TTL_MS } = require('../backend/sessions');
+
+const player = { playerId: 'p1', playerName: 'Ann', playerColor: 'red' };
+
+test('a token verifies to the player it was issued for', () => {
+  const signer = new SessionSigner('secret');
+  const session = signer.verify(signer.issue(player));
+
+  assert.equal(session.playerId, 'p1');
+  assert.equal(session.playerName, 'Ann');
+  assert.equal(session.playerColor, 'red');
+  assert.equal(typeof session.issuedAt, 'number');
+});
+
+test('a signer needs a secret', () => {
+  assert.throws(() => new SessionSigner(''), /needs a secret/);
+});
+
+test('tokens signed with another secret are refused', () => {
+  const token = new SessionSigner('other secret').issue(player);
+  assert.equal(new SessionSigner('secret').verify(token), null);
+});
+
+test('a tampered payload is refused', () => {
+  const signer = new SessionSigner('secret');
+  const [, signature] = signer.issue(player).split('.');
+  const forged = Buffer.from(JSON.stringify({ ...player, playerId: 'owner', issuedAt: Date.now() })).toString('base64url');
+
+  assert.equal(signer.verify(`${forged}.${signature}`), null);
+});
+
+test('a tampered signature is refused', () => {
+  const signer = new SessionSigner('secret');
+  const token = signer.issue(player);
+  const flipped = token.slice(0, -1) + (token.endsWith('A') ? 'B' : 'A');
+
+  assert.equal(signer.verify(flipped), null);
+});
+
+test('malformed tokens are refused', () => {
+  const signer = new SessionSigner('secret');
+  const token = signer.issue(player);
+
+  [undefined, 42, '', 'abc', `${token}.extra`, '.sig', `${token.split('.')[0]}.`].forEach(value => {
+    assert.equal(signer.verify(value), null, String(value));
+  });
+});
+
+test('signed payloads without a player are refused', () => {
+  const signer = new SessionSigner('secret');
+  const payload = Buffer.from(JSON.stringify({ playerName: 'Ann', issuedAt: Date.now() })).toString('base64url');
+
+  assert.equal(signer.verify(`${payload}.${signer.sign(payload)}`), null);
+});
+
+test('tokens expire', t => {
+  const signer = new SessionSigner('secret');
+  const token = signer.issue(player);
+  const issuedAt = Date.now();
+
+  t.mock.method(Date, 'now', () => issuedAt + SESSION_TTL_MS + 1000);
+  assert.equal(signer.verify(token), null);
+});
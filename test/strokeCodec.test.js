@@ -0,0 +1,65 @@
+/**
+ * Stroke codec: varint/zigzag point encoding and binary frames
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const strokeCodec = require('../shared/strokeCodec');
+
+test('points round trip at half-pixel precision', () => {
+  const points = [{ x: 0, y: 0 }, { x: 511.5, y: 191 }, { x: 3, y: 190.5 }, { x: 3, y: 190.5 }];
+  assert.deepEqual(strokeCodec.decodePoints(strokeCodec.encodePoints(points)), points);
+});
+
+test('points are quantized like stored points', () => {
+  const points = [{ x: 10.26, y: -4.74 }, { x: 1.1, y: 2.9 }];
+  const decoded = strokeCodec.decodePoints(strokeCodec.encodePoints(points));
+
+  assert.deepEqual(decoded, strokeCodec.quantizePoints(points));
+  assert.deepEqual(decoded, [{ x: 10.5, y: -4.5 }, { x: 1, y: 3 }]);
+});
+
+test('negative and large deltas survive zigzag varints', () => {
+  const points = [{ x: -1e6, y: 5e8 }, { x: 1e6, y: -5e8 }, { x: 0, y: 0 }];
+  assert.deepEqual(strokeCodec.decodePoints(strokeCodec.encodePoints(points)), points);
+});
+
+test('small steps cost two bytes per point', () => {
+  const points = Array.from({ length: 100 }, (_, i) => ({ x: 100 + i, y: 50 - i / 2 }));
+  const bytes = strokeCodec.encodePoints(points);
+
+  // Count varint, the absolute first point, then one byte per coordinate
+  assert.ok(bytes.length <= 2 + 6 + 99 * 2, `${bytes.length} bytes`);
+});
+
+test('decodePoints rejects truncated and padded input', () => {
+  const bytes = strokeCodec.encodePoints([{ x: 1000, y: 1000 }, { x: 1, y: 1 }]);
+
+  assert.throws(() => strokeCodec.decodePoints(bytes.subarray(0, bytes.length - 1)), /Truncated/);
+  assert.throws(() => strokeCodec.decodePoints(Uint8Array.from([...bytes, 0])), /Trailing bytes/);
+  assert.throws(() => strokeCodec.decodePoints(Uint8Array.from([0xff, 0xff, 0xff, 0x0f])), /Truncated/);
+  assert.throws(() => strokeCodec.decodePoints('not binary'), /Expected binary data/);
+});
+
+test('decodePoints rejects endless varints', () => {
+  assert.throws(() => strokeCodec.decodePoints(new Uint8Array(16).fill(0xff)), /Varint too long|Truncated/);
+});
+
+test('frames round trip with their header fields', () => {
+  const message = { type: 'draw', strokeId: 's1', color: '#ff0000', size: 4, tool: 'pen', points: [{ x: 1, y: 2 }, { x: 3.5, y: 4 }] };
+  const frame = strokeCodec.encodeFrame(message);
+
+  assert.equal(frame[0], strokeCodec.FRAME_VERSION);
+  assert.deepEqual(strokeCodec.decodeFrame(frame), message);
+  assert.deepEqual(strokeCodec.decodeFrame(frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.length)), message);
+});
+
+test('decodeFrame rejects malformed frames', () => {
+  const frame = strokeCodec.encodeFrame({ type: 'draw', points: [{ x: 1, y: 1 }] });
+
+  assert.throws(() => strokeCodec.decodeFrame(Uint8Array.from([9, ...frame.subarray(1)])), /Unknown frame version/);
+  assert.throws(() => strokeCodec.decodeFrame(Uint8Array.from([1, 100, 123])), /Truncated header/);
+
+  const arrayHeader = new TextEncoder().encode('[]');
+  assert.throws(() => strokeCodec.decodeFrame(Uint8Array.from([1, arrayHeader.length, ...arrayHeader, 0])), /must be an object/);
+});